@@ -0,0 +1,103 @@
+/* ========== MODULE IMPORTS ========== */
+// Description: Manages the caller's stock alert subscriptions
+// - GET: the caller's rules
+// - POST { sku | category | bin, types?, email? }: adds a rule; types default to every
+//   alert type the caller's roles permit (reorder needs warehouseData.csv,
+//   shipment_delay needs stockLogisticsData.csv); email defaults to the token's verified
+//   address and may only name another address in ALERT_EMAIL_DOMAINS
+// - POST { action: "unsubscribe", id }: removes a rule
+// The caller's roles are stored with the subscription (and refreshed on every change);
+// stockAlertFunction re-checks them against the access policy on each run
+const { AuthError, authenticate, authErrorResponse, getAuthConfigError } = require("../shared/auth");
+const { DatasetAccess, loadAccessPolicy } = require("../shared/accessPolicy");
+const { withCors, isPreflight, preflightResponse } = require("../shared/cors");
+const { t, requestLanguage } = require("../shared/i18n");
+const { clientIdentity } = require("../shared/rateLimit");
+const { StockAlertService, AlertRuleError, normalizeRule, subscriberEmail, ALERT_TYPES } = require("../shared/stockAlerts");
+
+// Alert service and access policy shared across warm invocations (subscriptions only;
+// alerts are sent by stockAlertFunction)
+const alertService = new StockAlertService(null);
+const accessPolicy = loadAccessPolicy();
+
+module.exports = async function (context, req) {
+    const response = await handleSubscriptionRequest(context, req);
+    return { ...response, headers: { ...response.headers, "Content-Language": requestLanguage(req).locale } };
+};
+
+// Description: Handles one subscription request; error texts are in the request locale
+async function handleSubscriptionRequest(context, req) {
+    context.log("🔔 Received request for alertSubscriptionFunction");
+
+    if (isPreflight(req)) {
+        return preflightResponse(req);
+    }
+
+    const authConfigError = getAuthConfigError();
+    if (authConfigError) {
+        context.log(`❌ Authentication misconfigured: ${authConfigError}`);
+        return withCors(req, generateResponse(500, { error: t(requestLanguage(req).locale, "error.authConfig") }));
+    }
+
+    let datasetAccess;
+    try {
+        datasetAccess = new DatasetAccess(await authenticate(req, context), accessPolicy);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, authErrorResponse(error, requestLanguage(req).locale));
+        }
+        throw error;
+    }
+
+    const { locale } = requestLanguage(req);
+    const owner = clientIdentity(req, datasetAccess.principal);
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+
+    try {
+        if ((req.method || "GET").toUpperCase() === "GET") {
+            return withCors(req, generateResponse(200, await alertService.subscriptions(owner)));
+        }
+
+        if (body.action === "unsubscribe") {
+            const removed = await alertService.unsubscribe(owner, body.id, datasetAccess.principal.roles);
+            return withCors(req, removed
+                ? generateResponse(200, await alertService.subscriptions(owner))
+                : generateResponse(404, { error: t(locale, "error.unknownAlertRule", { id: body.id }) }));
+        }
+        if (body.action && body.action !== "subscribe") {
+            return withCors(req, generateResponse(400, { error: t(locale, "error.unknownAction", { action: body.action }) }));
+        }
+
+        // Only alert types whose source dataset the caller may query
+        const permittedTypes = Object.keys(ALERT_TYPES).filter(type => datasetAccess.allows(ALERT_TYPES[type]));
+        if (permittedTypes.length === 0) {
+            throw AuthError.forbidden("Your role does not permit any alert type");
+        }
+        const rule = normalizeRule(body, permittedTypes);
+        rule.types.forEach(type => datasetAccess.assert(ALERT_TYPES[type]));
+
+        // Alerts go to the caller's verified address unless an allowed domain is requested
+        const email = subscriberEmail(body.email, datasetAccess.principal.email);
+        const subscriptions = await alertService.subscribe(owner, rule, email, datasetAccess.principal.roles);
+        context.log(`🔔 ${owner} subscribed to ${rule.types.join(", ")} alerts for ${rule.field} '${rule.value}'`);
+        return withCors(req, generateResponse(201, { rule, subscriptions }));
+    } catch (error) {
+        if (error instanceof AlertRuleError) {
+            return withCors(req, generateResponse(400, { error: t(locale, "error.invalidAlertRule"), details: error.message }));
+        }
+        if (error instanceof AuthError) {
+            return withCors(req, generateResponse(error.status, { error: t(locale, "error.forbidden"), details: error.message }));
+        }
+        context.log("🚨 Alert Subscription Failed:", error.message);
+        return withCors(req, generateResponse(500, { error: t(locale, "error.alertSubscription"), details: error.message }));
+    }
+}
+
+// ✅ Helper function for API responses
+function generateResponse(status, body) {
+    return {
+        status,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    };
+}
@@ -0,0 +1,102 @@
+/* ========== MODULE IMPORTS ========== */
+// Description: Microsoft Teams / Bot Framework messaging endpoint
+// 1. Verifies the Bot Connector token and the sender's tenant (see shared/botFramework.js)
+// 2. Maps message activities (text or Adaptive Card submissions) to a chatFunction request
+//    for the channel user, with the roles the access policy assigns to them, keeping one
+//    session per channel conversation
+// 3. Runs it through chatFunction's pipeline and replies with an Adaptive Card in the
+//    response locale (the Teams client locale stands in for Accept-Language)
+// Other activity types (conversation updates, reactions) are acknowledged and ignored
+const { handleChatRequest } = require("../chatFunction");
+const { DatasetAccess, loadAccessPolicy } = require("../shared/accessPolicy");
+const { AuthError, authErrorResponse } = require("../shared/auth");
+const { requestAudit } = require("../shared/auditLog");
+const { requestLanguage } = require("../shared/i18n");
+const { buildReplyActivity } = require("../shared/adaptiveCards");
+const {
+    ConnectorClient,
+    verifyBotRequest,
+    assertAllowedTenant,
+    getBotConfigError,
+    activityToChatBody,
+    activityPrincipal
+} = require("../shared/botFramework");
+
+// Connector client and access policy shared across warm invocations
+const connector = new ConnectorClient();
+const accessPolicy = loadAccessPolicy();
+
+module.exports = async function (context, req) {
+    const startTime = Date.now();
+    context.log("🤖 Received request for botFunction");
+
+    const configError = getBotConfigError();
+    if (configError) {
+        context.log(`❌ Bot misconfigured: ${configError}`);
+        return generateResponse(500, { error: "Server misconfiguration: bot not configured" });
+    }
+
+    const activity = req.body && typeof req.body === "object" ? req.body : null;
+    if (!activity || !activity.type || !activity.serviceUrl || !activity.conversation?.id) {
+        return generateResponse(400, { error: "Invalid activity." });
+    }
+
+    try {
+        await verifyBotRequest(req, activity, context);
+        assertAllowedTenant(activity, context);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return authErrorResponse(error, requestLanguage(req).locale);
+        }
+        throw error;
+    }
+
+    const body = activity.type === "message" ? activityToChatBody(activity) : null;
+    if (!body) {
+        context.log(`🤖 Ignoring ${activity.type} activity`);
+        return generateResponse(200, {});
+    }
+
+    // The channel user becomes the caller; quotas, usage and audit records are per user.
+    // Only roles assigned to the user apply: the policy's defaultRoles are meant for
+    // signed-in callers and would otherwise reach everyone in the allowed tenants
+    const principal = activityPrincipal(activity, accessPolicy);
+    const datasetAccess = new DatasetAccess(principal, { ...accessPolicy, defaultRoles: [] });
+    const chatReq = {
+        method: "POST",
+        headers: activity.locale ? { "accept-language": activity.locale } : {},
+        query: {},
+        body
+    };
+    requestAudit(chatReq, context, "botFunction");
+    context.log(`🤖 ${activity.channelId} message from ${principal.subject} in ${body.conversationId}`);
+
+    // Show the typing indicator while the query runs (best effort)
+    connector.reply(activity, { type: "typing" })
+        .catch(error => context.log(`Typing Indicator Error: ${error.message}`));
+
+    const result = await handleChatRequest(context, chatReq, datasetAccess, startTime);
+    const reply = buildReplyActivity(
+        result.status,
+        typeof result.body === "string" ? JSON.parse(result.body) : result.body,
+        requestLanguage(chatReq).locale
+    );
+
+    try {
+        await connector.reply(activity, reply);
+        context.log(`🤖 Replied to ${body.conversationId} (${reply.attachments ? "card" : "text"}, status ${result.status})`);
+    } catch (error) {
+        context.log("🚨 Bot Reply Failed:", error.message);
+        return generateResponse(502, { error: "Failed to deliver the reply." });
+    }
+    return generateResponse(200, {});
+};
+
+// ✅ Helper function for API responses
+function generateResponse(status, body) {
+    return {
+        status,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    };
+}
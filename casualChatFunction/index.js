@@ -1,15 +1,21 @@
-const { OpenAI } = require("openai");
-
-const ENV = {
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY
-};
+const { SessionStore, createSessionStore, resolveConversationId } = require("../shared/sessionStore");
+const { createLlmProvider, getConfigError } = require("../shared/llmProvider");
+const { AuthError, authenticate, authErrorResponse, getAuthConfigError } = require("../shared/auth");
+const { withCors, isPreflight, preflightResponse } = require("../shared/cors");
+const { forLog } = require("../shared/masking");
+const { createQuotaStore } = require("../shared/quotaStore");
+const { QuotaGuard, clientIdentity, rateLimitResponse } = require("../shared/rateLimit");
+const { requestMeter } = require("../shared/usage");
+const { AuditLog, requestAudit } = require("../shared/auditLog");
+const { t, languageName, requestLanguage } = require("../shared/i18n");
 
 class CasualChatService {
-  constructor() {
-    this.openai = new OpenAI({ apiKey: ENV.OPENAI_API_KEY });
+  constructor(llm) {
+    this.llm = llm;
   }
 
-  async handleChat(userMessage, context) {
+  // locale: language the reply is written in
+  async handleChat(userMessage, context, session, locale = "en") {
     try {
       const systemPrompt = `
         You are a friendly AI assistant. Respond naturally and conversationally to the user's messages.
@@ -25,15 +31,16 @@ class CasualChatService {
         Answer like ChatGPT would in an engaging, helpful manner.
       `;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4",
+      const response = await this.llm.createCompletion("casual", {
         messages: [
           { role: "system", content: systemPrompt },
+          { role: "system", content: `Reply in ${languageName(locale)}.` },
+          ...SessionStore.toChatMessages(session),
           { role: "user", content: userMessage }
         ]
       });
 
-      const aiMessage = response.choices?.[0]?.message?.content || "I'm not sure how to respond to that.";
+      const aiMessage = response.choices?.[0]?.message?.content || t(locale, "casual.noReply");
       context.log("AI Response:", aiMessage);
 
       return {
@@ -44,41 +51,109 @@ class CasualChatService {
       context.log("Error processing chat:", error.message);
       return {
         status: 500,
-        body: { error: "Something went wrong", details: error.message }
+        body: { error: t(locale, "error.processing"), details: error.message }
       };
     }
   }
 }
 
+// LLM provider, session store, quota store and audit log shared across warm invocations
+// (provider creation is deferred to the first request so a misconfiguration is reported as a 500)
+let llm = null;
+const sessionStore = createSessionStore();
+const quotaStore = createQuotaStore();
+const quotaGuard = new QuotaGuard(quotaStore);
+const auditLog = new AuditLog();
+
 module.exports = async function (context, req) {
     context.log("🔵 Received request for casualChatFunction");
 
-    // Validate API key
-    if (!ENV.OPENAI_API_KEY) {
-        context.log("❌ OpenAI API Key is missing!");
-        return generateResponse(500, { error: "Server misconfiguration: API Key missing" });
+    if (isPreflight(req)) {
+        return preflightResponse(req);
+    }
+
+    // Only authenticated callers may use the chat model
+    const authConfigError = getAuthConfigError();
+    if (authConfigError) {
+        context.log(`❌ Authentication misconfigured: ${authConfigError}`);
+        return withCors(req, generateResponse(500, { error: t(requestLanguage(req).locale, "error.authConfig") }));
+    }
+    let principal;
+    try {
+        principal = await authenticate(req, context);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, authErrorResponse(error, requestLanguage(req).locale));
+        }
+        throw error;
+    }
+
+    // Per-user (or per-IP) request rate and daily token/cost budgets
+    const identity = clientIdentity(req, principal);
+    const audit = requestAudit(req, context, "casualChatFunction").set({ user: identity });
+    const exceeded = await quotaGuard.check(req, identity, context);
+    if (exceeded) {
+        context.log(`⛔ ${identity}: ${exceeded.message}`);
+        const response = rateLimitResponse(exceeded, requestLanguage(req).locale);
+        await auditLog.write(audit.finish(response), context);
+        return withCors(req, response);
+    }
+
+    // Token usage and the audit record are written once the reply is complete
+    const meter = requestMeter(req);
+    const result = await handleRequest(context, req, meter, audit, identity);
+    await meter.flush(quotaStore, identity, context);
+    await auditLog.write(audit.finish(result), context);
+
+    return withCors(req, { ...result, headers: { ...result.headers, "Content-Language": requestLanguage(req).locale } });
+};
+
+// Description: Validates input, calls OpenAI and records the exchange
+// meter: UsageMeter recording this request's token usage; audit: the request's AuditTrail
+// identity: the caller's clientIdentity, which owns the conversation
+async function handleRequest(context, req, meter, audit, identity) {
+    // Validate LLM provider configuration
+    const configError = getConfigError();
+    if (configError) {
+        context.log(`❌ LLM provider misconfigured: ${configError}`);
+        return generateResponse(500, { error: t(requestLanguage(req).locale, "error.llmConfig") });
     }
 
     try {
         // Validate user input
         if (!req.body || !req.body.userMessage) {
             context.log("❌ Error: Missing user input.");
-            return generateResponse(400, { error: "Missing user input." });
+            return generateResponse(400, { error: t(requestLanguage(req).locale, "error.missingMessage") });
         }
 
         const userMessage = req.body.userMessage.trim();
-        context.log(`📩 User Message: "${userMessage}"`);
+        context.log(`📩 User Message: "${forLog(userMessage)}"`);
+        audit.setMessage(userMessage);
+
+        // Load prior turns for this caller's conversation
+        const session = await sessionStore.load(resolveConversationId(req.body.conversationId), context, identity);
+        const { conversationId } = session;
+        audit.set({ conversationId });
 
-        // Initialize OpenAI Client
-        const openai = new OpenAI({ apiKey: ENV.OPENAI_API_KEY });
+        // Reply in the caller's language (explicit locale, detection or the conversation's)
+        const { locale } = requestLanguage(req, session);
+        session.locale = locale;
+
+        // Initialize LLM provider (OpenAI, Azure OpenAI or mock), metered for this request
+        llm = llm || createLlmProvider();
+        const meteredLlm = llm.withMeter(meter);
 
         // Call OpenAI API (Normal Chat)
-        const openaiResponse = await openai.chat.completions.create({
-            model: "gpt-4",
-            messages: [{ role: "user", content: userMessage }],
-            max_tokens: 200,
-            temperature: 0.7
-        });
+        const completionParams = {
+            messages: [
+                { role: "system", content: `Reply in ${languageName(locale)}.` },
+                ...SessionStore.toChatMessages(session),
+                { role: "user", content: userMessage }
+            ]
+        };
+
+        const openaiResponse = await audit.measure("completion", () =>
+            meteredLlm.createCompletion("casual", completionParams));
 
         if (!openaiResponse || !openaiResponse.choices || !openaiResponse.choices[0]) {
             throw new Error("Invalid OpenAI response format.");
@@ -87,13 +162,15 @@ module.exports = async function (context, req) {
         const aiMessage = openaiResponse.choices[0].message.content;
         context.log(`💬 OpenAI Response: "${aiMessage}"`);
 
-        return generateResponse(200, { success: true, message: aiMessage });
+        await sessionStore.record(context, session, userMessage, aiMessage);
+
+        return generateResponse(200, { success: true, conversationId, message: aiMessage });
 
     } catch (error) {
         context.log("🚨 OpenAI Request Failed:", error.message);
-        return generateResponse(500, { error: "Failed to process request.", details: error.message });
+        return generateResponse(500, { error: t(requestLanguage(req).locale, "error.processing"), details: error.message });
     }
-};
+}
 
 // ✅ Helper function for API responses
 function generateResponse(status, body) {
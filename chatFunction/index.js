@@ -1,84 +1,125 @@
 /* ========== MODULE IMPORTS AND ENV CONFIG ========== */
 // Description: Core dependencies and environment configuration
 const { BlobServiceClient } = require("@azure/storage-blob");
-const OpenAI = require("openai");
 const csv = require("fast-csv");
+const { SessionStore, createSessionStore, resolveConversationId } = require("../shared/sessionStore");
+const {
+  validateFilter, evaluateFilter, filterColumns, requiredComparisons, describeFilter
+} = require("../shared/filterExpression");
+const {
+  AGGREGATE_OPS, COUNT_OPS, Aggregator, validateAggregate, aggregateColumns, metricLabel
+} = require("../shared/aggregation");
+const { DatasetCatalog } = require("../shared/datasetCatalog");
+const { DatasetCache } = require("../shared/datasetCache");
+const {
+  buildSkuClarification, buildDatasetClarification, resolveSelection, toClientClarification, formatClarification
+} = require("../shared/clarification");
+const {
+  buildResponseSchema, shapeRows, toClientFields, formatFieldValue, exportColumns, aggregateExportColumns
+} = require("../shared/responseSchema");
+const { AnswerSynthesizer } = require("../shared/answerSynthesis");
+const { SemanticIndex, SEMANTIC_KEY_COLUMN } = require("../shared/semanticIndex");
+const { createLlmProvider, getConfigError, LlmUnavailableError } = require("../shared/llmProvider");
+const { AuthError, authenticate, authErrorResponse, getAuthConfigError } = require("../shared/auth");
+const { DatasetAccess, loadAccessPolicy } = require("../shared/accessPolicy");
+const { withCors, isPreflight, preflightResponse } = require("../shared/cors");
+const { ColumnMasker, forLog } = require("../shared/masking");
+const { createQuotaStore } = require("../shared/quotaStore");
+const { QuotaGuard, clientIdentity, rateLimitResponse } = require("../shared/rateLimit");
+const { requestMeter } = require("../shared/usage");
+const { AuditLog, requestAudit } = require("../shared/auditLog");
+const { ResultExporter, resolveExportFormat, toClientExport } = require("../shared/resultExport");
+const { t, detectLanguage, languageName, requestLanguage } = require("../shared/i18n");
+const { Deadline } = require("../shared/resilience");
+const { planByKeywords } = require("../shared/keywordRouter");
 
 // Description: Environment variable configuration
 // - AZURE_STORAGE_CONNECTION_STRING: Connection string for Azure Blob Storage
-// - OPENAI_API_KEY: OpenAI API authentication key
+// - LLM_PROVIDER and provider settings: see shared/llmProvider.js
 // - DATASETS_CONTAINER: Fixed container name for dataset files
+// - ANALYSIS_REPAIR_ATTEMPTS: Retries allowed after a rejected analysis plan
+// - RESPONSE_TIMEOUT_MS: Overall deadline of one request; model calls are cancelled in time
+//   to answer from keyword routing before it passes
 const ENV = {
   AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
-  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  ANALYSIS_REPAIR_ATTEMPTS: parseInt(process.env.ANALYSIS_REPAIR_ATTEMPTS ?? "2", 10),
+  RESPONSE_TIMEOUT: parseInt(process.env.RESPONSE_TIMEOUT_MS, 10) || 8000,
   DATASETS_CONTAINER: "datasets"
 };
 
+// Description: Columns allowed as join keys for multi-dataset plans
+// Every dataset in the datasets container is keyed by sku_id
+const JOIN_KEYS = ["sku_id"];
+
+// Description: System prompt for answers when no dataset query could be planned
+const FALLBACK_PROMPT = `
+    You are an inventory assistant. The last message could not be matched to an inventory dataset.
+    Answer briefly if it is a general inventory or materials question; otherwise ask the user
+    for a SKU, part number, description or the kind of information they need.
+    Never invent stock levels, prices or other inventory data.
+  `;
+
+// Description: Upper bound on merged rows returned by a join plan
+const MAX_JOIN_ROWS = 500;
+
+// Description: Function name the analysis model must call with its plan
+const ANALYSIS_TOOL_NAME = "submit_query_plan";
+
+/* ========== ANALYSIS VALIDATION ERROR CLASS ========== */
+// Description: Raised when an analysis plan breaks a validation rule
+// The rule name is logged and fed back to the model for repair
+class AnalysisValidationError extends Error {
+  constructor(rule, message) {
+    super(message);
+    this.name = "AnalysisValidationError";
+    this.rule = rule;
+  }
+
+  // Description: Runs a validator, re-throwing its errors under the given rule
+  static wrap(rule, validator) {
+    try {
+      return validator();
+    } catch (error) {
+      throw new AnalysisValidationError(rule, error.message);
+    }
+  }
+}
+
 /* ========== ENVIRONMENT VALIDATION ========== */
 // Description: Immediate validation of required environment variables
-// Executes on module load to fail fast if config is missing
+// Executes on module load to fail fast if config is missing (the LLM provider is
+// checked per request instead, so routerFunction and botFunction still load and
+// report a misconfiguration as a 500)
 (() => {
-  if (!ENV.AZURE_STORAGE_CONNECTION_STRING || !ENV.OPENAI_API_KEY) {
+  if (!ENV.AZURE_STORAGE_CONNECTION_STRING) {
     throw new Error("Missing required environment variables");
   }
 })();
 
 /* ========== AI DATA SERVICE CLASS ========== */
 // Description: Handles all AI-related operations including:
-// - Query analysis using OpenAI
+// - Query analysis using the configured LLM provider
 // - Response parsing and error handling
 class AIDataService {
-  constructor() {
-    // Initialize OpenAI client with API key
-    this.openai = new OpenAI({ apiKey: ENV.OPENAI_API_KEY });
-
-    this.DATASET_MAP = {
-        inventory: {
-          dataset: 'warehouseData.csv',
-          queries: ['stock level', 'quantity', 'bin location', 'current stock', 'units available'],
-          columns: ['soh', 'storage_bin', 'uom']
-        },
-        productInfo: {
-          dataset: 'materialBasicData.csv',
-          queries: ['description', 'manufacturer', 'specifications', 'catalog', 'product details'],
-          columns: ['item_description', 'manufacturer', 'mfg_part_nos', 'category']
-        },
-        purchasing: {
-          dataset: 'purchaseRecords.csv',
-          queries: ['active orders', 'current purchases', 'vendor', 'supplier', 'ongoing procurement'],
-          columns: ['vendorName', 'vendorID', 'orderDate']
-        },
-        historicalData: {
-          dataset: 'purchaseMaster.csv',
-          queries: ['purchase history', 'price trends', 'historical cost', 'previous orders'],
-          columns: ['orderID', 'purchaseDate', 'historicalPrice']
-        },
-        logistics: {
-          dataset: 'stockLogisticsData.csv',
-          queries: ['shipment status', 'delivery tracking', 'logistics info', 'transport details'],
-          columns: ['shipment_id', 'carrier', 'estimated_delivery']
-        },
-        pricing: {
-          dataset: 'stockPricingData.csv',
-          queries: ['current price', 'moving average', 'blended cost', 'valuation'],
-          columns: ['moving_average_price', 'last_purchase_price']
-        },
-        maintenance: {
-          dataset: 'stockMaintenanceData.csv', 
-          queries: ['equipment usage', 'maintenance schedule', 'component belonging'],
-          columns: ['usage_location', 'maintenance_history']
-        },
-        transactions: {
-          dataset: 'stockTransactions.csv',
-          queries: ['material movement', 'transfer history', 'goods receipt', 'stock adjustment'],
-          columns: ['transaction_type', 'transfer_qty', 'from_location']
-        },
-        analytics: {
-          dataset: 'optimizerDataIBM.csv',
-          queries: ['business impact', 'criticality analysis', 'risk assessment', 'absorption likelihood'],
-          columns: ['business_impact_score', 'criticality_level']
-        }
-      };
+  constructor(datasetCatalog, llm, datasetAccess) {
+    // LLM provider (OpenAI, Azure OpenAI or mock), metered for this request
+    this.llm = llm;
+
+    // Datasets the caller's roles permit (null allows every catalog dataset)
+    this.datasetAccess = datasetAccess || null;
+
+    // Dataset definitions come from the shared catalog (manifest blob or CSV discovery)
+    this.datasetCatalog = datasetCatalog;
+    this.applyCatalog(datasetCatalog.current());
+  }
+
+  // Description: Rebuilds DATASET_MAP, the analysis prompt and VALID_DATASETS from a catalog
+  // Datasets outside the caller's roles are never offered to the model
+  applyCatalog(catalog) {
+    this.catalogVersion = catalog.version;
+    this.DATASET_MAP = this.datasetAccess
+      ? this.datasetAccess.filterCatalog(catalog).datasets
+      : catalog.datasets;
 
     // Create system prompt for query analysis
     this.ANALYSIS_PROMPT = this.createAnalysisPrompt();
@@ -87,7 +128,24 @@ class AIDataService {
     this.VALID_DATASETS = new Set(
         Object.values(this.DATASET_MAP).map(d => d.dataset)
       );
+
+    // Tool schema for schema-enforced analysis
+    this.ANALYSIS_TOOL = this.createAnalysisTool();
+  }
+
+  // Description: Picks up catalog changes published since the last request
+  async refreshCatalog(context) {
+    const catalog = await this.datasetCatalog.load(context);
+    if (catalog.version !== this.catalogVersion) {
+      context.log(`Applying dataset catalog version ${catalog.version}`);
+      this.applyCatalog(catalog);
     }
+  }
+
+  // Description: Looks up a catalog entry by CSV file name
+  getDatasetEntry(dataset) {
+    return Object.values(this.DATASET_MAP).find(d => d.dataset === dataset);
+  }
 
   // Description: Defines the structured prompt for query analysis
   // Guides AI to identify datasets, columns, and search values
@@ -98,14 +156,14 @@ class AIDataService {
     ### Dataset Selection Protocol
     1. Match query type to these datasets:
     ${Object.entries(this.DATASET_MAP).map(([key, val]) => 
-      `- ${val.dataset}: ${val.queries.join(', ')}` // ✅ Correctly using this.DATASET_MAP
+      `- ${val.dataset}${val.purpose ? ` (${val.purpose})` : ''}: ${val.queries.join(', ')}`
     ).join('\n')}
   
     2. Default to warehouseData.csv for ambiguous queries
   
     ### Column Selection Guide
     ${Object.entries(this.DATASET_MAP).map(([key, val]) => 
-      `- ${val.dataset}: ${val.columns.join(', ')}` // ✅ Correctly using this.DATASET_MAP
+      `- ${val.dataset} (key: ${val.keyColumn}${val.language !== "en" ? `, values in ${languageName(val.language)}` : ''}): ${val.columns.map(col => `${col} [${val.columnTypes[col]}${val.fields?.[col]?.mask ? ', masked' : ''}]`).join(', ')}`
     ).join('\n')}
   
     ### Examples
@@ -125,100 +183,462 @@ class AIDataService {
          "confidence": 0.88
        }
   
+    3. Questions needing fields from several datasets (e.g. stock level AND price) use a join plan:
+       {
+         "datasets": [
+           { "dataset": "warehouseData.csv", "columns": ["soh"] },
+           { "dataset": "stockPricingData.csv", "columns": ["moving_average_price"] },
+           { "dataset": "materialBasicData.csv", "columns": ["manufacturer", "item_description"] }
+         ],
+         "joinKey": "sku_id",
+         "value": "grundfos",
+         "confidence": 0.9
+       }
+       Only use a join plan when one dataset cannot answer the question. joinKey is always "sku_id".
+  
+    ### Filter Expressions
+    Use "filter" for comparisons, ranges, dates or several conditions. Operators: eq, neq, contains,
+    starts_with, lt, lte, gt, gte, between (two values), in (list). Types: string, number, date (YYYY-MM-DD).
+    Combine conditions with {"and": [...]} / {"or": [...]}; negate with {"not": {...}}.
+    "value" may be omitted when "filter" fully describes the search.
+    Columns marked "masked" can be displayed but never filtered on, and search values do not match them.
+    They cannot be grouped by or aggregated either, except with count or count_distinct.
+    1. Query: "Items with soh below 5"
+       Response: {
+         "dataset": "warehouseData.csv",
+         "columns": ["soh", "storage_bin"],
+         "filter": { "column": "soh", "op": "lt", "value": 5, "type": "number" },
+         "confidence": 0.9
+       }
+
+    2. Query: "Orders after 2024-01-01 from Acme"
+       Response: {
+         "dataset": "purchaseRecords.csv",
+         "columns": ["vendorname", "orderdate"],
+         "filter": { "and": [
+           { "column": "orderdate", "op": "gt", "value": "2024-01-01", "type": "date" },
+           { "column": "vendorname", "op": "contains", "value": "acme", "type": "string" }
+         ] },
+         "confidence": 0.9
+       }
+  
+    ### Aggregations
+    For counts, totals, averages, minimums or maximums add "aggregate" (optionally with "filter"/"value").
+    Operations: count, count_distinct, sum, avg, min, max. "groupBy" lists zero or more columns.
+    1. Query: "How many SKUs are stocked in bin A-12"
+       Response: {
+         "dataset": "warehouseData.csv",
+         "columns": ["storage_bin"],
+         "filter": { "column": "storage_bin", "op": "eq", "value": "A-12" },
+         "aggregate": { "metrics": [{ "op": "count_distinct", "column": "sku_id", "as": "sku_count" }] },
+         "confidence": 0.9
+       }
+
+    2. Query: "Average last purchase price by vendor"
+       Response: {
+         "datasets": [
+           { "dataset": "stockPricingData.csv", "columns": ["last_purchase_price"] },
+           { "dataset": "purchaseRecords.csv", "columns": ["vendorname"] }
+         ],
+         "joinKey": "sku_id",
+         "aggregate": {
+           "groupBy": ["vendorname"],
+           "metrics": [{ "op": "avg", "column": "last_purchase_price" }]
+         },
+         "confidence": 0.85
+       }
+  
+    ### Output
+    Submit the plan by calling the ${ANALYSIS_TOOL_NAME} function with the JSON shown in the examples.
+
+    ### Languages
+    Questions may be written in any language (e.g. French or Spanish). Understand them in that
+    language, but "value" and filter values must be in the language of the dataset searched
+    (English unless the guide says otherwise): translate descriptive terms ("pompe", "bomba" -> "pump")
+    and keep SKUs, part numbers, bins, vendor and manufacturer names exactly as written.
+
     ### Strict Requirements
     - Never use null/empty values
     - Minimum confidence = 0.4
+    - When unsure which dataset is meant, return a confidence below 0.4 and list up to 3
+      "alternatives": [{"dataset": "...", "reason": "..."}] so the user can be asked
     - Invalid example (REJECTED):
       {"dataset":null,"columns":[],"value":null,"confidence":0}
     `;
 }
 
+// Description: Builds conversation context messages for follow-up questions
+// Includes the last resolved query so pronouns ("its", "that item") resolve to it
+buildConversationMessages(session) {
+    const messages = [];
+    if (session?.lastQuery) {
+        messages.push({
+            role: "system",
+            content: `Previously resolved query: ${JSON.stringify(session.lastQuery)}. ` +
+                `If the user refers to an earlier item (e.g. "it", "its", "that SKU"), reuse this value ` +
+                `and pick the dataset/columns that answer the new question.`
+        });
+    }
+    return messages.concat(SessionStore.toChatMessages(session));
+}
+
 // Description: Main query analysis workflow
-// 1. Sends query to OpenAI
-// 2. Processes response
-// 3. Handles errors gracefully with a timeout mechanism
-async analyzeQuery(userMessage, context) {
+// 1. Sends query to the LLM (with prior conversation turns when available),
+//    forcing a submit_query_plan tool call whose schema comes from the catalog
+// 2. Validates the plan; on failure the validation error is sent back to the
+//    model for up to ANALYSIS_REPAIR_ATTEMPTS corrections
+// 3. Handles errors gracefully with a timeout mechanism; when the model is unavailable
+//    (circuit open, retries exhausted, deadline reached) the plan comes from keyword routing
+// datasetHint: dataset the user picked from a clarification, if any
+// locale: language of the fallback message (defaults to DEFAULT_LOCALE)
+async analyzeQuery(userMessage, context, session, datasetHint, locale) {
     try {
         context.log("Initializing query analysis...");
+        await this.refreshCatalog(context);
 
-        // Set timeout for OpenAI request
-        const timeoutLimit = 15000;
-        const timeoutPromise = new Promise((_, reject) => 
-            setTimeout(() => reject(new Error("OpenAI request timeout")), timeoutLimit)
-        );
-
-        // Create OpenAI request
-        const openAIRequest = this.openai.chat.completions.create({
-            model: "gpt-4",
-            temperature: 0.2,
-            max_tokens: 200,
-            messages: [
-                { role: "system", content: this.ANALYSIS_PROMPT },
-                { role: "user", content: userMessage }
-            ]
-        });
+        const messages = [
+            { role: "system", content: this.ANALYSIS_PROMPT },
+            ...this.buildConversationMessages(session),
+            ...(datasetHint ? [{
+                role: "system",
+                content: `The user confirmed this question is about ${datasetHint}. Use that dataset.`
+            }] : []),
+            ...this.buildLanguageMessages(userMessage),
+            { role: "user", content: userMessage }
+        ];
+        const maxAttempts = 1 + ENV.ANALYSIS_REPAIR_ATTEMPTS;
 
-        // Race between OpenAI request and timeout
-        const response = await Promise.race([openAIRequest, timeoutPromise]);
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const response = await this.requestAnalysis(messages);
 
-        // Validate response structure
-        if (!response || !response.choices || !response.choices[0]?.message?.content) {
-          throw new Error("OpenAI returned an empty or invalid response");
-      }
+            // Validate response structure
+            const message = response?.choices?.[0]?.message;
+            if (!message || (!message.content && !message.tool_calls?.length)) {
+                throw new Error("OpenAI returned an empty or invalid response");
+            }
 
-        const responseText = response.choices[0].message.content.trim();
-        context.log(`Raw AI Response: ${responseText}`);
+            try {
+                const parsedResponse = this.extractAnalysis(message, context);
+                return this.validateAnalysis(parsedResponse, userMessage, context, locale);
+            } catch (error) {
+                if (!(error instanceof AnalysisValidationError)) throw error;
 
-        // Parse and validate response
-        const parsedResponse = JSON.parse(responseText);
-        
-        // Validate required fields
-        if (!parsedResponse.dataset || !parsedResponse.columns?.length || !parsedResponse.value) {
-            throw new Error(`Incomplete data received: ${JSON.stringify(parsedResponse)}`);
+                context.log(`Analysis validation failed [${error.rule}] (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+                if (attempt === maxAttempts) throw error;
+                messages.push(...this.buildRepairMessages(message, error));
+            }
         }
-
-        // Dataset validation
-        if (!this.VALID_DATASETS.has(parsedResponse.dataset)) {
-            throw new Error(`Invalid dataset: ${parsedResponse.dataset}`);
+    } catch (error) {
+        context.log(`AI Analysis Error: ${error.message}`);
+        if (error instanceof LlmUnavailableError) {
+            return this.analyzeByKeywords(userMessage, context, datasetHint, locale, error);
         }
+        return {
+            isValid: false,
+            fallback: this.generateFallback(userMessage, locale)
+        };
+    }
+}
 
-        // Column compatibility check
-        const validColumns = this.DATASET_MAP[
-            Object.keys(this.DATASET_MAP).find(k => 
-                this.DATASET_MAP[k].dataset === parsedResponse.dataset)
-        ].columns;
-        
-        if (!parsedResponse.columns.every(c => validColumns.includes(c))) {
-            throw new Error(`Invalid columns for ${parsedResponse.dataset}`);
-        }
+// Description: Degraded analysis while the model is unavailable
+// Plans a lookup from the SKU or part number in the message and the dataset keywords;
+// messages without an identifier get a localized "try a SKU" answer instead of a model call
+analyzeByKeywords(userMessage, context, datasetHint, locale, error) {
+    context.log(`⚡ Model unavailable (${error.reason}), routing by keywords`);
+    const datasetMap = datasetHint
+        ? Object.fromEntries(Object.entries(this.DATASET_MAP).filter(([, entry]) => entry.dataset === datasetHint))
+        : this.DATASET_MAP;
+    const keywordPlan = planByKeywords(datasetMap, userMessage, locale);
 
-        // Confidence validation
-        if (parsedResponse.confidence < 0.4) {
-            context.log(`Low confidence analysis: ${parsedResponse.confidence}`);
-            return {
-                isValid: false,
-                fallback: this.generateFallback(userMessage),
-                ...parsedResponse
-            };
+    if (keywordPlan) {
+        try {
+            context.log(`⚡ Keyword plan: ${keywordPlan.dataset}` +
+                (keywordPlan.matched.length ? ` (matched ${keywordPlan.matched.join(", ")})` : " (default dataset)"));
+            return { ...this.validateAnalysis(keywordPlan, userMessage, context, locale), degraded: true };
+        } catch (validationError) {
+            context.log(`Keyword plan rejected: ${validationError.message}`);
         }
+    }
 
-        return { 
-            isValid: true,
-            dataset: parsedResponse.dataset,
-            columns: parsedResponse.columns,
-            value: parsedResponse.value,
-            confidence: parsedResponse.confidence
-        };
+    return {
+        isValid: false,
+        degraded: true,
+        fallback: t(locale, "degraded.noIdentifier")
+    };
+}
 
+// Description: Names the question's language when it differs from a dataset's, so search
+// values are translated into the dataset's language rather than copied from the question
+buildLanguageMessages(userMessage) {
+    const detected = detectLanguage(userMessage)?.locale;
+    if (!detected || Object.values(this.DATASET_MAP).every(entry => entry.language === detected)) {
+        return [];
+    }
+    return [{
+        role: "system",
+        content: `The question is written in ${languageName(detected)}. Give search and filter values ` +
+            `in the language of the dataset you choose.`
+    }];
+}
+
+// Description: Sends one analysis request with the plan tool forced
+// The provider bounds it by LLM_ANALYSIS_TIMEOUT_MS and the request deadline, retries
+// transient failures and cancels the HTTP call when time runs out
+async requestAnalysis(messages) {
+    return this.llm.createCompletion("analysis", {
+        messages,
+        tools: [this.ANALYSIS_TOOL],
+        tool_choice: { type: "function", function: { name: ANALYSIS_TOOL_NAME } }
+    });
+}
+
+// Description: Reads the plan from the tool call, or from message content for
+// providers without tool support (tolerates markdown fences and surrounding prose)
+extractAnalysis(message, context) {
+    const toolCall = message.tool_calls?.find(call => call.function?.name === ANALYSIS_TOOL_NAME);
+    const rawText = toolCall ? toolCall.function.arguments : (message.content || "").trim();
+    context.log(`Raw AI Response: ${rawText}`);
+
+    const start = rawText.indexOf("{");
+    const end = rawText.lastIndexOf("}");
+    try {
+        if (start === -1 || end < start) throw new Error("no JSON object found");
+        return JSON.parse(rawText.slice(start, end + 1));
     } catch (error) {
-        context.log(`AI Analysis Error: ${error.message}`);
+        throw new AnalysisValidationError("malformed_json", `Response is not valid JSON: ${error.message}`);
+    }
+}
+
+// Description: Validates a parsed analysis and converts it into the analysis result
+// Throws AnalysisValidationError naming the failed rule
+validateAnalysis(parsedResponse, userMessage, context, locale) {
+    // Confidence validation (a low-confidence answer is not a schema failure)
+    if (typeof parsedResponse.confidence === "number" && parsedResponse.confidence < 0.4) {
+        context.log(`Low confidence analysis: ${parsedResponse.confidence}`);
         return {
             isValid: false,
-            fallback: this.generateFallback(userMessage)
+            fallback: this.generateFallback(userMessage, locale),
+            ...parsedResponse
         };
     }
+
+    // Normalize single-dataset and multi-dataset answers into one plan
+    const plan = this.buildQueryPlan(parsedResponse);
+
+    // Validate required fields (a search value, a filter tree, or an aggregate)
+    if (!plan.datasets.length) {
+        throw new AnalysisValidationError("missing_dataset", "No dataset was selected");
+    }
+    if (!parsedResponse.value && !parsedResponse.filter && !parsedResponse.aggregate) {
+        throw new AnalysisValidationError("missing_value", "Provide a search value, a filter or an aggregate");
+    }
+
+    // Dataset and column compatibility checks for every step of the plan
+    plan.datasets.forEach(step => this.validatePlanStep(step));
+
+    // Masked columns are shown masked but never matched, so no predicate can probe their
+    // raw values (a hashed ID by equality, a rounded price by bisection)
+    const masker = new ColumnMasker(this.DATASET_MAP);
+    plan.datasets.forEach(step => {
+        step.searchColumns = step.columns.filter(col => !masker.isMasked(col));
+    });
+    if (parsedResponse.value && plan.datasets.every(step => !step.searchColumns.length)) {
+        throw new AnalysisValidationError(
+            "masked_search",
+            "Search values cannot match masked columns. Add an unmasked column to search, such as a description"
+        );
+    }
+
+    if (plan.datasets.length > 1 && !JOIN_KEYS.includes(plan.joinKey)) {
+        throw new AnalysisValidationError("invalid_join_key", `Invalid join key: ${plan.joinKey}. Use one of: ${JOIN_KEYS.join(", ")}`);
+    }
+
+    // Filter trees are checked against the plan's columns before any blob is read
+    const filter = parsedResponse.filter
+        ? AnalysisValidationError.wrap("invalid_filter", () =>
+            validateFilter(parsedResponse.filter, this.getPlanColumns(plan), this.getPlanColumnTypes(plan)))
+        : null;
+    const maskedFilterColumns = [...new Set(filterColumns(filter).filter(col => masker.isMasked(col)))];
+    if (maskedFilterColumns.length) {
+        throw new AnalysisValidationError(
+            "masked_filter",
+            `Masked columns cannot be filtered on: ${maskedFilterColumns.join(", ")}`
+        );
+    }
+
+    // Aggregate specs use the same column rules as filters
+    const aggregate = parsedResponse.aggregate
+        ? AnalysisValidationError.wrap("invalid_aggregate", () =>
+            validateAggregate(parsedResponse.aggregate, this.getPlanColumns(plan)))
+        : null;
+
+    // Groups and metrics are ranked on raw values before masking, so grouping by a masked
+    // column or taking sum/avg/min/max of one would reveal their order; counts do not
+    const maskedAggregateColumns = aggregate
+        ? [...new Set([
+            ...aggregate.groupBy,
+            ...aggregate.metrics.filter(metric => !COUNT_OPS.includes(metric.op)).map(metric => metric.column)
+        ].filter(col => col && masker.isMasked(col)))]
+        : [];
+    if (maskedAggregateColumns.length) {
+        throw new AnalysisValidationError(
+            "masked_aggregate",
+            `Masked columns cannot be grouped by or aggregated except with count or count_distinct: ${maskedAggregateColumns.join(", ")}`
+        );
+    }
+
+    return { 
+        isValid: true,
+        dataset: plan.datasets[0].dataset,
+        columns: plan.datasets.flatMap(step => step.columns),
+        searchColumns: plan.datasets.flatMap(step => step.searchColumns),
+        value: parsedResponse.value || null,
+        filter,
+        aggregate,
+        confidence: parsedResponse.confidence,
+        plan
+    };
 }
-    
+
+// Description: Messages asking the model to correct a rejected plan
+buildRepairMessages(message, error) {
+    const feedback = `Validation failed (${error.rule}): ${error.message}. ` +
+        `Call ${ANALYSIS_TOOL_NAME} again with a corrected plan.`;
+    const toolCall = message.tool_calls?.[0];
+
+    return toolCall
+        ? [
+            { role: "assistant", content: message.content || null, tool_calls: message.tool_calls },
+            { role: "tool", tool_call_id: toolCall.id, content: feedback }
+        ]
+        : [
+            { role: "assistant", content: message.content },
+            { role: "user", content: feedback }
+        ];
+}
+
+  // Description: Builds the submit_query_plan tool; enums come from the catalog
+  createAnalysisTool() {
+    const datasets = [...this.VALID_DATASETS];
+    const columns = [...new Set([
+      ...JOIN_KEYS,
+      ...Object.values(this.DATASET_MAP).flatMap(d => d.columns)
+    ])];
+    const columnList = { type: "array", items: { type: "string", enum: columns } };
+
+    return {
+      type: "function",
+      function: {
+        name: ANALYSIS_TOOL_NAME,
+        description: "Submit the dataset query plan for the user's question",
+        parameters: {
+          type: "object",
+          properties: {
+            dataset: { type: "string", enum: datasets, description: "Dataset for single-dataset questions" },
+            columns: { ...columnList, description: "Columns of the chosen dataset" },
+            datasets: {
+              type: "array",
+              description: "Join plan when several datasets are needed",
+              items: {
+                type: "object",
+                properties: {
+                  dataset: { type: "string", enum: datasets },
+                  columns: columnList
+                },
+                required: ["dataset", "columns"]
+              }
+            },
+            joinKey: { type: "string", enum: JOIN_KEYS },
+            value: { type: "string", description: "Search value (SKU, part number, keyword)" },
+            filter: { type: "object", description: "Filter expression tree (see Filter Expressions)" },
+            aggregate: {
+              type: "object",
+              properties: {
+                groupBy: columnList,
+                metrics: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      op: { type: "string", enum: AGGREGATE_OPS },
+                      column: { type: "string", enum: columns },
+                      as: { type: "string" }
+                    },
+                    required: ["op"]
+                  }
+                },
+                limit: { type: "integer" }
+              },
+              required: ["metrics"]
+            },
+            confidence: { type: "number", minimum: 0, maximum: 1 },
+            alternatives: {
+              type: "array",
+              description: "When confidence is below 0.4: up to 3 plausible datasets with a reason",
+              items: {
+                type: "object",
+                properties: {
+                  dataset: { type: "string", enum: datasets },
+                  reason: { type: "string" }
+                },
+                required: ["dataset", "reason"]
+              }
+            }
+          },
+          required: ["confidence"]
+        }
+      }
+    };
+  }
+
+  // Description: Converts the AI response into a query plan
+  // Accepts either {dataset, columns} or {datasets: [{dataset, columns}], joinKey}
+  buildQueryPlan(parsedResponse) {
+    const steps = Array.isArray(parsedResponse.datasets) && parsedResponse.datasets.length
+      ? parsedResponse.datasets
+      : [{ dataset: parsedResponse.dataset, columns: parsedResponse.columns }];
+
+    return {
+      datasets: steps
+        .filter(step => step && step.dataset)
+        .map(step => ({
+          dataset: step.dataset,
+          columns: Array.isArray(step.columns) ? step.columns : []
+        })),
+      joinKey: parsedResponse.joinKey || JOIN_KEYS[0]
+    };
+  }
+
+  // Description: Validates one dataset step against DATASET_MAP
+  validatePlanStep(step) {
+    if (!this.VALID_DATASETS.has(step.dataset)) {
+      throw new AnalysisValidationError("unknown_dataset", `Invalid dataset: ${step.dataset}`);
+    }
+
+    const validColumns = this.getDatasetEntry(step.dataset).columns;
+
+    // Catalog columns are lowercase to match normalized CSV headers
+    step.columns = step.columns.map(c => String(c).trim().toLowerCase());
+    const invalidColumns = step.columns.filter(c => !validColumns.includes(c));
+    if (!step.columns.length || invalidColumns.length) {
+      throw new AnalysisValidationError(
+        "invalid_columns",
+        `Invalid columns for ${step.dataset}: ${invalidColumns.join(", ") || "none given"}. Valid: ${validColumns.join(", ")}`
+      );
+    }
+  }
+
+  // Description: Lists every column a filter or aggregate may reference for a plan
+  // Includes the join keys, which every dataset carries
+  getPlanColumns(plan) {
+    return [...JOIN_KEYS, ...plan.datasets.flatMap(step => this.getDatasetEntry(step.dataset).columns)];
+  }
+
+  // Description: Maps every column of a plan's datasets to its catalog type
+  getPlanColumnTypes(plan) {
+    return Object.assign({}, ...plan.datasets.map(step => this.getDatasetEntry(step.dataset).columnTypes));
+  }
+
   // Description: Parses raw AI response into structured data
   // Extracts dataset, columns, and search value
   // Handles JSON parsing and validation
@@ -257,6 +677,11 @@ async analyzeQuery(userMessage, context) {
     }
 }
 
+  // Description: Default message used when analysis cannot resolve a dataset query
+  generateFallback(userMessage, locale) {
+    return t(locale, "analysis.fallback", { message: userMessage });
+  }
+
   // Description: Error handler for AI operations
   // Logs errors and returns fallback message
   handleAnalysisError(error, context) {
@@ -273,7 +698,7 @@ async analyzeQuery(userMessage, context) {
 // - Dataset file retrieval
 // - CSV processing and filtering
 class BlobDataService {
-    constructor() {
+    constructor(datasetCache, semanticIndex, datasetAccess, llm) {
       // Initialize Azure Blob Service client
       this.serviceClient = BlobServiceClient.fromConnectionString(
         ENV.AZURE_STORAGE_CONNECTION_STRING
@@ -283,14 +708,25 @@ class BlobDataService {
           'rop maxStock mrpType': ['rop', 'maxStock', 'mrpType'],
           'sku_id item_description': ['sku_id', 'item_description']
         };
+      // Parsed datasets shared across warm invocations (null disables caching)
+      this.datasetCache = datasetCache || null;
+      // Ranked free-text search for material descriptions (null keeps substring matching)
+      this.semanticIndex = semanticIndex || null;
+      // Datasets the caller's roles permit; every read is checked (null allows all)
+      this.datasetAccess = datasetAccess || null;
+      // Request's metered LLM provider for query embeddings (null uses the index's own)
+      this.llm = llm || null;
     }
   
     // Description: Main dataset query workflow
     // 1. Verifies blob existence
-    // 2. Streams CSV data
+    // 2. Reads parsed rows from the dataset cache, or streams CSV data when
+    //    the dataset is not cacheable
     // 3. Processes results
-    async queryDataset(context, filename, columns, searchValue) {
+    // searchColumns: columns the search value may match (the unmasked requested columns)
+    async queryDataset(context, filename, columns, searchValue, filter, aggregate, searchColumns = columns) {
       try {
+        this.datasetAccess?.assert(filename);
         const containerClient = this.serviceClient.getContainerClient(ENV.DATASETS_CONTAINER);
         const blobClient = containerClient.getBlobClient(filename);
   
@@ -298,14 +734,266 @@ class BlobDataService {
           throw new Error(`Dataset ${filename} not found`);
         }
   
+        const entry = await this.getCachedDataset(blobClient, context);
+
+        // Free-text lookups on indexed datasets are ranked by similarity instead of file order
+        if (searchValue && !aggregate && this.semanticIndex?.covers(filename)) {
+          const ranked = await this.rankedSearch(context, blobClient, entry, columns, searchValue, filter);
+          if (ranked) return ranked;
+        }
+
+        if (entry) {
+          return this.processCachedRows(entry, columns, searchValue, context, filter, aggregate, searchColumns);
+        }
+
         const dataStream = await this.getDataStream(blobClient);
-        return this.processCSVData(dataStream, columns, searchValue, context);
+        return this.processCSVData(dataStream, columns, searchValue, context, filter, aggregate, searchColumns);
       } catch (error) {
         context.log(`Dataset Error: ${error.message}`);
         throw error;
       }
     }
+
+    // Description: Semantic (or trigram) search, then row lookup for the ranked keys
+    // Rows come back in score order; returns null when nothing ranked so the caller
+    // falls back to substring matching
+    async rankedSearch(context, blobClient, entry, columns, searchValue, filter) {
+      const sourceEtag = entry ? entry.etag : (await blobClient.getProperties()).etag;
+      const ranking = await this.semanticIndex.search(searchValue, context, entry?.rows, this.llm || undefined, sourceEtag);
+      if (!ranking || ranking.matches.length === 0) {
+        return null;
+      }
+
+      const scores = new Map(ranking.matches.map(match => [match.key, match.score]));
+      context.log(`🔎 ${ranking.method} search ranked ${scores.size} keys for "${forLog(searchValue)}"`);
+
+      const keyFilter = { column: SEMANTIC_KEY_COLUMN, op: "in", type: "string", value: [...scores.keys()] };
+      const rowFilter = filter ? { and: [keyFilter, filter] } : keyFilter;
+      const rows = entry
+        ? this.processCachedRows(entry, columns, null, context, rowFilter)
+        : await this.processCSVData(await this.getDataStream(blobClient), columns, null, context, rowFilter);
+
+      return rows
+        .map(row => ({ row, score: scores.get(String(row[SEMANTIC_KEY_COLUMN])) ?? 0 }))
+        .sort((a, b) => b.score - a.score)
+        .map(({ row }) => row);
+    }
+  
+    // Description: Multi-dataset query workflow for join plans
+    // 1. Streams every dataset in the plan in parallel
+    // 2. Indexes projected rows by join key and records keys matching the search value
+    // 3. Merges rows from all datasets for each matching key
+    // 4. Aggregates the merged rows when an aggregate spec is present
+    async queryJoinedDatasets(context, plan, searchValue, filter, aggregate) {
+      try {
+        plan.datasets.forEach(step => this.datasetAccess?.assert(step.dataset));
+        const joinKey = plan.joinKey.toLowerCase();
+        const matchedKeys = new Set();
+        const extraColumns = [...filterColumns(filter), ...aggregateColumns(aggregate)];
+        const containerClient = this.serviceClient.getContainerClient(ENV.DATASETS_CONTAINER);
+
+        const indexes = await Promise.all(plan.datasets.map(async step => {
+          const blobClient = containerClient.getBlobClient(step.dataset);
+          if (!await blobClient.exists()) {
+            throw new Error(`Dataset ${step.dataset} not found`);
+          }
+
+          context.log(`Indexing ${step.dataset} on ${joinKey}`);
+          const indexer = this.createJoinIndexer(step, joinKey, searchValue, matchedKeys, extraColumns, context);
+
+          const entry = await this.getCachedDataset(blobClient, context);
+          if (entry) {
+            indexer.headers(entry.headers);
+            entry.rows.forEach(indexer.row);
+            return indexer.result();
+          }
+
+          const dataStream = await this.getDataStream(blobClient);
+          return this.indexCSVData(dataStream, indexer);
+        }));
+
+        context.log(`Join matched ${matchedKeys.size} keys across ${plan.datasets.length} datasets`);
+        if (!aggregate) {
+          return this.mergeOnKey(indexes, matchedKeys, joinKey, filter, MAX_JOIN_ROWS);
+        }
+
+        const aggregator = new Aggregator(aggregate);
+        this.mergeOnKey(indexes, matchedKeys, joinKey, filter, Infinity)
+          .forEach(row => aggregator.add(row));
+        return aggregator.result();
+      } catch (error) {
+        context.log(`Join Error: ${error.message}`);
+        throw error;
+      }
+    }
+
+    // Description: Full records for one key across datasets (clarification answers)
+    // Uses the cached exact index where available, otherwise streams with an eq filter
+    async getRecordsByKey(context, datasets, joinKey, key) {
+      datasets.forEach(dataset => this.datasetAccess?.assert(dataset));
+      const containerClient = this.serviceClient.getContainerClient(ENV.DATASETS_CONTAINER);
+      const filter = { column: joinKey, op: "eq", type: "string", value: String(key) };
+
+      const indexes = await Promise.all(datasets.map(async dataset => {
+        const blobClient = containerClient.getBlobClient(dataset);
+        if (!await blobClient.exists()) {
+          throw new Error(`Dataset ${dataset} not found`);
+        }
+
+        const entry = await this.getCachedDataset(blobClient, context);
+        const rows = entry
+          ? DatasetCache.lookup(entry, joinKey, key) || entry.rows.filter(row => evaluateFilter(filter, row))
+          : await this.processCSVData(await this.getDataStream(blobClient), [joinKey], null, context, filter);
+        return { dataset, index: new Map([[String(key), rows]]) };
+      }));
+
+      return this.mergeOnKey(indexes, new Set([String(key)]), joinKey, null, MAX_JOIN_ROWS);
+    }
+
+    // Description: Builds a Map of joinKey -> projected rows one row at a time
+    // Rows whose requested columns contain the search value mark their key as matched;
+    // without a search value every key is a candidate and the filter decides after merging
+    // extraColumns (filter/aggregate columns) are projected when this dataset owns them
+    createJoinIndexer(step, joinKey, value, matchedKeys, extraColumns, context) {
+      const index = new Map();
+      const columns = step.columns.map(col => col.toLowerCase());
+      const searchColumns = (step.searchColumns || step.columns).map(col => col.toLowerCase());
+      const searchValue = value ? value.toLowerCase() : null;
+      let projectedColumns = columns;
+
+      return {
+        headers: headers => {
+          if (!headers.includes(joinKey)) {
+            throw new Error(`Join key ${joinKey} missing from ${step.dataset}`);
+          }
+          this.validateColumns(headers, columns, context);
+          // Carry filter/aggregate columns this dataset owns so merged rows can use them
+          const ownExtraColumns = extraColumns.filter(col => headers.includes(col));
+          projectedColumns = [...new Set([...columns, ...ownExtraColumns])];
+        },
+        row: row => {
+          const key = row[joinKey];
+          if (!key) return;
+
+          const projected = { [joinKey]: key };
+          projectedColumns.forEach(col => { projected[col] = row[col]; });
+
+          if (!index.has(key)) index.set(key, []);
+          index.get(key).push(projected);
+
+          const isMatch = !searchValue || [joinKey, ...searchColumns].some(col =>
+            (row[col] || "").toString().toLowerCase().includes(searchValue)
+          );
+          if (isMatch) matchedKeys.add(key);
+        },
+        result: () => ({ dataset: step.dataset, index })
+      };
+    }
+
+    // Description: Streams one CSV through a join indexer (datasets too large to cache)
+    async indexCSVData(stream, indexer) {
+      return new Promise((resolve, reject) => {
+          const parser = csv.parseStream(stream, {
+              headers: headers => this.normalizeHeaders(headers),
+              trim: true
+          });
+
+          parser
+              .on("headers", headers => {
+                  try {
+                      indexer.headers(headers);
+                  } catch (error) {
+                      parser.destroy();
+                      reject(error);
+                  }
+              })
+              .on("data", indexer.row)
+              .on("end", () => resolve(indexer.result()))
+              .on("error", error => reject(error));
+      });
+    }
+
+    // Description: Left-joins indexed datasets for each matched key
+    // Datasets without rows for a key leave their columns absent;
+    // datasets with several rows for a key expand into several merged rows
+    // The filter tree (if any) is applied to merged rows since it may span datasets
+    mergeOnKey(indexes, matchedKeys, joinKey, filter, limit) {
+      const merged = [];
+      for (const key of matchedKeys) {
+        let rows = [{ [joinKey]: key }];
+        for (const { index } of indexes) {
+          const matches = index.get(key);
+          if (matches && matches.length) {
+            rows = rows.flatMap(row => matches.map(match => ({ ...match, ...row })));
+          }
+        }
+        merged.push(...rows.filter(row => evaluateFilter(filter, row)));
+        if (merged.length >= limit) {
+          return merged.slice(0, limit);
+        }
+      }
+      return merged;
+    }
   
+    // Description: Returns the cached, indexed dataset for a blob
+    // Null when caching is disabled or the blob exceeds the cache budget
+    async getCachedDataset(blobClient, context) {
+      if (!this.datasetCache) return null;
+      return this.datasetCache.get(blobClient, context, stream => this.parseCSVData(stream));
+    }
+
+    // Description: Parses a whole CSV stream into normalized headers and rows
+    async parseCSVData(stream) {
+      return new Promise((resolve, reject) => {
+          const rows = [];
+          let headers = [];
+          csv.parseStream(stream, {
+              headers: raw => this.normalizeHeaders(raw),
+              trim: true
+          })
+              .on("headers", parsed => { headers = parsed; })
+              .on("data", row => rows.push(row))
+              .on("end", () => resolve({ headers, rows }))
+              .on("error", error => reject(error));
+      });
+    }
+
+    // Description: Cached-dataset equivalent of processCSVData
+    // Narrows candidates through a column index when the filter allows it
+    processCachedRows(entry, columns, value, context, filter, aggregate, searchColumns = columns) {
+      this.validateColumns(entry.headers, columns, context);
+
+      const results = [];
+      const aggregator = aggregate ? new Aggregator(aggregate) : null;
+      const sink = aggregator ? { push: row => aggregator.add(row) } : results;
+
+      this.selectCandidateRows(entry, filter, context)
+        .forEach(row => this.processRow(row, searchColumns, value, sink, context, filter));
+
+      return aggregator ? aggregator.result() : results;
+    }
+
+    // Description: Uses an exact or prefix index for a required eq / in / starts_with
+    // string comparison on an indexed column; otherwise every row is a candidate.
+    // Candidates are still evaluated against the full filter by processRow.
+    selectCandidateRows(entry, filter, context) {
+      const comparison = requiredComparisons(filter).find(node =>
+        node.type === "string" &&
+        ["eq", "in", "starts_with"].includes(node.op) &&
+        entry.indexes[node.column]
+      );
+      if (!comparison) return entry.rows;
+
+      const values = comparison.op === "in" ? comparison.value : [comparison.value];
+      const mode = comparison.op === "starts_with" ? "prefix" : "exact";
+      const candidates = [...new Set(
+        values.flatMap(v => DatasetCache.lookup(entry, comparison.column, v, mode))
+      )];
+
+      context.log(`Index ${mode} lookup on ${comparison.column}: ${candidates.length} candidate rows`);
+      return candidates;
+    }
+
     // Description: Retrieves readable stream from blob storage
     async getDataStream(blobClient) {
       const downloadResponse = await blobClient.download();
@@ -319,11 +1007,14 @@ class BlobDataService {
   
     // Description: CSV processing pipeline
     // 1. Validates columns
-    // 2. Filters rows by search value
-    // 3. Returns matching results
-    async processCSVData(stream, columns, value, context) {
+    // 2. Filters rows by search value and/or filter tree
+    // 3. Returns matching results, or the aggregate table when aggregating
+    async processCSVData(stream, columns, value, context, filter, aggregate, searchColumns = columns) {
       return new Promise((resolve, reject) => {
           const results = [];
+          // Aggregates consume matches as they stream instead of collecting rows
+          const aggregator = aggregate ? new Aggregator(aggregate) : null;
+          const sink = aggregator ? { push: row => aggregator.add(row) } : results;
           let normalizedHeaders = [];
           const parser = csv.parseStream(stream, {
               headers: headers => this.normalizeHeaders(headers), // ✅ Calls the method correctly
@@ -335,8 +1026,8 @@ class BlobDataService {
                   normalizedHeaders = headers;
                   this.validateColumns(headers, columns, context);
               })
-              .on("data", row => this.processRow(row, columns, value, results, context))
-              .on("end", () => resolve(results))
+              .on("data", row => this.processRow(row, searchColumns, value, sink, context, filter))
+              .on("end", () => resolve(aggregator ? aggregator.result() : results))
               .on("error", error => reject(error));
       }); // ✅ Ensure proper closure of processCSVData()
     }
@@ -353,14 +1044,22 @@ class BlobDataService {
 
     // ✅ Fix: Move processRow OUTSIDE of processCSVData()
     // Description: Processes individual CSV rows
-    // Applies case-insensitive search across specified columns
-    processRow(row, columns, value, results, context) {
+    // Evaluates the filter tree first, then applies case-insensitive
+    // search across specified columns when a search value is present
+    processRow(row, columns, value, results, context, filter) {
+      if (filter && !evaluateFilter(filter, row)) {
+        return;
+      }
+      if (!value) {
+        results.push(row);
+        return;
+      }
       const searchValue = value.toLowerCase();
       for (const col of columns) {
         const cellValue = (row[col] || "").toString().toLowerCase();
         if (cellValue.includes(searchValue)) {
           results.push(row);
-          context.log(`Match found in column ${col}: ${cellValue}`);
+          context.log(`Match found in column ${col}`);
           break;
         }
       }
@@ -370,38 +1069,80 @@ class BlobDataService {
 /* ========== RESPONSE FORMATTER CLASS ========== */
 // Description: Transforms raw data into user-friendly responses
 // Handles multiple result scenarios and empty states
+// locale: response language of the message catalog (cell values are never translated)
 class ResponseFormatter {
     // Description: Main formatting entry point
-    static format(results, columns, value, context) {
+    // fields: response schema from buildResponseSchema (key column first)
+    static format(results, fields, value, locale) {
       return results.length === 0
-        ? this.noResultsResponse(value)
-        : this.resultsResponse(results, columns, context);
+        ? this.noResultsResponse(value, locale)
+        : this.resultsResponse(results, fields, locale);
     }
   
     // Description: Handles empty result scenario
-    static noResultsResponse(value) {
-      return `No records found for '${value}'. Would you like to try a different search?`;
+    static noResultsResponse(value, locale) {
+      return t(locale, "results.none", { value });
     }
   
     // Description: Routes to appropriate response formatter
-    static resultsResponse(results, columns, context) {
+    static resultsResponse(results, fields, locale) {
       if (results.length > 1) {
-        return this.multiResultResponse(results, columns);
+        return this.multiResultResponse(results, fields, locale);
       }
-      return this.singleResultResponse(results[0], columns.length > 0 ? columns[0] : Object.keys(results[0])[0]);
+      return this.singleResultResponse(results[0], fields);
     }
   
-    // Description: Formats multiple results as numbered list
-    static multiResultResponse(results, columns) {
-      const primaryColumn = columns.length > 0 ? columns[0] : Object.keys(results[0])[0] || "Unknown";
-      return results.map((row, index) => 
-        `${index + 1}. SKU ${row.sku_id || "N/A"} - ${row[primaryColumn] || "Unknown"}`
-      ).join("\n") + "\nPlease specify which item you need details for.";
+    // Description: Formats multiple results as numbered list (first 10 rows)
+    // Asks the user to pick an item only when the rows cover several keys
+    static multiResultResponse(results, fields, locale) {
+      const [keyField] = fields;
+      const lines = results.slice(0, 10).map((row, index) =>
+        `${index + 1}. ${this.describeRow(row, fields)}`
+      );
+      const remaining = results.length - lines.length;
+      const distinctKeys = new Set(results.map(row => row[keyField.name])).size;
+
+      return lines.join("\n") +
+        (remaining > 0 ? `\n${t(locale, "results.more", { count: remaining })}` : "") +
+        (distinctKeys > 1 ? `\n${t(locale, "results.specify")}` : "");
     }
   
-    // Description: Formats single result with primary column focus
-    static singleResultResponse(row, primaryColumn) {
-      return `${primaryColumn}: ${row[primaryColumn] || "N/A"}`;
+    // Description: Formats a single result with every requested field
+    static singleResultResponse(row, fields) {
+      return this.describeRow(row, fields);
+    }
+
+    // Description: "SKU 10271 - Stock on Hand: 14 EA; Storage Bin: B-03"
+    static describeRow(row, fields) {
+      const [keyField, ...valueFields] = fields;
+      const details = valueFields
+        .map(field => `${field.label}: ${formatFieldValue(field, row)}`)
+        .join("; ");
+      return `${keyField.label} ${row[keyField.name] ?? "N/A"}` + (details ? ` - ${details}` : "");
+    }
+
+    // Description: Summarizes an aggregate table in natural language
+    // Ungrouped: "count: 12; sum of soh: 340"
+    // Grouped: numbered list of groups, capped at 10 lines; groupCount is the number of
+    // groups found, which can exceed the rows in the (limited) table
+    static aggregateResponse(table, aggregate, locale, groupCount = table.length) {
+      const describeMetrics = row => aggregate.metrics
+        .map(metric => `${metricLabel(metric, locale)}: ${row[metric.as] ?? "N/A"}`)
+        .join("; ");
+
+      if (aggregate.groupBy.length === 0) {
+        return describeMetrics(table[0] || {});
+      }
+      if (table.length === 0) {
+        return t(locale, "aggregate.none");
+      }
+
+      const lines = table.slice(0, 10).map((row, index) =>
+        `${index + 1}. ${aggregate.groupBy.map(col => row[col] || t(locale, "aggregate.blank")).join(" / ")} - ${describeMetrics(row)}`
+      );
+      const remaining = groupCount - lines.length;
+      return `${t(locale, "aggregate.groups", { count: groupCount, columns: aggregate.groupBy.join(", ") })}\n${lines.join("\n")}` +
+        (remaining > 0 ? `\n${t(locale, "results.more", { count: remaining })}` : "");
     }
   }
 
@@ -413,23 +1154,98 @@ class ResponseFormatter {
 // 3. Runs main processing logic race against timeout
 // 4. Returns appropriate responses or errors
 
+// Description: Session store, dataset catalog, dataset cache, semantic index, quota store,
+// audit log, result exporter and LLM provider shared across warm invocations
+// (provider creation is deferred to the first request so a misconfiguration is reported
+// as a 500; semantic searches embed with each request's metered provider)
+let llm = null;
+const sessionStore = createSessionStore();
+const datasetCatalog = new DatasetCatalog();
+const datasetCache = new DatasetCache();
+const semanticIndex = new SemanticIndex(null);
+const accessPolicy = loadAccessPolicy();
+const quotaStore = createQuotaStore();
+const quotaGuard = new QuotaGuard(quotaStore);
+const auditLog = new AuditLog();
+const resultExporter = new ResultExporter();
+
 module.exports = async function (context, req) {
     const startTime = Date.now(); // Start timer to measure execution time
     context.log(`Received request at ${new Date().toISOString()}`);
 
-    const aiService = new AIDataService();
-    const blobService = new BlobDataService();
-    
-    // Set timeout (default 8s or custom from ENV)
-    const timeoutLimit = ENV.RESPONSE_TIMEOUT || 8000; 
-    const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error(`Timeout after ${timeoutLimit}ms`)), timeoutLimit)
-    );
+    if (isPreflight(req)) {
+        return preflightResponse(req);
+    }
 
+    // Authenticate the caller and resolve the datasets their roles permit
+    const authConfigError = getAuthConfigError();
+    if (authConfigError) {
+        context.log(`❌ Authentication misconfigured: ${authConfigError}`);
+        return withCors(req, generateResponse(500, { error: t(requestLanguage(req).locale, "error.authConfig") }));
+    }
+
+    let datasetAccess;
+    try {
+        datasetAccess = new DatasetAccess(await authenticate(req, context), accessPolicy);
+        context.log(`🔑 Caller ${datasetAccess.principal.subject} (roles: ${datasetAccess.principal.roles.join(", ") || "none"})`);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, authErrorResponse(error, requestLanguage(req).locale));
+        }
+        throw error;
+    }
+
+    return handleChatRequest(context, req, datasetAccess, startTime);
+};
+
+// Description: Runs an authenticated request through quotas, metering, auditing and
+// processRequest; also used by channel adapters that authenticate callers themselves
+// (botFunction). Returns the HTTP result with CORS and Content-Language headers
+async function handleChatRequest(context, req, datasetAccess, startTime = Date.now()) {
+    // Per-user (or per-IP) request rate and daily token/cost budgets
+    const identity = clientIdentity(req, datasetAccess.principal);
+    const audit = requestAudit(req, context, "chatFunction").set({ user: identity });
+    const exceeded = await quotaGuard.check(req, identity, context);
+    if (exceeded) {
+        context.log(`⛔ ${identity}: ${exceeded.message}`);
+        const response = rateLimitResponse(exceeded, requestLanguage(req).locale);
+        await auditLog.write(audit.finish(response), context);
+        return withCors(req, response);
+    }
+
+    // Validate LLM provider configuration
+    const configError = getConfigError();
+    if (configError) {
+        context.log(`❌ LLM provider misconfigured: ${configError}`);
+        const response = generateResponse(500, { error: t(requestLanguage(req).locale, "error.llmConfig") });
+        await auditLog.write(audit.finish(response), context);
+        return withCors(req, { ...response, headers: { ...response.headers, "Content-Language": requestLanguage(req).locale } });
+    }
+
+    // Initialize the LLM provider (OpenAI, Azure OpenAI or mock) on the first request.
+    // Calls made for this request are metered and added to the caller's daily usage,
+    // and cancelled when they would run past the request deadline
+    llm = llm || createLlmProvider();
+    const meter = requestMeter(req);
+    const deadline = new Deadline(ENV.RESPONSE_TIMEOUT, startTime);
+    const meteredLlm = llm.withMeter(meter).withDeadline(deadline);
+    const aiService = new AIDataService(datasetCatalog, meteredLlm, datasetAccess);
+    const blobService = new BlobDataService(datasetCache, semanticIndex, datasetAccess, meteredLlm);
+
+    const result = await runWithTimeout(context, req, aiService, blobService, startTime, deadline);
+    await meter.flush(quotaStore, identity, context);
+    await auditLog.write(audit.finish(result), context);
+
+    return withCors(req, { ...result, headers: { ...result.headers, "Content-Language": requestLanguage(req).locale } });
+}
+
+// Description: Runs processRequest against the request deadline (RESPONSE_TIMEOUT_MS)
+// Always resolves with an HTTP result (timeouts and errors become a 500)
+async function runWithTimeout(context, req, aiService, blobService, startTime, deadline) {
     try {
         const result = await Promise.race([
-            processRequest(context, req, aiService, blobService),
-            timeoutPromise
+            processRequest(context, req, aiService, blobService, sessionStore),
+            deadline.expired()
         ]);
 
         const executionTime = Date.now() - startTime; // Calculate execution time
@@ -439,107 +1255,367 @@ module.exports = async function (context, req) {
     } catch (error) {
         const executionTime = Date.now() - startTime; // Capture time before error
         context.log(`Function Error: ${error.stack}`);
+        requestAudit(req, context, "chatFunction").set({ outcome: error.message.includes("Timeout") ? "timeout" : "error" });
         context.log(`Total Execution Time before failure: ${executionTime}ms`);
 
+        const { locale } = requestLanguage(req);
         return {
             status: 500,
             body: { 
-                error: "Processing failed",
+                error: t(locale, "error.processing"),
                 details: error.message.includes("Timeout") 
-                    ? "Try using specific inventory terms like SKU numbers or product names" 
+                    ? t(locale, "error.timeoutHint")
                     : error.message,
                 support: "contact@inventory-support.com",
                 executionTime: `${executionTime}ms`
             }
         };
+    } finally {
+        deadline.clear();
     }
-};
+}
 
 // Main processing logic extracted for clarity
-async function processRequest(context, req, aiService, blobService) {
+async function processRequest(context, req, aiService, blobService, sessionStore) {
+    const audit = requestAudit(req, context, "chatFunction");
     try {
-        context.log("Incoming request body:", JSON.stringify(req.body));
+        context.log("Incoming request body:", forLog(JSON.stringify(req.body)));
 
         // Ensure request body exists and userMessage is present
         if (!req.body || !req.body.userMessage || typeof req.body.userMessage !== "string") {
             context.log("❌ Error: Missing or invalid 'userMessage' in request body.");
-            return generateResponse(400, { error: "Missing or invalid 'userMessage' in request body." });
+            return generateResponse(400, { error: t(requestLanguage(req).locale, "error.missingMessage") });
+        }
+
+        // Optional download of the result set ("csv", "xlsx" or "json")
+        if (req.body.format !== undefined && !resolveExportFormat(req.body.format)) {
+            return generateResponse(400, {
+                error: t(requestLanguage(req).locale, "error.unsupportedFormat", { format: req.body.format })
+            });
         }
 
         const userMessage = req.body.userMessage.trim();
-        context.log(`📩 Received userMessage: "${userMessage}"`);
+        context.log(`📩 Received userMessage: "${forLog(userMessage)}"`);
+        audit.setMessage(userMessage);
+
+        // Load the caller's conversation history for follow-up questions
+        const owner = clientIdentity(req, aiService.datasetAccess?.principal);
+        const session = await sessionStore.load(resolveConversationId(req.body.conversationId), context, owner);
+        const { conversationId } = session;
+        audit.set({ conversationId });
+        context.log(`🧠 Conversation ${conversationId}: ${session.turns.length} prior turns`);
+
+        // Response language (explicit locale, the message's language or the conversation's)
+        const { locale, detected, source } = requestLanguage(req, session);
+        session.locale = locale;
+        audit.set({ locale });
+        context.log(`🌐 Responding in ${locale} (${source}${detected ? `, message in ${detected}` : ""})`);
+
+        // Answer a pending clarification (by index or SKU) before analyzing from scratch
+        const pending = session.pendingClarification;
+        session.pendingClarification = null;
+        const selection = pending ? resolveSelection(pending, req.body.selection ?? userMessage) : null;
+
+        if (selection && pending.type === "sku") {
+            audit.set({ outcome: "selection", datasets: pending.query.datasets });
+            return audit.measure("data", () => respondWithSelectedRecord(
+                context, req, aiService, blobService, sessionStore, session, userMessage, pending, selection
+            ));
+        }
 
-        // Perform AI query analysis
-        const analysis = await aiService.analyzeQuery(userMessage, context);
+        // Callers whose roles permit no dataset cannot run inventory queries
+        if (Object.keys(aiService.DATASET_MAP).length === 0) {
+            return generateResponse(403, {
+                error: t(locale, "error.forbidden"),
+                details: t(locale, "error.noDatasetAccess")
+            });
+        }
+
+        // Perform AI query analysis (re-running the original question for a dataset choice)
+        const analysis = await audit.measure("analysis", () => selection
+            ? aiService.analyzeQuery(pending.query.userMessage, context, session, selection.dataset, locale)
+            : aiService.analyzeQuery(userMessage, context, session, null, locale));
         context.log("🔍 AI Analysis Result:", JSON.stringify(analysis, null, 2));
+        audit.setAnalysis(analysis);
+
+        // Answers planned without the model say so and skip further model calls
+        const degraded = analysis.degraded
+            ? { degraded: true, notice: t(locale, "degraded.notice") }
+            : {};
+        if (analysis.degraded) {
+            audit.set({ degraded: true });
+        }
 
         if (analysis.isValid) {
             try {
-                // Query dataset
-                const results = await blobService.queryDataset(
-                    context,
-                    analysis.dataset,
-                    analysis.columns,
-                    analysis.value
-                );
+                // Query a single dataset, or run a join plan across several
+                const isJoinPlan = analysis.plan && analysis.plan.datasets.length > 1;
+                const datasets = analysis.plan.datasets.map(step => step.dataset);
+                audit.set({ datasets });
+                const rawResults = await audit.measure("data", () => isJoinPlan
+                    ? blobService.queryJoinedDatasets(
+                        context, analysis.plan, analysis.value, analysis.filter, analysis.aggregate
+                    )
+                    : blobService.queryDataset(
+                        context,
+                        analysis.dataset,
+                        analysis.columns,
+                        analysis.value,
+                        analysis.filter,
+                        analysis.aggregate,
+                        analysis.searchColumns
+                    ));
         
-                context.log("📊 Dataset Query Results:", JSON.stringify(results, null, 2));
+                // Aggregates return every group; the total is reported and the first
+                // aggregate.limit groups are returned
+                const groupCount = analysis.aggregate ? rawResults.length : null;
+                const limitedResults = analysis.aggregate ? rawResults.slice(0, analysis.aggregate.limit) : rawResults;
+
+                // Column masks apply before rows reach the response, the synthesis prompt or the log
+                const masker = new ColumnMasker(aiService.DATASET_MAP);
+                const results = analysis.aggregate
+                    ? masker.maskAggregateTable(limitedResults, analysis.aggregate)
+                    : masker.maskRows(limitedResults);
+
+                context.log(`📊 Dataset Query Results: ${results.length} row(s)`, JSON.stringify(results.slice(0, 3)));
+                audit.set({ matchCount: groupCount ?? results.length });
+
+                // Aggregate queries return the aggregate table plus a summary
+                if (analysis.aggregate) {
+                    audit.set({ outcome: "aggregate" });
+                    const message = ResponseFormatter.aggregateResponse(results, analysis.aggregate, locale, groupCount);
+                    await sessionStore.record(context, session, userMessage, message, analysis);
+                    const exported = await saveResultExport(context, req, aiService, {
+                        question: userMessage,
+                        datasets,
+                        columns: aggregateExportColumns(analysis.aggregate, aiService.getDatasetEntry(analysis.dataset), locale),
+                        rows: results
+                    });
+                    return generateResponse(200, {
+                        success: true,
+                        conversationId,
+                        message,
+                        ...degraded,
+                        aggregate: {
+                            groupBy: analysis.aggregate.groupBy,
+                            metrics: analysis.aggregate.metrics,
+                            groupCount
+                        },
+                        data: results,
+                        ...exported
+                    });
+                }
         
                 if (!results || results.length === 0) {
+                    audit.set({ outcome: "no_results" });
+                    const message = ResponseFormatter.noResultsResponse(describeSearch(analysis), locale);
+                    await sessionStore.record(context, session, userMessage, message);
                     return generateResponse(200, {
                         success: false,
-                        message: `No matching records found for '${analysis.value}'.`,
+                        conversationId,
+                        message,
+                        ...degraded,
                         data: []
                     });
                 }
+
+                // Several SKUs matched: offer them as choices for the next message
+                const clarification = buildSkuClarification(results, analysis, userMessage, locale);
+                session.pendingClarification = clarification;
+
+                await sessionStore.record(
+                    context,
+                    session,
+                    userMessage,
+                    summarizeResults(results, analysis),
+                    analysis
+                );
+
+                // Shape rows to the requested columns of whichever dataset(s) were queried
+                const fields = masker.visibleFields(
+                    buildResponseSchema(analysis.plan, dataset => aiService.getDatasetEntry(dataset), locale)
+                );
+                const data = shapeRows(results, fields);
+
+                // Answer the question from the rows; the formatted summary is the fallback
+                // (and the answer while the model is unavailable)
+                const synthesis = analysis.degraded ? null : await audit.measure("synthesis", () =>
+                    new AnswerSynthesizer(aiService.llm).synthesize(userMessage, data, fields, context, locale));
+                audit.set({ outcome: "answered" });
+
+                // The full result set stays downloadable under its result ID
+                const exported = await saveResultExport(context, req, aiService, {
+                    question: userMessage,
+                    datasets,
+                    columns: exportColumns(fields, data, dataset => aiService.getDatasetEntry(dataset), locale),
+                    rows: data
+                });
         
                 return generateResponse(200, {
                     success: true,
-                    message: "Matching SKUs found",
-                    data: results.map(item => ({
-                        sku: item.sku_id,
-                        description: item.item_description,
-                        manufacturer: item.manufacturer,
-                        part_number: item.mfg_part_nos,
-                        category: item.item_main_category,
-                        sub_category: item.item_sub_category
-                    }))
+                    conversationId,
+                    message: synthesis?.answer || ResponseFormatter.format(results, fields, describeSearch(analysis), locale),
+                    ...degraded,
+                    ...(synthesis ? {
+                        citations: synthesis.citations,
+                        rowsUsed: synthesis.rowsUsed,
+                        truncated: synthesis.truncated
+                    } : {}),
+                    ...(clarification ? { clarification: toClientClarification(clarification) } : {}),
+                    datasets,
+                    fields: toClientFields(fields),
+                    data,
+                    ...exported
                 });
         
             } catch (datasetError) {
                 context.log("❌ Dataset Query Error:", datasetError.message);
+                if (datasetError instanceof AuthError) {
+                    return generateResponse(datasetError.status, { error: t(locale, "error.forbidden"), details: datasetError.message });
+                }
                 return generateResponse(500, {
-                    error: "Dataset query failed",
+                    error: t(locale, "error.datasetQuery"),
                     details: datasetError.message
                 });
             }
                     
         } else {
+            // Low confidence: ask which dataset was meant when there are plausible candidates
+            const isLowConfidence = typeof analysis.confidence === "number" && analysis.confidence < 0.4;
+            const clarification = isLowConfidence
+                ? buildDatasetClarification(analysis, aiService.DATASET_MAP, userMessage, locale)
+                : null;
+
+            if (clarification) {
+                audit.set({ outcome: "clarification" });
+                session.pendingClarification = clarification;
+                const message = formatClarification(clarification);
+                await sessionStore.record(context, session, userMessage, message);
+                return generateResponse(200, {
+                    success: true,
+                    conversationId,
+                    message,
+                    clarification: toClientClarification(clarification)
+                });
+            }
+
+            // Without the model, ask for an identifier keyword routing can use
+            if (analysis.degraded) {
+                audit.set({ outcome: "fallback" });
+                await sessionStore.record(context, session, userMessage, analysis.fallback);
+                return generateResponse(200, { success: true, conversationId, message: analysis.fallback, ...degraded });
+            }
+
             try {
                 // If dataset lookup fails, fallback to OpenAI response
-                const openaiResponse = await aiService.openai.chat.completions.create({
-                    model: "gpt-4",
-                    messages: [{ role: "user", content: userMessage }],
-                    max_tokens: 150
-                });
+                audit.set({ outcome: "fallback" });
+                const completionParams = {
+                    messages: [
+                        { role: "system", content: FALLBACK_PROMPT },
+                        { role: "system", content: `Reply in ${languageName(locale)}.` },
+                        ...aiService.buildConversationMessages(session),
+                        { role: "user", content: userMessage }
+                    ]
+                };
 
+                const openaiResponse = await audit.measure("fallback", () =>
+                    aiService.llm.createCompletion("fallback", completionParams));
                 context.log("💬 OpenAI Raw Response:", JSON.stringify(openaiResponse, null, 2));
-
                 const message = openaiResponse.choices?.[0]?.message?.content || analysis.fallback;
                 context.log("Processed OpenAI Message:", message);
 
-                return generateResponse(200, { success: true, message });
+                await sessionStore.record(context, session, userMessage, message);
+
+                return generateResponse(200, { success: true, conversationId, message });
             } catch (openaiError) {
                 context.log("❌ OpenAI Request Error:", openaiError.message);
-                return generateResponse(500, { error: "AI processing failed", details: openaiError.message });
+                return generateResponse(500, { error: t(locale, "error.aiProcessing"), details: openaiError.message });
             }
         }
     } catch (error) {
         context.log("🚨 Unexpected Error in processRequest:", error.stack);
-        return generateResponse(500, { error: "Unexpected server error", details: error.message });
+        return generateResponse(500, { error: t(requestLanguage(req).locale, "error.unexpected"), details: error.message });
+    }
+}
+
+// Resolves a SKU chosen from a clarification to its full record(s)
+async function respondWithSelectedRecord(context, req, aiService, blobService, sessionStore, session, userMessage, pending, selection) {
+    const { locale } = requestLanguage(req, session);
+    try {
+        const { datasets, joinKey } = pending.query;
+        const masker = new ColumnMasker(aiService.DATASET_MAP);
+        const records = masker.maskRows(await blobService.getRecordsByKey(context, datasets, joinKey, selection.sku));
+
+        // A chosen item is shown with every catalogued column of its datasets
+        const fields = masker.visibleFields(buildResponseSchema({
+            joinKey,
+            datasets: datasets.map(dataset => ({ dataset, columns: aiService.getDatasetEntry(dataset)?.columns || [] }))
+        }, dataset => aiService.getDatasetEntry(dataset), locale));
+        const message = records.length
+            ? ResponseFormatter.format(records, fields, selection.sku, locale)
+            : t(locale, "results.noneForSku", { sku: selection.sku });
+
+        // The chosen SKU becomes the subject of follow-up questions
+        await sessionStore.record(context, session, userMessage, message, {
+            dataset: datasets[0],
+            columns: Object.keys(records[0] || {}),
+            value: String(selection.sku)
+        });
+
+        return generateResponse(200, {
+            success: records.length > 0,
+            conversationId: session.conversationId,
+            message,
+            selection: { index: selection.index, sku: selection.sku },
+            datasets,
+            fields: toClientFields(fields),
+            data: shapeRows(records, fields)
+        });
+    } catch (datasetError) {
+        context.log("❌ Selection Lookup Error:", datasetError.message);
+        if (datasetError instanceof AuthError) {
+            return generateResponse(datasetError.status, { error: t(locale, "error.forbidden"), details: datasetError.message });
+        }
+        return generateResponse(500, {
+            error: t(locale, "error.datasetQuery"),
+            details: datasetError.message
+        });
     }
 }
 
+// Description: Stores a result snapshot for later export and, when the request asked for a
+// format, renders the file right away
+// Returns response fields: { resultId, export } (empty when exports are unavailable)
+async function saveResultExport(context, req, aiService, snapshot) {
+    const format = resolveExportFormat(req.body.format);
+    try {
+        const owner = clientIdentity(req, aiService.datasetAccess?.principal);
+        const resultId = await resultExporter.save({ ...snapshot, owner });
+        if (!format) {
+            return { resultId };
+        }
+
+        const file = await resultExporter.export({ ...snapshot, resultId }, format);
+        context.log(`📦 Exported ${file.rows} row(s) as ${format} (${file.bytes} bytes, ${file.url ? "SAS link" : "inline"})`);
+        return { resultId, export: toClientExport(file) };
+    } catch (error) {
+        context.log(`❌ Result Export Error: ${error.message}`);
+        return format ? { exportError: t(requestLanguage(req).locale, "error.export") } : {};
+    }
+}
+
+// Helper to store a compact record of dataset results in conversation history
+function summarizeResults(results, analysis) {
+    const skus = results.slice(0, 10).map(item => item.sku_id).filter(Boolean);
+    return `Found ${results.length} record(s) in ${analysis.dataset} for '${describeSearch(analysis)}'` +
+        (skus.length ? ` (SKUs: ${skus.join(", ")})` : "") + ".";
+}
+
+// Helper describing the search value and filter of an analysis for messages
+function describeSearch(analysis) {
+    return [analysis.value, describeFilter(analysis.filter)].filter(Boolean).join(" where ");
+}
+
 // ✅ Helper function to standardize API responses
 function generateResponse(status, body) {
     // Ensure body is always valid JSON
@@ -550,11 +1626,12 @@ function generateResponse(status, body) {
     return {
         status,
         headers: {
-            "Content-Type": "application/json",
-            "Access-Control-Allow-Origin": "*",
-            "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
-            "Access-Control-Allow-Headers": "Content-Type"
+            "Content-Type": "application/json"
         },
         body: JSON.stringify(body) // Ensure JSON is properly formatted
     };
 }
+
+// Query analysis is also run offline by scripts/evaluateRouting.js
+module.exports.AIDataService = AIDataService;
+module.exports.handleChatRequest = handleChatRequest;
@@ -0,0 +1,151 @@
+/* ========== MODULE IMPORTS ========== */
+// Description: Validated, versioned uploads of the CSV datasets
+// ?dataset=<catalog key or file name> selects the dataset for every call
+// - POST (CSV body): validates against the catalog entry; valid files are stored as a new
+//   version and promoted, invalid ones are stored with their report and rejected (422)
+//   &dryRun=true validates without storing anything
+// - POST &action=rollback[&version=<id>]: promotes an earlier version (default: the valid
+//   version before the current one)
+// - GET: version history; &version=<id> returns that version's validation report
+// Only callers holding one of DATASET_ADMIN_ROLES may use it
+const { AuthError, authenticate, authErrorResponse, getAuthConfigError } = require("../shared/auth");
+const { withCors, isPreflight, preflightResponse } = require("../shared/cors");
+const { t, requestLanguage } = require("../shared/i18n");
+const { DatasetCatalog, normalizeCatalog, DEFAULT_CATALOG } = require("../shared/datasetCatalog");
+const { validateDataset } = require("../shared/datasetValidation");
+const { DatasetVersionStore, DatasetVersionConflictError } = require("../shared/datasetVersions");
+
+// Description: Upload configuration
+// - DATASET_ADMIN_ROLES: Comma-separated roles allowed to upload and roll back datasets
+// - DATASET_UPLOAD_MAX_MB: Largest accepted CSV
+const UPLOAD_ENV = {
+  DATASET_ADMIN_ROLES: (process.env.DATASET_ADMIN_ROLES || "admin").split(",").map(role => role.trim()).filter(Boolean),
+  DATASET_UPLOAD_MAX_MB: parseInt(process.env.DATASET_UPLOAD_MAX_MB, 10) || 50
+};
+
+// Catalog and version store shared across warm invocations
+const datasetCatalog = new DatasetCatalog();
+const versionStore = new DatasetVersionStore();
+const defaultDatasets = normalizeCatalog(DEFAULT_CATALOG).datasets;
+
+module.exports = async function (context, req) {
+    const response = await handleUploadRequest(context, req);
+    return { ...response, headers: { ...response.headers, "Content-Language": requestLanguage(req).locale } };
+};
+
+// Description: Handles one upload request; error texts are in the request locale
+async function handleUploadRequest(context, req) {
+    context.log("📤 Received request for datasetUploadFunction");
+
+    if (isPreflight(req)) {
+        return preflightResponse(req);
+    }
+
+    const authConfigError = getAuthConfigError();
+    if (authConfigError) {
+        context.log(`❌ Authentication misconfigured: ${authConfigError}`);
+        return withCors(req, generateResponse(500, { error: t(requestLanguage(req).locale, "error.authConfig") }));
+    }
+
+    let principal;
+    try {
+        principal = await authenticate(req, context);
+        if (!principal.roles.some(role => UPLOAD_ENV.DATASET_ADMIN_ROLES.includes(role))) {
+            throw AuthError.forbidden("Dataset uploads require one of the roles: " + UPLOAD_ENV.DATASET_ADMIN_ROLES.join(", "));
+        }
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, authErrorResponse(error, requestLanguage(req).locale));
+        }
+        throw error;
+    }
+
+    // Resolve the dataset from the catalog
+    const { locale } = requestLanguage(req);
+    const query = req.query || {};
+    if (!query.dataset) {
+        return withCors(req, generateResponse(400, { error: t(locale, "error.missingDataset") }));
+    }
+    // The bundled definitions cover datasets not yet in the container (discovered catalogs
+    // only list existing files)
+    const catalog = await datasetCatalog.load(context);
+    const findEntry = datasets => Object.entries(datasets)
+        .find(([key, candidate]) => key === query.dataset || candidate.dataset === query.dataset)?.[1];
+    const entry = findEntry(catalog.datasets) || findEntry(defaultDatasets);
+    if (!entry) {
+        return withCors(req, generateResponse(404, { error: t(locale, "error.unknownDataset", { dataset: query.dataset }) }));
+    }
+    const file = entry.dataset;
+
+    try {
+        if ((req.method || "GET").toUpperCase() === "GET") {
+            if (query.version) {
+                const report = await versionStore.report(file, query.version);
+                return withCors(req, report
+                    ? generateResponse(200, report)
+                    : generateResponse(404, { error: t(locale, "error.unknownVersion", { version: query.version, dataset: file }) }));
+            }
+            const { etag, ...history } = await versionStore.history(file);
+            return withCors(req, generateResponse(200, history));
+        }
+
+        if (query.action === "rollback") {
+            const result = await versionStore.rollback(file, query.version, context);
+            if (!result) {
+                return withCors(req, generateResponse(409, { error: t(locale, "error.noRollbackVersion", { dataset: file }) }));
+            }
+            context.log(`⏪ ${file} rolled back from ${result.previous} to ${result.version.id}`);
+            return withCors(req, generateResponse(200, { dataset: file, version: result.version, previous: result.previous }));
+        }
+        if (query.action) {
+            return withCors(req, generateResponse(400, { error: t(locale, "error.unknownAction", { action: query.action }) }));
+        }
+
+        // Validate the uploaded file
+        const content = requestBody(req);
+        if (!content || content.length === 0) {
+            return withCors(req, generateResponse(400, { error: t(locale, "error.missingCsv") }));
+        }
+        if (content.length > UPLOAD_ENV.DATASET_UPLOAD_MAX_MB * 1024 * 1024) {
+            return withCors(req, generateResponse(413, { error: t(locale, "error.csvTooLarge", { maxMb: UPLOAD_ENV.DATASET_UPLOAD_MAX_MB }) }));
+        }
+
+        const report = await validateDataset(content.toString("utf8"), entry);
+        context.log(`🔎 ${file}: ${report.rows} row(s), ${report.errorCount} error(s), ${report.warningCount} warning(s)`);
+
+        if (query.dryRun === "true") {
+            return withCors(req, generateResponse(report.valid ? 200 : 422, { dataset: file, promoted: false, report }));
+        }
+
+        const version = await versionStore.upload(file, content, report, principal.name, context);
+        return withCors(req, generateResponse(version.valid ? 201 : 422, {
+            dataset: file,
+            promoted: version.valid,
+            version,
+            report
+        }));
+    } catch (error) {
+        if (error instanceof DatasetVersionConflictError) {
+            return withCors(req, generateResponse(409, { error: t(locale, "error.versionConflict", { dataset: file }) }));
+        }
+        context.log("🚨 Dataset Upload Failed:", error.message);
+        return withCors(req, generateResponse(500, { error: t(locale, "error.datasetUpload"), details: error.message }));
+    }
+}
+
+// Description: Raw request body as a Buffer (text/csv arrives as a string, binary types as a Buffer)
+function requestBody(req) {
+    if (Buffer.isBuffer(req.body)) return req.body;
+    if (typeof req.rawBody === "string" && req.rawBody) return Buffer.from(req.rawBody, "utf8");
+    if (typeof req.body === "string") return Buffer.from(req.body, "utf8");
+    return null;
+}
+
+// ✅ Helper function for API responses
+function generateResponse(status, body) {
+    return {
+        status,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    };
+}
@@ -0,0 +1,96 @@
+/* ========== MODULE IMPORTS ========== */
+// Description: Downloads a chat result set by its result ID
+// GET ?resultId=<id>&format=csv|xlsx|json (or the same fields in a POST body)
+// - Only the caller that ran the query can export it, and only while their roles
+//   still permit every dataset in it
+// - Small files are returned as an attachment; large ones as JSON with a SAS link
+const { AuthError, authenticate, authErrorResponse, getAuthConfigError } = require("../shared/auth");
+const { DatasetAccess, loadAccessPolicy } = require("../shared/accessPolicy");
+const { withCors, isPreflight, preflightResponse } = require("../shared/cors");
+const { t, requestLanguage } = require("../shared/i18n");
+const { clientIdentity } = require("../shared/rateLimit");
+const { ResultExporter, resolveExportFormat, toClientExport } = require("../shared/resultExport");
+
+// Result exporter and access policy shared across warm invocations
+const resultExporter = new ResultExporter();
+const accessPolicy = loadAccessPolicy();
+
+module.exports = async function (context, req) {
+    const response = await handleExportRequest(context, req);
+    return { ...response, headers: { ...response.headers, "Content-Language": requestLanguage(req).locale } };
+};
+
+// Description: Handles one export request; error texts are in the request locale
+async function handleExportRequest(context, req) {
+    context.log("📦 Received request for exportFunction");
+
+    if (isPreflight(req)) {
+        return preflightResponse(req);
+    }
+
+    const authConfigError = getAuthConfigError();
+    if (authConfigError) {
+        context.log(`❌ Authentication misconfigured: ${authConfigError}`);
+        return withCors(req, generateResponse(500, { error: t(requestLanguage(req).locale, "error.authConfig") }));
+    }
+
+    let datasetAccess;
+    try {
+        datasetAccess = new DatasetAccess(await authenticate(req, context), accessPolicy);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, authErrorResponse(error, requestLanguage(req).locale));
+        }
+        throw error;
+    }
+
+    // Validate the export request
+    const { locale } = requestLanguage(req);
+    const params = { ...req.query, ...(req.body && typeof req.body === "object" ? req.body : {}) };
+    const format = resolveExportFormat(params.format || "csv");
+    if (!params.resultId) {
+        return withCors(req, generateResponse(400, { error: t(locale, "error.missingResultId") }));
+    }
+    if (!format) {
+        return withCors(req, generateResponse(400, { error: t(locale, "error.unsupportedFormat", { format: params.format }) }));
+    }
+
+    try {
+        // Unknown, expired and other callers' results all look the same
+        const snapshot = await resultExporter.load(params.resultId);
+        if (!snapshot || snapshot.owner !== clientIdentity(req, datasetAccess.principal)) {
+            return withCors(req, generateResponse(404, { error: t(locale, "error.resultNotFound") }));
+        }
+        snapshot.datasets.forEach(dataset => datasetAccess.assert(dataset));
+
+        const file = await resultExporter.export(snapshot, format);
+        context.log(`📦 Exported ${file.rows} row(s) of ${snapshot.resultId} as ${format} (${file.bytes} bytes, ${file.url ? "SAS link" : "inline"})`);
+
+        if (file.url) {
+            return withCors(req, generateResponse(200, toClientExport(file)));
+        }
+        return withCors(req, {
+            status: 200,
+            headers: {
+                "Content-Type": file.contentType,
+                "Content-Disposition": `attachment; filename="${file.fileName}"`
+            },
+            body: file.content
+        });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, generateResponse(error.status, { error: t(locale, "error.forbidden"), details: error.message }));
+        }
+        context.log("🚨 Export Failed:", error.message);
+        return withCors(req, generateResponse(500, { error: t(locale, "error.export"), details: error.message }));
+    }
+}
+
+// ✅ Helper function for API responses
+function generateResponse(status, body) {
+    return {
+        status,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    };
+}
@@ -0,0 +1,162 @@
+/* ========== MODULE IMPORTS ========== */
+// Description: Single chat entry point that routes each message to the right pipeline
+// - inventory -> chatFunction (AIDataService / BlobDataService)
+// - casual -> casualChatFunction (CasualChatService)
+// - help -> static capability summary built from the dataset catalog
+// - out_of_scope -> polite refusal, or casual chat when ROUTER_OUT_OF_SCOPE_ACTION=casual
+// Every response reports the route taken: a "route" object in JSON bodies and the
+// X-Chat-Route header.
+const chatFunction = require("../chatFunction");
+const casualChatFunction = require("../casualChatFunction");
+const { createSessionStore, resolveConversationId } = require("../shared/sessionStore");
+const { DatasetCatalog } = require("../shared/datasetCatalog");
+const { IntentRouter } = require("../shared/intentRouter");
+const { createLlmProvider, getConfigError } = require("../shared/llmProvider");
+const { AuthError, authenticate, authErrorResponse, getAuthConfigError } = require("../shared/auth");
+const { corsHeaders, withCors, isPreflight, preflightResponse } = require("../shared/cors");
+const { createQuotaStore } = require("../shared/quotaStore");
+const { QuotaGuard, clientIdentity, rateLimitResponse } = require("../shared/rateLimit");
+const { requestMeter } = require("../shared/usage");
+const { AuditLog, requestAudit } = require("../shared/auditLog");
+const { t, requestLanguage } = require("../shared/i18n");
+
+// Description: Handlers for the routed targets
+const HANDLERS = {
+    inventory: chatFunction,
+    casual: casualChatFunction
+};
+
+// LLM provider, session store, dataset catalog, quota store and audit log shared across warm invocations
+// (provider creation is deferred to the first request so a misconfiguration is reported as a 500)
+let llm = null;
+const sessionStore = createSessionStore();
+const datasetCatalog = new DatasetCatalog();
+const quotaStore = createQuotaStore();
+const quotaGuard = new QuotaGuard(quotaStore);
+const auditLog = new AuditLog();
+
+module.exports = async function (context, req) {
+    context.log("🧭 Received request for routerFunction");
+
+    if (isPreflight(req)) {
+        return preflightResponse(req);
+    }
+
+    // Validate LLM provider and authentication configuration
+    const configError = getConfigError() || getAuthConfigError();
+    if (configError) {
+        context.log(`❌ Server misconfigured: ${configError}`);
+        return withCors(req, generateResponse(500, { error: "Server misconfiguration", details: configError }));
+    }
+
+    // Unauthenticated callers are rejected before any model call
+    let principal;
+    try {
+        principal = await authenticate(req, context);
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, authErrorResponse(error, requestLanguage(req).locale));
+        }
+        throw error;
+    }
+
+    // Limits are checked once here; the routed handler skips them for the same request
+    const identity = clientIdentity(req, principal);
+    const audit = requestAudit(req, context, "routerFunction").set({ user: identity });
+    const exceeded = await quotaGuard.check(req, identity, context);
+    if (exceeded) {
+        context.log(`⛔ ${identity}: ${exceeded.message}`);
+        const response = rateLimitResponse(exceeded, requestLanguage(req).locale);
+        await auditLog.write(audit.finish(response), context);
+        return withCors(req, response);
+    }
+
+    if (!req.body || !req.body.userMessage || typeof req.body.userMessage !== "string") {
+        context.log("❌ Error: Missing or invalid 'userMessage' in request body.");
+        return withCors(req, generateResponse(400, { error: t(requestLanguage(req).locale, "error.missingMessage") }));
+    }
+
+    try {
+        const userMessage = req.body.userMessage.trim();
+        const session = await sessionStore.load(resolveConversationId(req.body.conversationId), context, identity);
+        const { conversationId } = session;
+        const catalog = await datasetCatalog.load(context);
+
+        // The language is resolved once per request; the routed handler reuses it
+        const { locale } = requestLanguage(req, session);
+
+        // Initialize the router (OpenAI, Azure OpenAI or mock); the classification is
+        // metered with the routed handler's calls and flushed by that handler
+        llm = llm || createLlmProvider();
+        const meter = requestMeter(req);
+        const router = new IntentRouter(llm.withMeter(meter));
+
+        // Replies to a pending clarification always go back to the inventory pipeline
+        const classification = session.pendingClarification
+            ? { intent: "inventory", confidence: 1, reason: "answer to a clarification", source: "session" }
+            : await audit.measure("routing", () => router.classify(userMessage, catalog, session, context));
+        const route = { ...classification, target: IntentRouter.dispatchTarget(classification.intent) };
+        context.log(`🧭 Routed to ${route.target} (intent ${route.intent}, source ${route.source})`);
+
+        // The routed handler completes and writes the audit record; direct replies are written here
+        audit.setMessage(userMessage).set({
+            conversationId,
+            route: { intent: route.intent, target: route.target, confidence: route.confidence, source: route.source }
+        });
+
+        // Downstream handlers share the resolved conversationId so history stays in one session
+        const routedReq = { ...req, body: { ...req.body, conversationId } };
+        let response;
+        if (HANDLERS[route.target]) {
+            response = await HANDLERS[route.target](context, routedReq);
+        } else {
+            response = await replyDirectly(context, routedReq, session, route, catalog, locale);
+            audit.set({ outcome: route.target === "help" ? "help" : "refused" });
+            await meter.flush(quotaStore, identity, context);
+            await auditLog.write(audit.finish(response), context);
+        }
+
+        return withRoute(req, response, route);
+    } catch (error) {
+        context.log("🚨 Routing Failed:", error.message);
+        const response = generateResponse(500, { error: t(requestLanguage(req).locale, "error.routing"), details: error.message });
+        await auditLog.write(audit.finish(response), context);
+        return withCors(req, response);
+    }
+};
+
+// Description: Help and refusal replies in the request locale, recorded in the session
+// like any other turn
+async function replyDirectly(context, req, session, route, catalog, locale) {
+    const message = route.target === "help"
+        ? IntentRouter.helpMessage(catalog, locale)
+        : IntentRouter.refusalMessage(locale);
+
+    session.locale = locale;
+    await sessionStore.record(context, session, req.body.userMessage.trim(), message);
+    return generateResponse(200, { success: true, conversationId: session.conversationId, message });
+}
+
+// Description: Reports the route in the header and in the JSON body
+// Downstream responses may carry an object body (timeouts)
+function withRoute(req, response, route) {
+    const headers = { ...response.headers, ...corsHeaders(req), "X-Chat-Route": route.target };
+    const contentType = headers["Content-Type"] || "";
+
+    if (typeof response.body === "string" && contentType.includes("application/json")) {
+        return { ...response, headers, body: JSON.stringify({ ...JSON.parse(response.body), route }) };
+    }
+    if (response.body && typeof response.body === "object") {
+        return { ...response, headers, body: { ...response.body, route } };
+    }
+    return { ...response, headers };
+}
+
+// ✅ Helper function for API responses
+function generateResponse(status, body) {
+    return {
+        status,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    };
+}
@@ -0,0 +1,84 @@
+/* ========== AUDIT SUMMARY SCRIPT ========== */
+// Description: Summarizes the request audit log
+// Usage: npm run audit:summary -- [--date YYYY-MM-DD] [--days N] [--top N] [--json]
+// 1. Reads AUDIT_CONTAINER/<date>.jsonl for the N days ending at --date (default: today, 7 days)
+// 2. Prints outcomes, the dataset routing distribution, the top unanswered queries
+//    and per-stage latency (or the whole summary as JSON with --json)
+// Uses the same storage settings as the functions (a .env file is honoured)
+require("dotenv").config();
+const { AuditLog, summarizeAudit } = require("../shared/auditLog");
+
+function parseArgs(argv) {
+  const options = { date: new Date().toISOString().slice(0, 10), days: 7, top: 10, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--date": options.date = argv[++i]; break;
+      case "--days": options.days = parseInt(argv[++i], 10); break;
+      case "--top": options.top = parseInt(argv[++i], 10); break;
+      case "--json": options.json = true; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(options.date)) throw new Error("--date must be YYYY-MM-DD");
+  if (!(options.days >= 1)) throw new Error("--days must be a positive number");
+  if (!(options.top >= 1)) throw new Error("--top must be a positive number");
+  return options;
+}
+
+function dateRange(endDate, days) {
+  const end = new Date(`${endDate}T00:00:00Z`).getTime();
+  return Array.from({ length: days }, (_, i) =>
+    new Date(end - (days - 1 - i) * 86400000).toISOString().slice(0, 10));
+}
+
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+function printSummary(summary, dates) {
+  console.log(`Audit summary ${dates[0]} .. ${dates[dates.length - 1]}: ${summary.requests} request(s), ` +
+    `fallback rate ${percent(summary.fallbackRate)}`);
+
+  console.log("\nOutcomes");
+  Object.entries(summary.outcomes)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([outcome, count]) => console.log(`  ${outcome.padEnd(16)} ${count}`));
+
+  console.log("\nDataset routing");
+  summary.routing.forEach(entry => console.log(
+    `  ${entry.dataset.padEnd(28)} ${String(entry.requests).padStart(6)}  ${percent(entry.share).padStart(6)}` +
+    `  confidence ${entry.avgConfidence === null ? "-" : entry.avgConfidence.toFixed(2)}` +
+    `  with matches ${percent(entry.matchRate)}`
+  ));
+
+  console.log("\nTop unanswered queries");
+  summary.unanswered.forEach((group, i) => console.log(
+    `  ${String(i + 1).padStart(2)}. (${group.count}x) ${group.message || `#${group.messageHash}`}  ` +
+    Object.entries(group.outcomes).map(([outcome, count]) => `${outcome}:${count}`).join(" ")
+  ));
+
+  console.log("\nLatency (ms)");
+  Object.entries(summary.latency).forEach(([stage, { p50, p95 }]) =>
+    console.log(`  ${stage.padEnd(12)} p50 ${String(p50).padStart(6)}  p95 ${String(p95).padStart(6)}`));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const dates = dateRange(options.date, options.days);
+
+  const auditLog = new AuditLog();
+  const records = [];
+  for (const date of dates) {
+    records.push(...await auditLog.read(date));
+  }
+
+  const summary = summarizeAudit(records, options.top);
+  if (options.json) {
+    console.log(JSON.stringify({ from: dates[0], to: dates[dates.length - 1], ...summary }, null, 2));
+  } else {
+    printSummary(summary, dates);
+  }
+}
+
+main().catch(error => {
+  console.error(`Audit summary failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+/* ========== BOT EMULATOR SCRIPT ========== */
+// Description: Local stand-in for the Bot Framework Emulator / Teams channel
+// Usage: npm run bot:emulator -- [--endpoint URL] [--message TEXT ...] [--user NAME] [--object-id ID]
+//                                 [--tenant ID] [--locale fr-FR] [--json]
+// 1. Starts a fake Connector service that receives botFunction's replies
+// 2. Sends message activities to the bot endpoint (default http://localhost:7071/api/botFunction)
+//    from --message arguments, or interactively from stdin
+// 3. Prints each reply, rendering Adaptive Cards as text (--json prints raw activities)
+// Type "/select N" to submit choice N of the last card. The functions host must run with
+// BOT_AUTH_MODE=none, since the stand-in cannot issue Bot Connector tokens. The user's roles
+// come from the access policy's "users" entry for --object-id; --tenant is sent as the
+// Teams tenant for hosts with BOT_ALLOWED_TENANTS set
+const crypto = require("crypto");
+const http = require("http");
+const readline = require("readline");
+
+function parseArgs(argv) {
+  const options = { endpoint: "http://localhost:7071/api/botFunction", messages: [], user: "Emulator User", json: false };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--endpoint": options.endpoint = argv[++i]; break;
+      case "--message": options.messages.push(argv[++i]); break;
+      case "--user": options.user = argv[++i]; break;
+      case "--object-id": options.objectId = argv[++i]; break;
+      case "--tenant": options.tenant = argv[++i]; break;
+      case "--locale": options.locale = argv[++i]; break;
+      case "--json": options.json = true; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+/* ========== RENDERING ========== */
+// Description: Text rendering of a reply activity
+function renderActivity(activity) {
+  const lines = [];
+  if (activity.text) lines.push(activity.text);
+  for (const attachment of activity.attachments || []) {
+    const content = attachment.content || {};
+    for (const element of content.body || []) {
+      switch (element.type) {
+        case "TextBlock":
+          lines.push(element.text);
+          break;
+        case "FactSet":
+          if (element.separator) lines.push("  ---");
+          element.facts.forEach(fact => lines.push(`  ${fact.title}: ${fact.value}`));
+          break;
+        case "Input.ChoiceSet":
+          element.choices.forEach(choice => lines.push(`  [${choice.value}] ${choice.title}`));
+          break;
+        default:
+          lines.push(`  (${element.type})`);
+      }
+    }
+    (content.actions || []).forEach(action => lines.push(`  <${action.title}>  (/select N)`));
+  }
+  return lines.join("\n");
+}
+
+/* ========== CONNECTOR STAND-IN ========== */
+function startConnector(onActivity) {
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", chunk => { raw += chunk; });
+    req.on("end", () => {
+      if (req.method === "POST" && /^\/v3\/conversations\/[^/]+\/activities/.test(req.url)) {
+        onActivity(JSON.parse(raw || "{}"));
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ id: crypto.randomUUID() }));
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const server = await startConnector(activity => {
+    if (activity.type === "typing") return;
+    console.log(options.json ? JSON.stringify(activity, null, 2) : `bot> ${renderActivity(activity).replace(/\n/g, "\nbot> ")}`);
+  });
+
+  const serviceUrl = `http://127.0.0.1:${server.address().port}`;
+  const conversation = { id: `emulator-${crypto.randomUUID()}` };
+  const user = {
+    id: `user-${crypto.createHash("sha256").update(options.user).digest("hex").slice(0, 8)}`,
+    name: options.user,
+    ...(options.objectId ? { aadObjectId: options.objectId } : {})
+  };
+
+  // Description: Posts one message activity; "/select N" submits a card choice
+  async function send(input) {
+    const select = input.match(/^\/select\s+(\S+)/);
+    const activity = {
+      type: "message",
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      channelId: "emulator",
+      serviceUrl,
+      from: user,
+      recipient: { id: "bot", name: "Inventory Bot" },
+      conversation,
+      ...(options.tenant ? { channelData: { tenant: { id: options.tenant } } } : {}),
+      ...(options.locale ? { locale: options.locale } : {}),
+      ...(select ? { value: { selection: select[1] } } : { text: input })
+    };
+    const response = await fetch(options.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(activity)
+    });
+    if (!response.ok) {
+      console.log(`!! ${response.status} ${await response.text()}`);
+    }
+  }
+
+  try {
+    if (options.messages.length) {
+      for (const message of options.messages) {
+        console.log(`you> ${message}`);
+        await send(message);
+      }
+      return;
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "you> " });
+    rl.prompt();
+    for await (const line of rl) {
+      if (line.trim()) await send(line.trim());
+      rl.prompt();
+    }
+  } finally {
+    server.close();
+  }
+}
+
+main().catch(error => {
+  console.error(`Bot emulator failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,54 @@
+/* ========== SEMANTIC INDEX BUILD SCRIPT ========== */
+// Description: Offline build of the material description embedding index
+// Usage: npm run build:semantic-index
+// 1. Downloads materialBasicData.csv from the datasets container
+// 2. Embeds item_description, manufacturer and mfg_part_nos for every row
+// 3. Uploads the index document to SEMANTIC_INDEX_CONTAINER/SEMANTIC_INDEX_BLOB
+// Uses the same storage and LLM settings as the functions (a .env file is honoured)
+require("dotenv").config();
+const { BlobServiceClient } = require("@azure/storage-blob");
+const csv = require("fast-csv");
+const { createLlmProvider } = require("../shared/llmProvider");
+const { buildSemanticIndex, SEMANTIC_DATASET, SEMANTIC_ENV } = require("../shared/semanticIndex");
+
+async function readRows(stream) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    csv.parseStream(stream, {
+      headers: raw => raw.map(header => header.trim().toLowerCase()),
+      trim: true
+    })
+      .on("data", row => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+}
+
+async function main() {
+  const serviceClient = BlobServiceClient.fromConnectionString(process.env.AZURE_STORAGE_CONNECTION_STRING);
+  const source = serviceClient.getContainerClient("datasets").getBlobClient(SEMANTIC_DATASET);
+  const download = await source.download();
+  const rows = await readRows(download.readableStreamBody);
+  console.log(`Read ${rows.length} rows from ${SEMANTIC_DATASET}`);
+
+  const llm = createLlmProvider();
+  const document = await buildSemanticIndex(rows, llm, {
+    sourceEtag: download.etag,
+    model: llm.embeddingModel(),
+    onProgress: (done, total) => console.log(`Embedded ${done}/${total}`)
+  });
+
+  const container = serviceClient.getContainerClient(SEMANTIC_ENV.SEMANTIC_INDEX_CONTAINER);
+  await container.createIfNotExists();
+  const body = JSON.stringify(document);
+  await container.getBlockBlobClient(SEMANTIC_ENV.SEMANTIC_INDEX_BLOB).upload(body, Buffer.byteLength(body), {
+    blobHTTPHeaders: { blobContentType: "application/json" }
+  });
+  console.log(`Uploaded ${document.entries.length} entries (${document.dimensions} dimensions) to ` +
+    `${SEMANTIC_ENV.SEMANTIC_INDEX_CONTAINER}/${SEMANTIC_ENV.SEMANTIC_INDEX_BLOB}`);
+}
+
+main().catch(error => {
+  console.error(`Semantic index build failed: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,178 @@
+/* ========== ROUTING EVALUATION SCRIPT ========== */
+// Description: Runs analyzeQuery over the golden test set and reports routing accuracy
+// Usage: npm run eval:routing -- [options]
+//   --golden <file>      Golden set (default evaluation/goldenSet.json)
+//   --catalog <file>     Dataset catalog the prompt is built from (default shared/datasetCatalog.default.json)
+//   --replay             Answer from recorded responses instead of the live model
+//   --record             Call the live model (LLM_PROVIDER) and save its responses for --replay
+//   --recordings <file>  Recorded responses (default evaluation/recordings.json)
+//   --baseline <file>    Baseline to compare with (default evaluation/baseline.json)
+//   --update-baseline    Store this run as the new baseline
+//   --json               Print the full report as JSON
+//   --verbose            Print the analysis logs
+// Exits with status 1 when a case that passed in the baseline fails now, and with --replay
+// also when any response was recorded under another prompt or catalog, or is missing
+// CI runs --replay against the committed recordings and baseline; after changing the
+// prompt, the catalog or the golden set, re-record both with --record --update-baseline
+// Uses the same LLM settings as the functions (a .env file is honoured)
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = path.join(__dirname, "..");
+
+function parseArgs(argv) {
+  const options = {
+    golden: path.join(ROOT, "evaluation", "goldenSet.json"),
+    catalog: path.join(ROOT, "shared", "datasetCatalog.default.json"),
+    recordings: path.join(ROOT, "evaluation", "recordings.json"),
+    baseline: path.join(ROOT, "evaluation", "baseline.json"),
+    replay: false,
+    record: false,
+    updateBaseline: false,
+    json: false,
+    verbose: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case "--golden": options.golden = path.resolve(argv[++i]); break;
+      case "--catalog": options.catalog = path.resolve(argv[++i]); break;
+      case "--recordings": options.recordings = path.resolve(argv[++i]); break;
+      case "--baseline": options.baseline = path.resolve(argv[++i]); break;
+      case "--replay": options.replay = true; break;
+      case "--record": options.record = true; break;
+      case "--update-baseline": options.updateBaseline = true; break;
+      case "--json": options.json = true; break;
+      case "--verbose": options.verbose = true; break;
+      default: throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+  if (options.replay && options.record) throw new Error("--replay and --record cannot be combined");
+  if (options.replay && !fs.existsSync(options.recordings)) {
+    throw new Error(`No recordings at ${options.recordings}; run once with --record`);
+  }
+  return options;
+}
+
+const readJson = file => JSON.parse(fs.readFileSync(file, "utf8"));
+const percent = value => (value === null ? "-" : `${(value * 100).toFixed(1)}%`);
+
+function printReport(summary, comparison, results, provider) {
+  console.log(`Routing evaluation (${provider}): ${summary.passed}/${summary.cases} cases passed`);
+  console.log(`  dataset ${percent(summary.accuracy.dataset)}  columns ${percent(summary.accuracy.columns)}  ` +
+    `value ${percent(summary.accuracy.value)}  overall ${percent(summary.accuracy.overall)}`);
+
+  console.log("\nPer dataset                     support  precision  recall     f1");
+  Object.entries(summary.datasets)
+    .sort((a, b) => b[1].support - a[1].support)
+    .forEach(([dataset, m]) => console.log(
+      `  ${dataset.padEnd(28)} ${String(m.support).padStart(7)}  ${percent(m.precision).padStart(9)}  ` +
+      `${percent(m.recall).padStart(6)}  ${percent(m.f1).padStart(6)}`
+    ));
+
+  const { calibration } = summary;
+  console.log(`\nCalibration (${calibration.scored} cases with confidence, ECE ` +
+    `${calibration.expectedCalibrationError === null ? "-" : calibration.expectedCalibrationError.toFixed(3)})`);
+  calibration.buckets.filter(bucket => bucket.count).forEach(bucket => console.log(
+    `  ${bucket.range[0].toFixed(1)}-${bucket.range[1].toFixed(1)}  n=${String(bucket.count).padStart(3)}  ` +
+    `confidence ${bucket.meanConfidence.toFixed(2)}  accuracy ${percent(bucket.accuracy)}`
+  ));
+
+  const failures = results.filter(result => !result.passed);
+  if (failures.length) {
+    console.log("\nFailed cases");
+    failures.forEach(result => console.log(
+      `  ${result.id}: expected ${result.expected.dataset ?? "(none)"}, got ${result.predicted.dataset ?? "(none)"}` +
+      ` [${result.predicted.columns.join(", ")}] value ${JSON.stringify(result.predicted.value)}`
+    ));
+  }
+
+  if (!comparison) {
+    console.log("\nNo baseline to compare with (store one with --update-baseline)");
+    return;
+  }
+  console.log(`\nAgainst baseline: ${comparison.regressions.length} regression(s), ${comparison.fixed.length} fixed, ` +
+    `${comparison.newCases.length} new case(s)`);
+  comparison.regressions.forEach(regression => console.log(
+    `  REGRESSION ${regression.id}: was ${regression.before.dataset ?? "(none)"}, now ${regression.now.dataset ?? "(none)"}`
+  ));
+  comparison.metricDrops.forEach(drop => console.log(
+    `  DROP ${drop.metric}: ${percent(drop.before)} -> ${percent(drop.now)}`
+  ));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  // The provider is chosen before the function modules read their configuration
+  if (options.replay) {
+    process.env.LLM_PROVIDER = "replay";
+    process.env.LLM_REPLAY_FILE = options.recordings;
+  }
+  // Analysis never reads blobs, but chatFunction validates the storage setting on load
+  process.env.AZURE_STORAGE_CONNECTION_STRING = process.env.AZURE_STORAGE_CONNECTION_STRING || "UseDevelopmentStorage=true";
+  const { LlmProvider, RecordingChatClient, createLlmProvider } = require("../shared/llmProvider");
+  const { normalizeCatalog } = require("../shared/datasetCatalog");
+  const { AIDataService } = require("../chatFunction");
+  const {
+    validateGoldenSet, scoreCase, summarizeEvaluation, toBaseline, compareWithBaseline
+  } = require("../shared/routingEvaluation");
+
+  const cases = validateGoldenSet(readJson(options.golden));
+  const catalog = normalizeCatalog(readJson(options.catalog));
+  const staticCatalog = { current: () => catalog, load: async () => catalog };
+
+  let llm = createLlmProvider();
+  const recorder = options.record ? new RecordingChatClient(llm.client) : null;
+  if (recorder) {
+    llm = new LlmProvider(llm.name, recorder);
+  }
+
+  const context = { log: options.verbose ? (...args) => console.log(...args) : () => {} };
+  const aiService = new AIDataService(staticCatalog, llm, null);
+  const emptySession = { turns: [], lastQuery: null, pendingClarification: null };
+
+  const results = [];
+  for (const testCase of cases) {
+    const analysis = await aiService.analyzeQuery(testCase.question, context, emptySession);
+    results.push(scoreCase(testCase, analysis));
+    if (!options.json) process.stdout.write(results[results.length - 1].passed ? "." : "F");
+  }
+  if (!options.json) process.stdout.write("\n");
+
+  if (recorder) {
+    recorder.save(options.recordings);
+    console.error(`Saved ${recorder.recordings.length} recorded response(s) to ${options.recordings}`);
+  }
+  // Stale replays would report the old prompt's accuracy, so they fail the run
+  const staleRecordings = options.replay && (llm.client.staleReplays || llm.client.missingReplays);
+  if (staleRecordings) {
+    console.error(`❌ ${llm.client.staleReplays} response(s) were recorded under a different prompt or catalog, ` +
+      `${llm.client.missingReplays} request(s) had no recording; re-record with --record --update-baseline`);
+  }
+
+  const summary = summarizeEvaluation(results);
+  const baseline = fs.existsSync(options.baseline) ? readJson(options.baseline) : null;
+  const comparison = baseline ? compareWithBaseline(summary, results, baseline) : null;
+
+  if (options.json) {
+    console.log(JSON.stringify({ provider: llm.name, summary, comparison, results }, null, 2));
+  } else {
+    printReport(summary, comparison, results, llm.name);
+  }
+
+  if (options.updateBaseline) {
+    fs.writeFileSync(options.baseline, JSON.stringify(toBaseline(summary, results), null, 2) + "\n");
+    console.log(`Baseline written to ${options.baseline}`);
+  } else if (comparison && comparison.regressions.length) {
+    process.exitCode = 1;
+  }
+  if (staleRecordings) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`Routing evaluation failed: ${error.message}`);
+  process.exit(1);
+});
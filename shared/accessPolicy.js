@@ -0,0 +1,78 @@
+/* ========== ACCESS POLICY MODULE ========== */
+// Description: Role-to-dataset authorization
+// Policy format (accessPolicy.default.json, or ACCESS_POLICY as a JSON string):
+// { "defaultRoles": [...], "roles": { "<role>": ["file.csv", ...] | ["*"] },
+//   "users": { "<Entra object ID>": ["<role>", ...] } }
+// - A caller may query the union of the datasets of all their roles
+// - defaultRoles apply to authenticated callers whose token carries no roles
+// - users assigns roles to Teams / Bot Framework users, whose connector tokens identify
+//   the channel rather than the user (see botFunction)
+// - Enforced twice: analysis only sees permitted datasets, and BlobDataService
+//   refuses to read any other dataset
+const DEFAULT_POLICY = require("./accessPolicy.default.json");
+const { AuthError } = require("./auth");
+
+// Description: Parses and validates the configured policy
+function loadAccessPolicy(raw = process.env.ACCESS_POLICY) {
+  const policy = raw ? JSON.parse(raw) : DEFAULT_POLICY;
+  if (!policy || typeof policy.roles !== "object") {
+    throw new Error("Access policy is missing a 'roles' object");
+  }
+  for (const [role, datasets] of Object.entries(policy.roles)) {
+    if (!Array.isArray(datasets)) {
+      throw new Error(`Access policy role '${role}' must list datasets`);
+    }
+  }
+  for (const [user, roles] of Object.entries(policy.users || {})) {
+    if (!Array.isArray(roles)) {
+      throw new Error(`Access policy user '${user}' must list roles`);
+    }
+  }
+
+  // Object IDs are GUIDs; channels may send them in either case
+  const users = Object.fromEntries(
+    Object.entries(policy.users || {}).map(([user, roles]) => [user.toLowerCase(), roles])
+  );
+  return { defaultRoles: policy.defaultRoles || [], roles: policy.roles, users };
+}
+
+/* ========== DATASET ACCESS CLASS ========== */
+// Description: The datasets one caller may query
+class DatasetAccess {
+  constructor(principal, policy) {
+    const roles = principal.roles.length ? principal.roles : policy.defaultRoles;
+    const granted = roles.flatMap(role => policy.roles[role] || []);
+
+    this.principal = principal;
+    this.allowsAll = granted.includes("*");
+    this.datasets = new Set(granted);
+  }
+
+  allows(dataset) {
+    return this.allowsAll || this.datasets.has(dataset);
+  }
+
+  // Description: Throws AuthError(403) for a dataset outside the caller's roles
+  assert(dataset) {
+    if (!this.allows(dataset)) {
+      throw AuthError.forbidden(`Access to ${dataset} is not permitted for your role`);
+    }
+  }
+
+  // Description: Copy of a catalog without the datasets the caller may not query
+  filterCatalog(catalog) {
+    if (this.allowsAll) return catalog;
+    return {
+      ...catalog,
+      version: `${catalog.version}:${[...this.datasets].sort().join(",")}`,
+      datasets: Object.fromEntries(
+        Object.entries(catalog.datasets).filter(([, entry]) => this.allows(entry.dataset))
+      )
+    };
+  }
+}
+
+module.exports = {
+  DatasetAccess,
+  loadAccessPolicy
+};
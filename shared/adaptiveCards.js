@@ -0,0 +1,94 @@
+/* ========== ADAPTIVE CARDS MODULE ========== */
+// Description: Renders chatFunction responses as Bot Framework reply activities
+// - Records (single SKU, selected item): the answer plus a fact set per row
+// - Clarifications (several SKUs or candidate datasets): a choice set whose submission
+//   comes back as activity.value.selection and is resolved like a typed "2"
+// - Everything else (aggregates, fallback answers, errors): plain text
+// Card texts use the message catalog in the response locale
+const { t } = require("./i18n");
+
+const CARD_CONTENT_TYPE = "application/vnd.microsoft.card.adaptive";
+const CARD_VERSION = "1.4";
+
+// Description: Rows rendered as fact sets in one card (Teams limits card size)
+const MAX_FACT_ROWS = 5;
+
+function card(body, actions = []) {
+  return {
+    contentType: CARD_CONTENT_TYPE,
+    content: {
+      type: "AdaptiveCard",
+      $schema: "http://adaptivecards.io/schemas/adaptive-card.json",
+      version: CARD_VERSION,
+      body,
+      ...(actions.length ? { actions } : {})
+    }
+  };
+}
+
+const textBlock = (text, options = {}) => ({ type: "TextBlock", text: String(text), wrap: true, ...options });
+
+// Description: Facts for one row; empty cells are left out
+function factSet(row, fields) {
+  return {
+    type: "FactSet",
+    facts: fields
+      .filter(field => row[field.name] !== undefined && row[field.name] !== null && row[field.name] !== "")
+      .map(field => ({
+        title: field.label || field.name,
+        value: `${row[field.name]}${field.unit ? ` ${field.unit}` : ""}`
+      }))
+  };
+}
+
+// Description: Choice set and submit action for a clarification
+function clarificationCard(body, locale) {
+  const { type, prompt, choices } = body.clarification;
+  const items = [];
+  // SKU clarifications follow an answer; dataset clarifications are the whole message
+  if (type === "sku" && body.message) items.push(textBlock(body.message));
+  items.push(textBlock(prompt, { weight: "Bolder" }));
+  items.push({
+    type: "Input.ChoiceSet",
+    id: "selection",
+    style: choices.length > 5 ? "compact" : "expanded",
+    value: String(choices[0].index),
+    choices: choices.map(choice => ({
+      title: choice.reason ? `${choice.label} - ${choice.reason}` : choice.label,
+      value: String(choice.index)
+    }))
+  });
+  return card(items, [{ type: "Action.Submit", title: t(locale, type === "sku" ? "card.showDetails" : "card.continue") }]);
+}
+
+// Description: Answer text and one fact set per row
+function recordsCard(body, locale) {
+  const rows = body.data.slice(0, MAX_FACT_ROWS);
+  const items = [textBlock(body.message)];
+  rows.forEach((row, index) => {
+    items.push({ ...factSet(row, body.fields), ...(index > 0 ? { separator: true, spacing: "Medium" } : {}) });
+  });
+  if (body.data.length > rows.length) {
+    items.push(textBlock(t(locale, "card.moreRows", { count: body.data.length - rows.length }), { isSubtle: true }));
+  }
+  return card(items);
+}
+
+// Description: Reply activity for a chatFunction result ({ status, body })
+function buildReplyActivity(status, body, locale) {
+  if (status >= 400 || !body || body.error) {
+    return { type: "message", text: `⚠️ ${body?.details || body?.error || t(locale, "card.error")}` };
+  }
+  if (body.clarification?.choices?.length) {
+    return { type: "message", attachments: [clarificationCard(body, locale)] };
+  }
+  if (!body.aggregate && Array.isArray(body.fields) && Array.isArray(body.data) && body.data.length) {
+    return { type: "message", attachments: [recordsCard(body, locale)] };
+  }
+  return { type: "message", text: body.message || t(locale, "card.noAnswer") };
+}
+
+module.exports = {
+  buildReplyActivity,
+  CARD_CONTENT_TYPE
+};
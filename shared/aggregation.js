@@ -0,0 +1,152 @@
+/* ========== AGGREGATION MODULE ========== */
+// Description: Streaming aggregates (count, sum, avg, min, max, group by) over CSV rows
+// Spec shape produced by query analysis:
+// {
+//   "groupBy": ["storage_bin"],
+//   "metrics": [{ "op": "count" }, { "op": "sum", "column": "soh", "as": "total_soh" }],
+//   "limit": 20
+// }
+const { parseNumber } = require("./filterExpression");
+const { t } = require("./i18n");
+
+// Description: Supported aggregate operations
+// - count: matching rows; count_distinct: distinct values of a column (e.g. sku_id)
+const AGGREGATE_OPS = ["count", "count_distinct", "sum", "avg", "min", "max"];
+// Description: Operations that count rows or values without reading them as numbers
+const COUNT_OPS = ["count", "count_distinct"];
+const MAX_GROUPS = 100;
+
+/* ========== VALIDATION ========== */
+// Description: Validates and normalizes an aggregate spec against the allowed columns
+function validateAggregate(aggregate, validColumns) {
+  if (!aggregate || typeof aggregate !== "object") {
+    throw new Error("Invalid aggregate: expected an object");
+  }
+
+  const allowed = validColumns.map(col => col.toLowerCase());
+  const checkColumn = column => {
+    const normalized = typeof column === "string" ? column.trim().toLowerCase() : "";
+    if (!allowed.includes(normalized)) {
+      throw new Error(`Invalid aggregate column: ${column}`);
+    }
+    return normalized;
+  };
+
+  const groupBy = (Array.isArray(aggregate.groupBy) ? aggregate.groupBy : []).map(checkColumn);
+
+  if (!Array.isArray(aggregate.metrics) || aggregate.metrics.length === 0) {
+    throw new Error("Invalid aggregate: at least one metric is required");
+  }
+
+  const metrics = aggregate.metrics.map(metric => {
+    if (!AGGREGATE_OPS.includes(metric?.op)) {
+      throw new Error(`Invalid aggregate operation: ${metric?.op}`);
+    }
+    if (metric.op === "count" && !metric.column) {
+      return { op: "count", column: null, as: metric.as || "count" };
+    }
+    const column = checkColumn(metric.column);
+    return { op: metric.op, column, as: metric.as || `${metric.op}_${column}` };
+  });
+
+  const limit = Math.min(parseInt(aggregate.limit, 10) || MAX_GROUPS, MAX_GROUPS);
+  return { groupBy, metrics, limit };
+}
+
+// Description: Lists every column an aggregate spec reads
+function aggregateColumns(aggregate) {
+  if (!aggregate) return [];
+  return [...aggregate.groupBy, ...aggregate.metrics.map(m => m.column).filter(Boolean)];
+}
+
+// Description: Human-readable metric name, e.g. "sum of soh" ("somme de soh" for "fr")
+function metricLabel(metric, locale) {
+  return t(locale, `metric.${metric.op}`, { column: metric.column });
+}
+
+/* ========== AGGREGATOR CLASS ========== */
+// Description: Accumulates rows one at a time so aggregates run while the CSV streams
+// Only per-group accumulators are held in memory, never the matched rows
+class Aggregator {
+  constructor(aggregate) {
+    this.aggregate = aggregate;
+    this.groups = new Map();
+  }
+
+  // Description: Adds one matching row to its group's accumulators
+  add(row) {
+    const groupValues = this.aggregate.groupBy.map(col => (row[col] ?? "").toString());
+    const groupKey = JSON.stringify(groupValues);
+
+    if (!this.groups.has(groupKey)) {
+      this.groups.set(groupKey, {
+        values: groupValues,
+        accumulators: this.aggregate.metrics.map(() => ({ count: 0, sum: 0, min: null, max: null, distinct: new Set() }))
+      });
+    }
+
+    const group = this.groups.get(groupKey);
+    this.aggregate.metrics.forEach((metric, i) => {
+      const acc = group.accumulators[i];
+      if (metric.op === "count") {
+        acc.count++;
+        return;
+      }
+      if (metric.op === "count_distinct") {
+        if (row[metric.column]) acc.distinct.add(row[metric.column]);
+        return;
+      }
+      const value = parseNumber(row[metric.column]);
+      if (Number.isNaN(value)) return;
+      acc.count++;
+      acc.sum += value;
+      acc.min = acc.min === null ? value : Math.min(acc.min, value);
+      acc.max = acc.max === null ? value : Math.max(acc.max, value);
+    });
+  }
+
+  // Description: Produces the aggregate table with every group, largest first metric first
+  // Its length is the total group count; callers show the first aggregate.limit rows
+  result() {
+    const table = [...this.groups.values()].map(group => {
+      const row = {};
+      this.aggregate.groupBy.forEach((col, i) => { row[col] = group.values[i]; });
+      this.aggregate.metrics.forEach((metric, i) => {
+        row[metric.as] = Aggregator.finalize(metric, group.accumulators[i]);
+      });
+      return row;
+    });
+
+    // An ungrouped aggregate over zero rows still reports its zero count
+    if (table.length === 0 && this.aggregate.groupBy.length === 0) {
+      const empty = { count: 0, sum: 0, min: null, max: null, distinct: new Set() };
+      table.push(Object.fromEntries(
+        this.aggregate.metrics.map(metric => [metric.as, Aggregator.finalize(metric, empty)])
+      ));
+    }
+
+    const firstMetric = this.aggregate.metrics[0].as;
+    return table.sort((a, b) => (b[firstMetric] ?? -Infinity) - (a[firstMetric] ?? -Infinity));
+  }
+
+  static finalize(metric, acc) {
+    switch (metric.op) {
+      case "count": return acc.count;
+      case "count_distinct": return acc.distinct.size;
+      case "sum": return Number(acc.sum.toFixed(4));
+      case "avg": return acc.count ? Number((acc.sum / acc.count).toFixed(4)) : null;
+      case "min": return acc.min;
+      case "max": return acc.max;
+      default: return null;
+    }
+  }
+}
+
+module.exports = {
+  AGGREGATE_OPS,
+  COUNT_OPS,
+  Aggregator,
+  validateAggregate,
+  aggregateColumns,
+  metricLabel
+};
@@ -0,0 +1,136 @@
+/* ========== ANSWER SYNTHESIS MODULE ========== */
+// Description: Turns retrieved rows into a plain-language answer with row citations
+// - Only a bounded, token-budgeted slice of the matched rows is sent to the model
+// - Each row is labelled [R1], [R2], ... and the model must cite the rows it used
+// - Citations point back into the response "data" array (row = index in data)
+// - Any failure returns null so callers keep the formatted row summary instead
+// - Answers are written in the response locale; row values are quoted as stored
+const { formatFieldValue } = require("./responseSchema");
+const { languageName } = require("./i18n");
+
+// Description: Synthesis configuration
+// - SYNTHESIS_ENABLED: "false" disables the step (responses keep the formatted summary)
+// - SYNTHESIS_MAX_ROWS: Most rows ever shown to the model
+// - SYNTHESIS_TOKEN_BUDGET: Approximate prompt tokens available for row data
+const SYNTHESIS_ENV = {
+  SYNTHESIS_ENABLED: process.env.SYNTHESIS_ENABLED !== "false",
+  SYNTHESIS_MAX_ROWS: parseInt(process.env.SYNTHESIS_MAX_ROWS, 10) || 25,
+  SYNTHESIS_TOKEN_BUDGET: parseInt(process.env.SYNTHESIS_TOKEN_BUDGET, 10) || 1500
+};
+
+const SYNTHESIS_PROMPT = `
+    You answer inventory questions using ONLY the rows provided.
+
+    ### Rules
+    1. Every number, date or name in the answer must come from a row
+    2. Cite the rows you used right after the fact, e.g. "14 EA on hand in bin B-03 [R1]"
+    3. If the rows do not answer the question, say so; never guess or use outside knowledge
+    4. Keep the answer to 1-3 sentences of plain text (no tables, no markdown)
+    5. When only some of the matches are shown, mention that more records exist
+  `;
+
+// Description: Rough token estimate (~4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/* ========== ROW SELECTION ========== */
+// Description: Labels rows R1..Rn until the row cap or token budget is reached
+// Returns { lines, cited: [{ id, row }], truncated }; row is the index in rows
+function selectRows(rows, fields, maxRows = SYNTHESIS_ENV.SYNTHESIS_MAX_ROWS,
+  tokenBudget = SYNTHESIS_ENV.SYNTHESIS_TOKEN_BUDGET) {
+  const lines = [];
+  const cited = [];
+  let tokens = 0;
+
+  for (let i = 0; i < rows.length && i < maxRows; i++) {
+    const id = `R${i + 1}`;
+    const line = `[${id}] ` + fields.map(field => `${field.label}: ${formatFieldValue(field, rows[i])}`).join("; ");
+    const lineTokens = estimateTokens(line);
+    if (lines.length > 0 && tokens + lineTokens > tokenBudget) break;
+
+    lines.push(line);
+    cited.push({ id, row: i });
+    tokens += lineTokens;
+  }
+
+  return { lines, cited, truncated: cited.length < rows.length };
+}
+
+// Description: Builds the synthesis conversation for one question
+function buildSynthesisMessages(question, selection, totalRows, locale = "en") {
+  const coverage = selection.truncated
+    ? `Showing ${selection.cited.length} of ${totalRows} matching records.`
+    : `All ${totalRows} matching record(s) are shown.`;
+
+  return [
+    { role: "system", content: SYNTHESIS_PROMPT },
+    {
+      role: "system",
+      content: `Write the answer in ${languageName(locale)}. Quote names, descriptions and codes from the rows as they are.`
+    },
+    {
+      role: "user",
+      content: `Question: ${question}\n\n${coverage}\nRows:\n${selection.lines.join("\n")}`
+    }
+  ];
+}
+
+// Description: Citations actually used in the answer, in order of first use
+// Ids the model invented (not in the selection) are dropped
+function extractCitations(answer, selection, rows, keyColumn) {
+  const byId = new Map(selection.cited.map(citation => [citation.id, citation]));
+  const used = [...new Set((answer.match(/\[R\d+\]/g) || []).map(tag => tag.slice(1, -1)))];
+
+  return used.filter(id => byId.has(id)).map(id => {
+    const { row } = byId.get(id);
+    return { id, row, key: rows[row]?.[keyColumn] ?? null };
+  });
+}
+
+/* ========== ANSWER SYNTHESIZER CLASS ========== */
+// Description: Runs the "synthesis" LLM call site over query results
+class AnswerSynthesizer {
+  constructor(llm, enabled = SYNTHESIS_ENV.SYNTHESIS_ENABLED) {
+    this.llm = llm;
+    this.enabled = enabled;
+  }
+
+  // Description: Returns { answer, citations, rowsUsed, truncated } or null
+  // rows: shaped result rows; fields: response schema (key column first)
+  // locale: language of the answer
+  async synthesize(question, rows, fields, context, locale) {
+    if (!this.enabled || rows.length === 0) return null;
+
+    try {
+      const selection = selectRows(rows, fields);
+      const messages = buildSynthesisMessages(question, selection, rows.length, locale);
+
+      const completion = await this.llm.createCompletion("synthesis", { messages });
+      let answer = completion.choices?.[0]?.message?.content;
+
+      if (!answer || !answer.trim()) return null;
+      answer = answer.trim();
+
+      const citations = extractCitations(answer, selection, rows, fields[0].name);
+      context.log(`🧾 Synthesized answer from ${selection.cited.length}/${rows.length} rows, ${citations.length} citation(s)`);
+
+      return {
+        answer,
+        citations,
+        rowsUsed: selection.cited.length,
+        truncated: selection.truncated
+      };
+    } catch (error) {
+      context.log(`⚠️ Answer synthesis failed: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  AnswerSynthesizer,
+  selectRows,
+  buildSynthesisMessages,
+  extractCitations
+};
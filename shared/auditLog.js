@@ -0,0 +1,269 @@
+/* ========== AUDIT LOG MODULE ========== */
+// Description: Structured audit record for every chat request
+// - One JSON line per request, appended to AUDIT_CONTAINER/<YYYY-MM-DD>.jsonl (append blobs,
+//   so concurrent instances never overwrite each other)
+// - A record holds the request ID, caller, message (PII-scrubbed text or a hash), route,
+//   analysis result, datasets queried, match count, per-stage latency and outcome
+// - summarizeAudit() turns a range of records into the top unanswered queries and the
+//   dataset routing distribution (see scripts/auditSummary.js)
+const crypto = require("crypto");
+const { BlobServiceClient } = require("@azure/storage-blob");
+const { forLog } = require("./masking");
+
+// Description: Audit configuration
+// - AUDIT_LOG_ENABLED: "false" stops writing records
+// - AUDIT_CONTAINER: Blob container holding the daily JSONL files
+// - AUDIT_MESSAGE_MODE: "text" stores the PII-scrubbed message, "hash" only its (truncated) SHA-256
+const AUDIT_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  AUDIT_LOG_ENABLED: process.env.AUDIT_LOG_ENABLED !== "false",
+  AUDIT_CONTAINER: process.env.AUDIT_CONTAINER || "audit",
+  AUDIT_MESSAGE_MODE: process.env.AUDIT_MESSAGE_MODE === "hash" ? "hash" : "text"
+};
+
+// Description: Outcomes that count as unanswered in the summary
+const UNANSWERED_OUTCOMES = ["no_results", "fallback", "clarification", "error", "timeout"];
+
+// Description: Normalized form used to hash and group messages
+function normalizeMessage(text) {
+  return String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+function hashMessage(text) {
+  return crypto.createHash("sha256").update(normalizeMessage(text)).digest("hex").slice(0, 16);
+}
+
+// Description: Outcome of a request from its status; failures override the outcome
+// the handler set before failing (except timeouts, which the handler reports itself)
+function resolveOutcome(status, outcome) {
+  if (status === 400) return "invalid_request";
+  if (status === 401 || status === 403) return "forbidden";
+  if (status === 429) return "rate_limited";
+  if (status >= 500) return outcome === "timeout" ? "timeout" : "error";
+  return outcome || "answered";
+}
+
+/* ========== AUDIT TRAIL CLASS ========== */
+// Description: Collects the audit record of one request while it is processed
+class AuditTrail {
+  constructor(context, fn) {
+    this.startedAt = Date.now();
+    this.stages = {};
+    this.record = {
+      requestId: context.invocationId || crypto.randomUUID(),
+      timestamp: new Date(this.startedAt).toISOString(),
+      function: fn,
+      user: null,
+      conversationId: null,
+      messageHash: null,
+      message: null,
+      route: null,
+      locale: null,
+      analysis: null,
+      degraded: false,
+      datasets: [],
+      matchCount: null,
+      outcome: null,
+      status: null,
+      latencyMs: null
+    };
+  }
+
+  // Description: Merges fields into the record (user, conversationId, route, locale, degraded,
+  // datasets, matchCount, outcome)
+  set(fields) {
+    Object.assign(this.record, fields);
+    return this;
+  }
+
+  // Description: Records the message as scrubbed text or hash, per AUDIT_MESSAGE_MODE
+  setMessage(text) {
+    this.record.messageHash = hashMessage(forLog(text));
+    this.record.message = AUDIT_ENV.AUDIT_MESSAGE_MODE === "text" ? forLog(text) : null;
+    return this;
+  }
+
+  // Description: Keeps the parts of an analyzeQuery result worth aggregating
+  setAnalysis(analysis) {
+    this.record.analysis = {
+      isValid: Boolean(analysis.isValid),
+      dataset: analysis.dataset || null,
+      confidence: typeof analysis.confidence === "number" ? analysis.confidence : null,
+      columns: analysis.columns || [],
+      join: Boolean(analysis.plan && analysis.plan.datasets.length > 1),
+      filter: Boolean(analysis.filter),
+      aggregate: Boolean(analysis.aggregate)
+    };
+    return this;
+  }
+
+  // Description: Runs work() and adds its duration to a stage (analysis, data, synthesis, ...)
+  async measure(stage, work) {
+    const start = Date.now();
+    try {
+      return await work();
+    } finally {
+      this.stages[stage] = (this.stages[stage] || 0) + Date.now() - start;
+    }
+  }
+
+  // Description: Completes the record from the HTTP result
+  finish(result) {
+    const status = result?.status ?? 500;
+    return {
+      ...this.record,
+      status,
+      outcome: resolveOutcome(status, this.record.outcome),
+      latencyMs: { total: Date.now() - this.startedAt, ...this.stages }
+    };
+  }
+}
+
+// Description: Attaches the trail to a request; copies made by the router ({ ...req }) keep it,
+// so the routed handler completes the record the router started
+const AUDIT_TRAIL = Symbol("auditTrail");
+
+// Description: The request's trail, created on first use by the function named fn
+function requestAudit(req, context, fn) {
+  if (!req[AUDIT_TRAIL]) {
+    req[AUDIT_TRAIL] = new AuditTrail(context, fn);
+  }
+  return req[AUDIT_TRAIL];
+}
+
+/* ========== AUDIT LOG CLASS ========== */
+// Description: Appends records to the daily JSONL blob and reads them back
+class AuditLog {
+  constructor(serviceClient) {
+    this.serviceClient = serviceClient || null;
+    this.enabled = AUDIT_ENV.AUDIT_LOG_ENABLED;
+    // Daily blobs known to exist on this instance
+    this.createdBlobs = new Set();
+  }
+
+  // Description: Lazily connects so modules can load without storage configured
+  get containerClient() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(AUDIT_ENV.AZURE_STORAGE_CONNECTION_STRING);
+    }
+    return this.serviceClient.getContainerClient(AUDIT_ENV.AUDIT_CONTAINER);
+  }
+
+  static blobName(date) {
+    return `${date}.jsonl`;
+  }
+
+  // Description: Appends one record; failures are logged and never fail the request
+  async write(record, context) {
+    if (!this.enabled) return;
+    try {
+      const name = AuditLog.blobName(record.timestamp.slice(0, 10));
+      const blobClient = this.containerClient.getAppendBlobClient(name);
+      if (!this.createdBlobs.has(name)) {
+        await this.containerClient.createIfNotExists();
+        await blobClient.createIfNotExists();
+        this.createdBlobs.add(name);
+      }
+
+      const line = JSON.stringify(record) + "\n";
+      await blobClient.appendBlock(line, Buffer.byteLength(line));
+      context.log(`🗒️ Audit ${record.requestId}: ${record.outcome} (${record.status}, ${record.latencyMs.total}ms)`);
+    } catch (error) {
+      context.log(`Audit Log Error: ${error.message}`);
+    }
+  }
+
+  // Description: Records of one day ([] when the day has no file)
+  async read(date) {
+    try {
+      const download = await this.containerClient.getBlobClient(AuditLog.blobName(date)).download();
+      const chunks = [];
+      for await (const chunk of download.readableStreamBody) {
+        chunks.push(Buffer.from(chunk));
+      }
+      return Buffer.concat(chunks).toString("utf8")
+        .split("\n")
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.statusCode === 404) return [];
+      throw error;
+    }
+  }
+}
+
+/* ========== SUMMARY ========== */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+// Description: Summary of audit records
+// - outcomes: count per outcome
+// - routing: per dataset chosen by analyzeQuery, requests, average confidence and match rate
+// - unanswered: most frequent messages whose outcome is in UNANSWERED_OUTCOMES
+// - latency: p50/p95 per stage
+function summarizeAudit(records, top = 10) {
+  const outcomes = {};
+  const routing = {};
+  const unanswered = new Map();
+  const stageTimes = {};
+
+  for (const record of records) {
+    outcomes[record.outcome] = (outcomes[record.outcome] || 0) + 1;
+
+    if (record.analysis) {
+      const dataset = record.analysis.isValid ? record.analysis.dataset : "(none)";
+      const entry = routing[dataset] = routing[dataset] || { requests: 0, confidenceSum: 0, confidenceCount: 0, withMatches: 0 };
+      entry.requests += 1;
+      if (record.analysis.confidence !== null) {
+        entry.confidenceSum += record.analysis.confidence;
+        entry.confidenceCount += 1;
+      }
+      if (record.matchCount > 0) entry.withMatches += 1;
+    }
+
+    if (UNANSWERED_OUTCOMES.includes(record.outcome)) {
+      const group = unanswered.get(record.messageHash) || { messageHash: record.messageHash, message: record.message, count: 0, outcomes: {}, lastSeen: null };
+      group.count += 1;
+      group.outcomes[record.outcome] = (group.outcomes[record.outcome] || 0) + 1;
+      group.lastSeen = record.timestamp;
+      unanswered.set(record.messageHash, group);
+    }
+
+    for (const [stage, ms] of Object.entries(record.latencyMs || {})) {
+      (stageTimes[stage] = stageTimes[stage] || []).push(ms);
+    }
+  }
+
+  const analyzed = Object.values(routing).reduce((sum, entry) => sum + entry.requests, 0);
+  return {
+    requests: records.length,
+    outcomes,
+    fallbackRate: records.length ? (outcomes.fallback || 0) / records.length : 0,
+    routing: Object.entries(routing)
+      .map(([dataset, entry]) => ({
+        dataset,
+        requests: entry.requests,
+        share: entry.requests / analyzed,
+        avgConfidence: entry.confidenceCount ? entry.confidenceSum / entry.confidenceCount : null,
+        matchRate: entry.withMatches / entry.requests
+      }))
+      .sort((a, b) => b.requests - a.requests),
+    unanswered: [...unanswered.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, top),
+    latency: Object.fromEntries(Object.entries(stageTimes).map(([stage, times]) =>
+      [stage, { p50: percentile(times, 50), p95: percentile(times, 95) }]))
+  };
+}
+
+module.exports = {
+  AuditTrail,
+  AuditLog,
+  requestAudit,
+  summarizeAudit,
+  hashMessage,
+  AUDIT_ENV
+};
@@ -0,0 +1,257 @@
+/* ========== AUTHENTICATION MODULE ========== */
+// Description: Bearer-token (JWT) validation for the HTTP functions
+// - Tokens are verified against the signing keys published by the issuer (JWKS)
+// - Issuer, audience, expiry and not-before are checked; RS* and ES* algorithms only
+// - Roles are read from a configurable claim and mapped to datasets by accessPolicy.js
+// - AUTH_MODE=none disables validation for local development
+const crypto = require("crypto");
+const { t } = require("./i18n");
+
+// Description: Authentication configuration
+// - AUTH_MODE: "jwt" (default) or "none"
+// - AUTH_ISSUER: Expected "iss" claim
+// - AUTH_AUDIENCE: Expected "aud" claim (comma-separated for several); required in "jwt" mode
+//   so tokens the issuer minted for other applications are rejected
+// - AUTH_JWKS_URI: Signing keys; defaults to the issuer's OpenID configuration
+// - AUTH_ROLES_CLAIM: Claim holding the user's roles (default "roles")
+// - AUTH_CLOCK_SKEW_S: Tolerance for exp/nbf checks
+// - AUTH_ANONYMOUS_ROLES: Roles given to every request when AUTH_MODE=none (default "viewer";
+//   "admin" must be opted into explicitly since it allows dataset uploads and rollbacks)
+const AUTH_ENV = {
+  AUTH_MODE: (process.env.AUTH_MODE || "jwt").toLowerCase(),
+  AUTH_ISSUER: process.env.AUTH_ISSUER,
+  AUTH_AUDIENCE: (process.env.AUTH_AUDIENCE || "").split(",").map(aud => aud.trim()).filter(Boolean),
+  AUTH_JWKS_URI: process.env.AUTH_JWKS_URI,
+  AUTH_ROLES_CLAIM: process.env.AUTH_ROLES_CLAIM || "roles",
+  AUTH_CLOCK_SKEW_S: parseInt(process.env.AUTH_CLOCK_SKEW_S, 10) || 60,
+  AUTH_ANONYMOUS_ROLES: (process.env.AUTH_ANONYMOUS_ROLES ?? "viewer").split(",").map(role => role.trim()).filter(Boolean)
+};
+
+// Description: How long fetched signing keys are trusted, and the minimum gap
+// between refetches triggered by an unknown key id
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_COOLDOWN_MS = 60 * 1000;
+
+// Description: JWT "alg" values mapped to Node digest names
+const ALGORITHMS = {
+  RS256: "sha256", RS384: "sha384", RS512: "sha512",
+  ES256: "sha256", ES384: "sha384", ES512: "sha512"
+};
+
+/* ========== AUTH ERROR CLASS ========== */
+// Description: Authentication (401) or authorization (403) failure with a safe message
+class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = "AuthError";
+    this.status = status;
+  }
+
+  static unauthorized(message) {
+    return new AuthError(401, message);
+  }
+
+  static forbidden(message) {
+    return new AuthError(403, message);
+  }
+}
+
+/* ========== JWKS CLIENT CLASS ========== */
+// Description: Fetches and caches the issuer's signing keys by key id
+class JwksClient {
+  constructor(jwksUri, issuer) {
+    this.jwksUri = jwksUri || null;
+    this.issuer = issuer;
+    this.keys = new Map();
+    this.endorsements = new Map();
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  // Description: Returns the public key for a key id, refetching once when it is unknown
+  async getKey(kid) {
+    const isStale = Date.now() - this.fetchedAt > JWKS_CACHE_MS;
+    const canRefresh = Date.now() - this.fetchedAt > JWKS_REFRESH_COOLDOWN_MS;
+    if (isStale || (!this.keys.has(kid) && canRefresh)) {
+      await this.refresh();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw AuthError.unauthorized(`Unknown signing key: ${kid}`);
+    }
+    return key;
+  }
+
+  // Description: Concurrent requests share one fetch
+  refresh() {
+    if (!this.pending) {
+      this.pending = this.fetchKeys().finally(() => { this.pending = null; });
+    }
+    return this.pending;
+  }
+
+  async fetchKeys() {
+    const jwksUri = this.jwksUri || await this.discoverJwksUri();
+    const response = await fetch(jwksUri);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with ${response.status}`);
+    }
+
+    const { keys = [] } = await response.json();
+    const signingKeys = keys.filter(jwk => jwk.kid && (!jwk.use || jwk.use === "sig"));
+    this.keys = new Map(signingKeys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })]));
+    // Bot Framework keys list the channels they may sign for ("msteams", "webchat", ...)
+    this.endorsements = new Map(signingKeys.map(jwk => [jwk.kid, Array.isArray(jwk.endorsements) ? jwk.endorsements : []]));
+    this.fetchedAt = Date.now();
+  }
+
+  // Description: Reads jwks_uri from the issuer's OpenID configuration
+  async discoverJwksUri() {
+    const response = await fetch(`${this.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw new Error(`OpenID configuration request failed with ${response.status}`);
+    }
+    this.jwksUri = (await response.json()).jwks_uri;
+    return this.jwksUri;
+  }
+}
+
+/* ========== TOKEN VERIFICATION ========== */
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+}
+
+// Description: Verifies signature and registered claims; returns the token claims
+// options.AUTH_ENDORSEMENT, when given, must be endorsed by the signing key (Bot Framework channels)
+async function verifyToken(token, jwksClient, options = AUTH_ENV) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    throw AuthError.unauthorized("Malformed token");
+  }
+
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch {
+    throw AuthError.unauthorized("Malformed token");
+  }
+
+  const digest = ALGORITHMS[header.alg];
+  if (!digest) {
+    throw AuthError.unauthorized(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const key = await jwksClient.getKey(header.kid);
+  const isValid = crypto.verify(
+    digest,
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    header.alg.startsWith("ES") ? { key, dsaEncoding: "ieee-p1363" } : key,
+    Buffer.from(parts[2], "base64url")
+  );
+  if (!isValid) {
+    throw AuthError.unauthorized("Invalid token signature");
+  }
+  if (options.AUTH_ENDORSEMENT !== undefined && !jwksClient.endorsements.get(header.kid)?.includes(options.AUTH_ENDORSEMENT)) {
+    throw AuthError.unauthorized(`Signing key is not endorsed for channel '${options.AUTH_ENDORSEMENT}'`);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const skew = options.AUTH_CLOCK_SKEW_S;
+  if (typeof claims.exp !== "number" || claims.exp + skew < now) {
+    throw AuthError.unauthorized("Token expired");
+  }
+  if (typeof claims.nbf === "number" && claims.nbf - skew > now) {
+    throw AuthError.unauthorized("Token not yet valid");
+  }
+  if (claims.iss !== options.AUTH_ISSUER) {
+    throw AuthError.unauthorized("Unexpected token issuer");
+  }
+
+  const audiences = [].concat(claims.aud || []);
+  if (!audiences.some(aud => options.AUTH_AUDIENCE.includes(aud))) {
+    throw AuthError.unauthorized("Unexpected token audience");
+  }
+
+  return claims;
+}
+
+/* ========== REQUEST AUTHENTICATION ========== */
+// Description: Signing keys shared across warm invocations
+let jwksClient = null;
+
+// Description: Reports missing configuration for the selected mode, or null
+function getAuthConfigError() {
+  switch (AUTH_ENV.AUTH_MODE) {
+    case "none":
+      return null;
+    case "jwt":
+      if (!AUTH_ENV.AUTH_ISSUER) return "AUTH_ISSUER is not set";
+      if (!AUTH_ENV.AUTH_AUDIENCE.length) return "AUTH_AUDIENCE is not set";
+      return null;
+    default:
+      return `Unknown AUTH_MODE: ${AUTH_ENV.AUTH_MODE}`;
+  }
+}
+
+// Description: Extracts the bearer token from the Authorization header
+function bearerToken(req) {
+  const header = req?.headers?.authorization || req?.headers?.Authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Description: Returns the caller { subject, name, email, roles } or throws AuthError(401)
+// email: the token's "email" (unless marked unverified) or "upn" claim, otherwise null
+async function authenticate(req, context) {
+  if (AUTH_ENV.AUTH_MODE === "none") {
+    return { subject: "anonymous", name: "anonymous", email: null, roles: AUTH_ENV.AUTH_ANONYMOUS_ROLES };
+  }
+
+  const token = bearerToken(req);
+  if (!token) {
+    throw AuthError.unauthorized("Missing bearer token");
+  }
+
+  jwksClient = jwksClient || new JwksClient(AUTH_ENV.AUTH_JWKS_URI, AUTH_ENV.AUTH_ISSUER);
+  try {
+    const claims = await verifyToken(token, jwksClient);
+    const roles = claims[AUTH_ENV.AUTH_ROLES_CLAIM];
+    return {
+      subject: claims.sub || claims.oid,
+      name: claims.preferred_username || claims.name || claims.sub,
+      email: (claims.email_verified !== false && claims.email) || claims.upn || null,
+      roles: Array.isArray(roles) ? roles : (roles ? String(roles).split(/[\s,]+/) : [])
+    };
+  } catch (error) {
+    context.log(`🔒 Authentication failed: ${error.message}`);
+    throw error instanceof AuthError ? error : AuthError.unauthorized("Token could not be verified");
+  }
+}
+
+// Description: HTTP result for an AuthError, titled in the request locale
+function authErrorResponse(error, locale, headers = {}) {
+  return {
+    status: error.status,
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Language": locale,
+      ...headers,
+      ...(error.status === 401 ? { "WWW-Authenticate": `Bearer error="invalid_token"` } : {})
+    },
+    body: JSON.stringify({ error: t(locale, error.status === 401 ? "error.unauthorized" : "error.forbidden"), details: error.message })
+  };
+}
+
+module.exports = {
+  AuthError,
+  JwksClient,
+  verifyToken,
+  authenticate,
+  authErrorResponse,
+  bearerToken,
+  getAuthConfigError,
+  AUTH_ENV
+};
@@ -0,0 +1,243 @@
+/* ========== BOT FRAMEWORK MODULE ========== */
+// Description: Microsoft Teams / Bot Framework channel support for botFunction
+// - Incoming activities carry a Bot Connector JWT; it is verified against the Bot Framework
+//   signing keys (issuer, audience = BOT_APP_ID, expiry, serviceUrl claim)
+// - Only activities from the tenants in BOT_ALLOWED_TENANTS are answered
+// - Channel users get the roles the access policy assigns to their Entra object ID
+//   ("users"); unlisted users get no datasets
+// - Replies are posted to the activity's serviceUrl through the Connector REST API with an
+//   app token from the client-credentials flow
+// - BOT_AUTH_MODE=none skips verification and sends replies without a token, for the
+//   local emulator stand-in (scripts/botEmulator.js); only loopback serviceUrls are accepted
+const crypto = require("crypto");
+const { AuthError, JwksClient, verifyToken, bearerToken } = require("./auth");
+
+// Description: Bot configuration
+// - BOT_AUTH_MODE: "jwt" (default) or "none"
+// - BOT_APP_ID / BOT_APP_PASSWORD: Bot registration (token audience and reply credentials)
+// - BOT_TENANT_ID: Tenant of single-tenant bots (default multi-tenant "botframework.com")
+// - BOT_TOKEN_ISSUER / BOT_JWKS_URI: Bot Connector token issuer and signing keys
+// - BOT_ALLOWED_TENANTS: Comma-separated Microsoft 365 tenant IDs whose users may use the
+//   bot (required in jwt mode; a multi-tenant registration is reachable from any tenant)
+const BOT_ENV = {
+  BOT_AUTH_MODE: (process.env.BOT_AUTH_MODE || "jwt").toLowerCase(),
+  BOT_APP_ID: process.env.BOT_APP_ID,
+  BOT_APP_PASSWORD: process.env.BOT_APP_PASSWORD,
+  BOT_TENANT_ID: process.env.BOT_TENANT_ID || "botframework.com",
+  BOT_TOKEN_ISSUER: process.env.BOT_TOKEN_ISSUER || "https://api.botframework.com",
+  BOT_JWKS_URI: process.env.BOT_JWKS_URI || "https://login.botframework.com/v1/.well-known/keys",
+  BOT_ALLOWED_TENANTS: (process.env.BOT_ALLOWED_TENANTS || "").split(",").map(id => id.trim().toLowerCase()).filter(Boolean)
+};
+
+// Description: App tokens are refreshed this long before they expire
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Description: Connector calls slower than this are abandoned
+const CONNECTOR_TIMEOUT_MS = 10000;
+
+// Description: Reports missing configuration for the selected mode, or null
+function getBotConfigError() {
+  switch (BOT_ENV.BOT_AUTH_MODE) {
+    case "none":
+      return null;
+    case "jwt":
+      if (!BOT_ENV.BOT_APP_ID || !BOT_ENV.BOT_APP_PASSWORD) return "BOT_APP_ID and BOT_APP_PASSWORD must be set";
+      return BOT_ENV.BOT_ALLOWED_TENANTS.length ? null : "BOT_ALLOWED_TENANTS must be set";
+    default:
+      return `Unknown BOT_AUTH_MODE: ${BOT_ENV.BOT_AUTH_MODE}`;
+  }
+}
+
+/* ========== INCOMING REQUESTS ========== */
+// Description: Signing keys shared across warm invocations
+let jwksClient = null;
+
+const trimSlash = url => String(url || "").replace(/\/+$/, "");
+
+// Description: True for serviceUrls on this machine (localhost, 127.0.0.0/8, ::1)
+function isLoopbackUrl(url) {
+  try {
+    const { hostname } = new URL(url);
+    return hostname === "localhost" || hostname === "[::1]" || /^127(\.\d{1,3}){3}$/.test(hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Description: Verifies the Bot Connector token of an incoming activity; throws AuthError(401)
+// - The token's signing key must be endorsed for the activity's channel
+// - BOT_AUTH_MODE=none only accepts activities whose serviceUrl is on this machine, so an
+//   unverified deployment cannot be driven (or made to post replies) from outside
+async function verifyBotRequest(req, activity, context) {
+  if (BOT_ENV.BOT_AUTH_MODE === "none") {
+    if (!isLoopbackUrl(activity?.serviceUrl)) {
+      context.log(`🔒 Bot activity from ${activity?.serviceUrl} refused: BOT_AUTH_MODE=none only accepts local serviceUrls`);
+      throw AuthError.unauthorized("Unverified bot activities are only accepted from a local serviceUrl");
+    }
+    return null;
+  }
+
+  const token = bearerToken(req);
+  if (!token) {
+    throw AuthError.unauthorized("Missing bearer token");
+  }
+
+  jwksClient = jwksClient || new JwksClient(BOT_ENV.BOT_JWKS_URI, BOT_ENV.BOT_TOKEN_ISSUER);
+  try {
+    const claims = await verifyToken(token, jwksClient, {
+      AUTH_ISSUER: BOT_ENV.BOT_TOKEN_ISSUER,
+      AUTH_AUDIENCE: [BOT_ENV.BOT_APP_ID],
+      AUTH_ENDORSEMENT: String(activity?.channelId || ""),
+      AUTH_CLOCK_SKEW_S: 300
+    });
+    // Replies carry the app token, so they may only go to the service that called us
+    if (trimSlash(claims.serviceurl) !== trimSlash(activity?.serviceUrl)) {
+      throw AuthError.unauthorized("Token serviceUrl does not match the activity");
+    }
+    return claims;
+  } catch (error) {
+    context.log(`🔒 Bot authentication failed: ${error.message}`);
+    throw error instanceof AuthError ? error : AuthError.unauthorized("Token could not be verified");
+  }
+}
+
+// Description: Session conversation ID for one user in a channel conversation (channel IDs
+// such as "19:abc@thread.tacv2;messageid=1" are not valid session IDs)
+// Sessions belong to a single caller, so each member of a group chat gets their own
+function toConversationId(activity) {
+  const from = activity.from || {};
+  const hash = crypto.createHash("sha256")
+    .update(`${activity.channelId || "bot"}:${activity.conversation?.id || ""}:${from.aadObjectId || from.id || ""}`)
+    .digest("hex");
+  return `bot-${hash.slice(0, 40)}`;
+}
+
+// Description: Microsoft 365 tenant an activity was sent from, or null
+function activityTenant(activity) {
+  return activity.channelData?.tenant?.id || activity.conversation?.tenantId || null;
+}
+
+// Description: Throws AuthError(403) unless the activity comes from an allowed tenant
+// Without BOT_ALLOWED_TENANTS (only possible with BOT_AUTH_MODE=none) every tenant is allowed
+function assertAllowedTenant(activity, context) {
+  if (BOT_ENV.BOT_ALLOWED_TENANTS.length === 0) return;
+
+  const tenant = activityTenant(activity);
+  if (!tenant || !BOT_ENV.BOT_ALLOWED_TENANTS.includes(String(tenant).toLowerCase())) {
+    context.log(`🔒 Bot activity from tenant ${tenant || "(none)"} refused`);
+    throw AuthError.forbidden("Your organization is not allowed to use this bot");
+  }
+}
+
+// Description: Caller of an activity, shaped like authenticate() results
+// Roles come from the access policy's "users" entry for the sender's Entra object ID;
+// senders without one (or without an object ID) get no roles
+function activityPrincipal(activity, policy) {
+  const from = activity.from || {};
+  const objectId = from.aadObjectId ? String(from.aadObjectId).toLowerCase() : null;
+  return {
+    subject: `${activity.channelId || "bot"}:${from.aadObjectId || from.id || "unknown"}`,
+    name: from.name || from.id || "unknown",
+    roles: (objectId && policy.users[objectId]) || []
+  };
+}
+
+// Description: chatFunction request body for a message activity, or null when it has no input
+// Adaptive Card submissions arrive as activity.value ({ selection }) without text
+function activityToChatBody(activity) {
+  // Teams prefixes channel messages with an <at>Bot</at> mention
+  const text = String(activity.text || "")
+    .replace(/<at>[^<]*<\/at>/gi, "")
+    .replace(/&nbsp;/g, " ")
+    .trim();
+  const selection = activity.value && activity.value.selection !== undefined && activity.value.selection !== ""
+    ? String(activity.value.selection)
+    : undefined;
+
+  if (!text && selection === undefined) return null;
+  return {
+    userMessage: text || selection,
+    ...(selection !== undefined ? { selection } : {}),
+    conversationId: toConversationId(activity)
+  };
+}
+
+/* ========== CONNECTOR CLIENT CLASS ========== */
+// Description: Posts activities back to the channel; one instance is shared across invocations
+class ConnectorClient {
+  constructor(options = BOT_ENV) {
+    this.options = options;
+    this.token = null;
+    this.tokenExpiresAt = 0;
+    this.pending = null;
+  }
+
+  // Description: App token for the Connector API (null when no credentials are configured)
+  async getToken() {
+    const { BOT_AUTH_MODE, BOT_APP_ID, BOT_APP_PASSWORD, BOT_TENANT_ID } = this.options;
+    // Unverified serviceUrls never receive the app token
+    if (BOT_AUTH_MODE === "none" || !BOT_APP_ID || !BOT_APP_PASSWORD) return null;
+    if (this.token && Date.now() < this.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) return this.token;
+
+    // Concurrent replies share one token request
+    if (!this.pending) {
+      this.pending = (async () => {
+        const response = await fetch(`https://login.microsoftonline.com/${BOT_TENANT_ID}/oauth2/v2.0/token`, {
+          method: "POST",
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+          body: new URLSearchParams({
+            grant_type: "client_credentials",
+            client_id: BOT_APP_ID,
+            client_secret: BOT_APP_PASSWORD,
+            scope: "https://api.botframework.com/.default"
+          }),
+          signal: AbortSignal.timeout(CONNECTOR_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+          throw new Error(`Bot token request failed with ${response.status}`);
+        }
+        const { access_token: token, expires_in: expiresIn } = await response.json();
+        this.token = token;
+        this.tokenExpiresAt = Date.now() + expiresIn * 1000;
+        return token;
+      })().finally(() => { this.pending = null; });
+    }
+    return this.pending;
+  }
+
+  // Description: Sends an activity as a reply to the incoming one
+  async reply(incoming, activity) {
+    const token = await this.getToken();
+    const url = `${trimSlash(incoming.serviceUrl)}/v3/conversations/${encodeURIComponent(incoming.conversation.id)}` +
+      `/activities/${encodeURIComponent(incoming.id || "")}`;
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({
+        ...activity,
+        from: incoming.recipient,
+        recipient: incoming.from,
+        conversation: incoming.conversation,
+        replyToId: incoming.id
+      }),
+      signal: AbortSignal.timeout(CONNECTOR_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Connector reply failed with ${response.status}`);
+    }
+  }
+}
+
+module.exports = {
+  ConnectorClient,
+  verifyBotRequest,
+  assertAllowedTenant,
+  getBotConfigError,
+  activityToChatBody,
+  activityPrincipal,
+  toConversationId,
+  BOT_ENV
+};
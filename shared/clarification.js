@@ -0,0 +1,139 @@
+/* ========== CLARIFICATION MODULE ========== */
+// Description: Structured follow-up questions for ambiguous requests
+// - "sku": a dataset query matched several SKUs; choices are candidate SKUs
+// - "dataset": analysis had low confidence; choices are candidate datasets with a reason
+// The pending clarification is stored on the session and answered on the next
+// request by index ("2", "option 2") or by SKU ("10271", "SKU 10271").
+// Prompts are written in the request locale; keyword matching uses the catalog's
+// keywords for that locale as well as the English ones.
+const { t } = require("./i18n");
+const { datasetKeywords } = require("./datasetCatalog");
+const { tokenize } = require("./keywordRouter");
+
+// Description: Most choices offered in one clarification
+const MAX_CHOICES = 10;
+const MAX_DATASET_CHOICES = 3;
+
+/* ========== BUILDERS ========== */
+// Description: Offers candidate SKUs when results span more than one SKU
+// Returns null when the results already identify a single SKU
+function buildSkuClarification(results, analysis, userMessage, locale) {
+  const labelColumn = analysis.columns.find(col => col !== "sku_id") || "item_description";
+  const bySku = new Map();
+  for (const row of results) {
+    if (row.sku_id && !bySku.has(row.sku_id)) bySku.set(row.sku_id, row);
+  }
+  if (bySku.size < 2) return null;
+
+  const choices = [...bySku.values()].slice(0, MAX_CHOICES).map((row, i) => ({
+    index: i + 1,
+    sku: row.sku_id,
+    label: `SKU ${row.sku_id} - ${row[labelColumn] || t(locale, "clarification.unknownItem")}`
+  }));
+
+  const shown = bySku.size > MAX_CHOICES
+    ? t(locale, "clarification.skuShown", { shown: MAX_CHOICES, total: bySku.size })
+    : "";
+  return {
+    type: "sku",
+    prompt: t(locale, "clarification.sku", { shown }),
+    choices,
+    query: {
+      userMessage,
+      datasets: analysis.plan.datasets.map(step => step.dataset),
+      joinKey: analysis.plan.joinKey
+    }
+  };
+}
+
+// Description: Offers candidate datasets for a low-confidence analysis
+// Uses the model's "alternatives" when valid, otherwise keyword overlap with DATASET_MAP
+// Returns null when nothing plausible was found (the request then falls back to chat)
+function buildDatasetClarification(analysis, datasetMap, userMessage, locale) {
+  const entries = Object.entries(datasetMap);
+  const byFile = new Map(entries.map(([key, entry]) => [entry.dataset, { key, entry }]));
+
+  let candidates = (Array.isArray(analysis.alternatives) ? analysis.alternatives : [])
+    .filter(alt => alt && byFile.has(alt.dataset))
+    .map(alt => ({ dataset: alt.dataset, reason: alt.reason || byFile.get(alt.dataset).entry.purpose }));
+
+  if (candidates.length === 0) {
+    const words = tokenize(userMessage);
+    candidates = entries
+      .map(([, entry]) => {
+        const matched = [...new Set(datasetKeywords(entry, locale).flatMap(tokenize))].filter(word => words.includes(word));
+        return { dataset: entry.dataset, matched, purpose: entry.purpose };
+      })
+      .filter(candidate => candidate.matched.length > 0)
+      .sort((a, b) => b.matched.length - a.matched.length)
+      .map(candidate => ({
+        dataset: candidate.dataset,
+        reason: t(locale, "clarification.keywordMatch", {
+          purpose: candidate.purpose || candidate.dataset,
+          keywords: `"${candidate.matched.join('", "')}"`
+        })
+      }));
+  }
+
+  if (candidates.length === 0) return null;
+
+  return {
+    type: "dataset",
+    prompt: t(locale, "clarification.dataset"),
+    choices: candidates.slice(0, MAX_DATASET_CHOICES).map((candidate, i) => ({
+      index: i + 1,
+      dataset: candidate.dataset,
+      label: byFile.get(candidate.dataset).key,
+      reason: candidate.reason
+    })),
+    query: { userMessage, value: analysis.value || null }
+  };
+}
+
+/* ========== RESOLUTION ========== */
+// Description: Matches a reply against pending choices
+// Accepts an explicit selection (number or SKU) or free text such as "2", "#2",
+// "option 2" ("opción 2", "choix 2"), "SKU 10271" or a dataset name. Returns the chosen choice or null.
+function resolveSelection(pending, input) {
+  if (!pending || input === undefined || input === null) return null;
+
+  const text = String(input).trim();
+  const indexMatch = text.match(/^(?:option|opci[oó]n|choix|number|num[eé]ro|n[uú]mero|no\.?|n[°º]|#)?\s*(\d{1,3})\.?$/i);
+  if (indexMatch) {
+    const byIndex = pending.choices.find(choice => choice.index === parseInt(indexMatch[1], 10));
+    if (byIndex) return byIndex;
+  }
+
+  const lower = text.toLowerCase();
+  return pending.choices.find(choice => {
+    if (choice.sku) {
+      return new RegExp(`(^|[^\\w-])${escapeRegExp(String(choice.sku).toLowerCase())}([^\\w-]|$)`).test(lower);
+    }
+    return lower.includes(choice.dataset.toLowerCase()) || lower === choice.label.toLowerCase();
+  }) || null;
+}
+
+// Description: Client-facing view of a clarification (the stored query stays server-side)
+function toClientClarification(clarification) {
+  const { type, prompt, choices } = clarification;
+  return { type, prompt, choices };
+}
+
+// Description: Plain-text rendering for the response message
+function formatClarification(clarification) {
+  return `${clarification.prompt}\n` + clarification.choices
+    .map(choice => `${choice.index}. ${choice.label}${choice.reason ? ` - ${choice.reason}` : ""}`)
+    .join("\n");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+  buildSkuClarification,
+  buildDatasetClarification,
+  resolveSelection,
+  toClientClarification,
+  formatClarification
+};
@@ -0,0 +1,52 @@
+/* ========== CORS MODULE ========== */
+// Description: Cross-origin headers for browser clients
+// - CORS_ALLOWED_ORIGINS: Comma-separated origins allowed to call the API
+//   ("*" allows any origin; unset allows none, so only same-origin and server clients work)
+// - The request Origin is echoed back when allowed, with "Vary: Origin"
+const CORS_ENV = {
+  CORS_ALLOWED_ORIGINS: (process.env.CORS_ALLOWED_ORIGINS || "")
+    .split(",").map(origin => origin.trim().replace(/\/$/, "")).filter(Boolean)
+};
+
+// Description: Headers every CORS response carries
+const CORS_BASE_HEADERS = {
+  "Access-Control-Allow-Methods": "POST, GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Accept, Authorization",
+  "Access-Control-Expose-Headers": "X-Chat-Route, Retry-After, Content-Disposition"
+};
+
+// Description: CORS headers for a request; empty when the origin is not allowed
+function corsHeaders(req, allowedOrigins = CORS_ENV.CORS_ALLOWED_ORIGINS) {
+  const origin = req?.headers?.origin || req?.headers?.Origin;
+  if (!origin) return {};
+
+  if (allowedOrigins.includes("*")) {
+    return { "Access-Control-Allow-Origin": "*", ...CORS_BASE_HEADERS };
+  }
+  if (allowedOrigins.includes(origin.replace(/\/$/, ""))) {
+    return { "Access-Control-Allow-Origin": origin, "Vary": "Origin", ...CORS_BASE_HEADERS };
+  }
+  return {};
+}
+
+// Description: Adds CORS headers to a finished HTTP result
+function withCors(req, response) {
+  return { ...response, headers: { ...response.headers, ...corsHeaders(req) } };
+}
+
+// Description: True for a browser preflight request
+function isPreflight(req) {
+  return (req?.method || "").toUpperCase() === "OPTIONS";
+}
+
+// Description: Empty 204 answer to a preflight request
+function preflightResponse(req) {
+  return { status: 204, headers: corsHeaders(req), body: "" };
+}
+
+module.exports = {
+  corsHeaders,
+  withCors,
+  isPreflight,
+  preflightResponse
+};
@@ -0,0 +1,200 @@
+/* ========== DATASET CACHE MODULE ========== */
+// Description: Parsed datasets kept in memory across warm invocations
+// - Entries are revalidated against the blob ETag / last-modified before reuse
+// - Exact and prefix indexes are built for INDEXED_COLUMNS (e.g. sku_id, mfg_part_nos)
+// - A memory budget is enforced with least-recently-used eviction
+// - Hit/miss/eviction counters are written to the function log on every lookup
+
+// Description: Cache configuration
+// - DATASET_CACHE_MAX_MB: Approximate memory budget for parsed rows and indexes
+// - DATASET_CACHE_REVALIDATE_MS: Entries younger than this skip the ETag check
+// - DATASET_CACHE_INDEXED_COLUMNS: Comma-separated columns to index
+const CACHE_ENV = {
+  DATASET_CACHE_MAX_MB: parseInt(process.env.DATASET_CACHE_MAX_MB, 10) || 256,
+  DATASET_CACHE_REVALIDATE_MS: parseInt(process.env.DATASET_CACHE_REVALIDATE_MS, 10) || 30000,
+  DATASET_CACHE_INDEXED_COLUMNS: (process.env.DATASET_CACHE_INDEXED_COLUMNS || "sku_id,mfg_part_nos")
+    .split(",").map(col => col.trim().toLowerCase()).filter(Boolean)
+};
+
+// Description: Parsed rows take several times the CSV size in memory;
+// used to decide up front whether a blob can fit in the budget at all
+const PARSED_SIZE_FACTOR = 4;
+
+/* ========== COLUMN INDEX CLASS ========== */
+// Description: Exact (Map) and prefix (sorted array) lookups over one column
+// Keys are lowercased and trimmed; values are row positions in the dataset
+class ColumnIndex {
+  constructor(rows, column) {
+    this.exact = new Map();
+    rows.forEach((row, position) => {
+      const key = (row[column] ?? "").toString().trim().toLowerCase();
+      if (!key) return;
+      if (!this.exact.has(key)) this.exact.set(key, []);
+      this.exact.get(key).push(position);
+    });
+    this.sortedKeys = [...this.exact.keys()].sort();
+  }
+
+  // Description: Row positions whose value equals the key
+  lookupExact(value) {
+    return this.exact.get(String(value).trim().toLowerCase()) || [];
+  }
+
+  // Description: Row positions whose value starts with the prefix (binary search + scan)
+  lookupPrefix(value) {
+    const prefix = String(value).trim().toLowerCase();
+    let low = 0;
+    let high = this.sortedKeys.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.sortedKeys[mid] < prefix) low = mid + 1;
+      else high = mid;
+    }
+
+    const positions = [];
+    for (let i = low; i < this.sortedKeys.length && this.sortedKeys[i].startsWith(prefix); i++) {
+      positions.push(...this.exact.get(this.sortedKeys[i]));
+    }
+    return positions.sort((a, b) => a - b);
+  }
+}
+
+/* ========== DATASET CACHE CLASS ========== */
+// Description: LRU cache of parsed datasets keyed by blob name
+class DatasetCache {
+  constructor(options = {}) {
+    this.maxBytes = (options.maxMb || CACHE_ENV.DATASET_CACHE_MAX_MB) * 1024 * 1024;
+    this.revalidateMs = options.revalidateMs ?? CACHE_ENV.DATASET_CACHE_REVALIDATE_MS;
+    this.indexedColumns = options.indexedColumns || CACHE_ENV.DATASET_CACHE_INDEXED_COLUMNS;
+
+    // Map preserves insertion order; re-inserting on access keeps LRU order
+    this.entries = new Map();
+    this.pending = new Map();
+    this.bytes = 0;
+    this.metrics = { hits: 0, misses: 0, revalidations: 0, evictions: 0, bypassed: 0 };
+  }
+
+  // Description: Returns a cached entry { headers, rows, indexes, etag } for a blob,
+  // loading it with parse(stream) when missing or stale.
+  // Returns null when the blob is too large for the budget; callers then stream it.
+  async get(blobClient, context, parse) {
+    const name = blobClient.name;
+    const cached = this.entries.get(name);
+
+    if (cached && Date.now() - cached.checkedAt < this.revalidateMs) {
+      return this.hit(name, cached, context);
+    }
+
+    const properties = await blobClient.getProperties();
+    if (cached && DatasetCache.isCurrent(cached, properties)) {
+      cached.checkedAt = Date.now();
+      this.metrics.revalidations++;
+      return this.hit(name, cached, context);
+    }
+
+    const estimatedBytes = (properties.contentLength || 0) * PARSED_SIZE_FACTOR;
+    if (estimatedBytes > this.maxBytes) {
+      this.metrics.bypassed++;
+      this.logMetrics(context, `bypass ${name} (~${Math.round(estimatedBytes / 1048576)}MB exceeds budget)`);
+      return null;
+    }
+
+    // Concurrent requests for the same stale blob share one download
+    if (!this.pending.has(name)) {
+      this.pending.set(name, this.load(blobClient, properties, parse, estimatedBytes)
+        .finally(() => this.pending.delete(name)));
+    }
+
+    this.metrics.misses++;
+    const entry = await this.pending.get(name);
+    this.logMetrics(context, `miss ${name} (${entry.rows.length} rows)`);
+    return entry;
+  }
+
+  // Description: Downloads, parses, indexes and stores one dataset
+  async load(blobClient, properties, parse, estimatedBytes) {
+    const download = await blobClient.download();
+    const { headers, rows } = await parse(download.readableStreamBody);
+
+    const indexes = {};
+    this.indexedColumns
+      .filter(col => headers.includes(col))
+      .forEach(col => { indexes[col] = new ColumnIndex(rows, col); });
+
+    const entry = {
+      name: blobClient.name,
+      headers,
+      rows,
+      indexes,
+      etag: download.etag || properties.etag,
+      lastModified: download.lastModified || properties.lastModified,
+      size: estimatedBytes,
+      checkedAt: Date.now()
+    };
+
+    this.remove(entry.name);
+    this.entries.set(entry.name, entry);
+    this.bytes += entry.size;
+    this.evict();
+    return entry;
+  }
+
+  // Description: Records a hit and moves the entry to the most-recently-used end
+  hit(name, entry, context) {
+    this.entries.delete(name);
+    this.entries.set(name, entry);
+    this.metrics.hits++;
+    this.logMetrics(context, `hit ${name}`);
+    return entry;
+  }
+
+  // Description: Drops least-recently-used entries until the budget is met
+  evict() {
+    for (const name of this.entries.keys()) {
+      if (this.bytes <= this.maxBytes) break;
+      this.remove(name);
+      this.metrics.evictions++;
+    }
+  }
+
+  remove(name) {
+    const entry = this.entries.get(name);
+    if (entry) {
+      this.bytes -= entry.size;
+      this.entries.delete(name);
+    }
+  }
+
+  // Description: Row lookup through an index; returns null when the column is not indexed
+  // mode: "exact" or "prefix"
+  static lookup(entry, column, value, mode = "exact") {
+    const index = entry.indexes[column];
+    if (!index) return null;
+    const positions = mode === "prefix" ? index.lookupPrefix(value) : index.lookupExact(value);
+    return positions.map(position => entry.rows[position]);
+  }
+
+  // Description: An entry is current when the ETag (or last-modified, if no ETag) is unchanged
+  static isCurrent(entry, properties) {
+    if (entry.etag && properties.etag) {
+      return entry.etag === properties.etag;
+    }
+    return String(entry.lastModified) === String(properties.lastModified);
+  }
+
+  logMetrics(context, event) {
+    const { hits, misses, revalidations, evictions, bypassed } = this.metrics;
+    const lookups = hits + misses;
+    const hitRate = lookups ? Math.round((hits / lookups) * 100) : 0;
+    context.log(
+      `🗄️ Dataset cache ${event} | hits=${hits} misses=${misses} hitRate=${hitRate}% ` +
+      `revalidations=${revalidations} evictions=${evictions} bypassed=${bypassed} ` +
+      `entries=${this.entries.size} usage=${Math.round(this.bytes / 1048576)}/${Math.round(this.maxBytes / 1048576)}MB`
+    );
+  }
+}
+
+module.exports = {
+  DatasetCache,
+  ColumnIndex
+};
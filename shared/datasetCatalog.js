@@ -0,0 +1,273 @@
+/* ========== DATASET CATALOG MODULE ========== */
+// Description: Describes the CSV datasets available to query analysis
+// Sources, in order of preference:
+// 1. catalog.json manifest in the datasets container (same format as datasetCatalog.default.json)
+// 2. Discovery: headers and sampled column types read from every CSV in the container
+// 3. The bundled default catalog when storage is unreachable
+// The loaded catalog is cached and revalidated against the manifest ETag, so
+// adding a dataset or column only needs a blob upload, not a redeploy.
+const { BlobServiceClient } = require("@azure/storage-blob");
+const csv = require("fast-csv");
+const DEFAULT_CATALOG = require("./datasetCatalog.default.json");
+const { MASK_TYPES } = require("./masking");
+
+// Description: Catalog configuration
+// - CATALOG_BLOB: Manifest blob name inside the datasets container
+// - CATALOG_REFRESH_MS: How long a loaded catalog is trusted before revalidating
+const CATALOG_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  DATASETS_CONTAINER: "datasets",
+  CATALOG_BLOB: process.env.CATALOG_BLOB || "catalog.json",
+  CATALOG_REFRESH_MS: parseInt(process.env.CATALOG_REFRESH_MS, 10) || 5 * 60 * 1000
+};
+
+// Description: Bytes read from each CSV during discovery (headers + sample rows)
+const DISCOVERY_SAMPLE_BYTES = 64 * 1024;
+const DISCOVERY_SAMPLE_ROWS = 50;
+
+/* ========== CATALOG NORMALIZATION ========== */
+// Description: Display label derived from a column name ("storage_bin" -> "Storage Bin")
+function defaultLabel(column) {
+  return column.split(/[_\s]+/).filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+// Description: Normalizes a manifest into the shape used by AIDataService.DATASET_MAP
+// Accepts columns as { name: type }, { name: { type, label, labels, unit, unitColumn, mask, maskStep } }
+// or [name, ...]; names are lowercased to match the normalized CSV headers produced by
+// BlobDataService. Field metadata drives response shaping (label, unit, type); "labels"
+// holds translated labels by locale ({ "fr": "Stock disponible" }).
+// uniqueKey marks datasets with one row per key value (enforced on upload).
+// localizedKeywords adds keywords by locale; language is the language of the dataset's
+// values (default "en"), which search values must use.
+function normalizeCatalog(manifest, version) {
+  if (!manifest || typeof manifest.datasets !== "object") {
+    throw new Error("Catalog manifest is missing a 'datasets' object");
+  }
+
+  const datasets = {};
+  for (const [key, entry] of Object.entries(manifest.datasets)) {
+    if (!entry || !entry.file) {
+      throw new Error(`Catalog entry '${key}' is missing 'file'`);
+    }
+
+    const specs = Array.isArray(entry.columns)
+      ? entry.columns.map(col => [col, "string"])
+      : Object.entries(entry.columns || {});
+
+    const fields = {};
+    specs.forEach(([col, spec]) => {
+      const name = col.toLowerCase();
+      const meta = spec && typeof spec === "object" ? spec : { type: spec };
+      if (meta.mask && !MASK_TYPES.includes(meta.mask)) {
+        throw new Error(`Catalog column '${key}.${name}' has unknown mask '${meta.mask}'`);
+      }
+      fields[name] = {
+        type: meta.type || "string",
+        label: meta.label || defaultLabel(name),
+        labels: meta.labels && typeof meta.labels === "object" ? meta.labels : {},
+        unit: meta.unit || null,
+        unitColumn: meta.unitColumn ? meta.unitColumn.toLowerCase() : null,
+        mask: meta.mask || null,
+        maskStep: meta.maskStep || null
+      };
+    });
+
+    const keyColumn = (entry.keyColumn || "sku_id").toLowerCase();
+    if (!fields[keyColumn]) {
+      fields[keyColumn] = {
+        type: "string", label: defaultLabel(keyColumn), labels: {}, unit: null, unitColumn: null, mask: null, maskStep: null
+      };
+    }
+
+    const columnTypes = Object.fromEntries(
+      Object.entries(fields).map(([name, field]) => [name, field.type])
+    );
+
+    datasets[key] = {
+      dataset: entry.file,
+      purpose: entry.purpose || "",
+      queries: Array.isArray(entry.keywords) ? entry.keywords : [],
+      localizedQueries: normalizeLocalizedKeywords(entry.localizedKeywords),
+      language: String(entry.language || "en").toLowerCase(),
+      columns: Object.keys(columnTypes),
+      columnTypes,
+      fields,
+      keyColumn,
+      uniqueKey: Boolean(entry.uniqueKey)
+    };
+  }
+
+  if (Object.keys(datasets).length === 0) {
+    throw new Error("Catalog manifest lists no datasets");
+  }
+
+  return { version: String(version || manifest.version || "unversioned"), datasets };
+}
+
+// Description: { locale: [keyword, ...] } with locale codes lowercased and non-lists dropped
+function normalizeLocalizedKeywords(localized) {
+  if (!localized || typeof localized !== "object") return {};
+  return Object.fromEntries(Object.entries(localized)
+    .filter(([, keywords]) => Array.isArray(keywords))
+    .map(([locale, keywords]) => [locale.toLowerCase(), keywords]));
+}
+
+// Description: Keywords of a catalog entry in English plus the given locale
+function datasetKeywords(entry, locale) {
+  return [...entry.queries, ...((locale && entry.localizedQueries?.[locale]) || [])];
+}
+
+// Description: Infers a column type from sampled cell values
+function inferColumnType(values) {
+  const present = values.filter(v => v !== undefined && v !== null && String(v).trim() !== "");
+  if (present.length === 0) return "string";
+  if (present.every(v => /^-?\$?[\d,]*\.?\d+$/.test(String(v).trim()))) return "number";
+  if (present.every(v => /^\d{4}-\d{2}-\d{2}|^\d{1,2}\/\d{1,2}\/\d{2,4}/.test(String(v).trim()) &&
+      !Number.isNaN(Date.parse(v)))) return "date";
+  return "string";
+}
+
+/* ========== DATASET CATALOG CLASS ========== */
+// Description: Loads and caches the catalog; one instance is shared across warm invocations
+class DatasetCatalog {
+  constructor(serviceClient) {
+    this.serviceClient = serviceClient || null;
+    this.cached = normalizeCatalog(DEFAULT_CATALOG);
+    this.cachedEtag = null;
+    this.loadedAt = 0;
+  }
+
+  // Description: Lazily connects so the module can load without storage configured
+  get containerClient() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(
+        CATALOG_ENV.AZURE_STORAGE_CONNECTION_STRING
+      );
+    }
+    return this.serviceClient.getContainerClient(CATALOG_ENV.DATASETS_CONTAINER);
+  }
+
+  // Description: Returns the last loaded catalog without touching storage
+  current() {
+    return this.cached;
+  }
+
+  // Description: Returns a fresh catalog, revalidating once CATALOG_REFRESH_MS has passed
+  // Storage errors keep the previously loaded catalog in service
+  async load(context) {
+    if (Date.now() - this.loadedAt < CATALOG_ENV.CATALOG_REFRESH_MS) {
+      return this.cached;
+    }
+
+    try {
+      const manifestClient = this.containerClient.getBlobClient(CATALOG_ENV.CATALOG_BLOB);
+
+      if (await manifestClient.exists()) {
+        const properties = await manifestClient.getProperties();
+        if (properties.etag !== this.cachedEtag) {
+          const buffer = await manifestClient.downloadToBuffer();
+          this.cached = normalizeCatalog(JSON.parse(buffer.toString("utf8")), properties.etag);
+          this.cachedEtag = properties.etag;
+          context?.log(`Catalog loaded from ${CATALOG_ENV.CATALOG_BLOB} (${Object.keys(this.cached.datasets).length} datasets)`);
+        }
+      } else {
+        this.cached = await this.discover(context);
+        this.cachedEtag = null;
+      }
+    } catch (error) {
+      context?.log(`Catalog Error: ${error.message}. Using catalog version ${this.cached.version}`);
+    }
+
+    this.loadedAt = Date.now();
+    return this.cached;
+  }
+
+  // Description: Builds a catalog by reading headers from every CSV in the container
+  // Purpose and keywords are taken from the default catalog when the file is known there
+  async discover(context) {
+    const defaults = normalizeCatalog(DEFAULT_CATALOG);
+    const knownByFile = Object.fromEntries(
+      Object.entries(defaults.datasets).map(([key, entry]) => [entry.dataset, { key, entry }])
+    );
+
+    const csvBlobs = [];
+    for await (const blob of this.containerClient.listBlobsFlat()) {
+      if (blob.name.toLowerCase().endsWith(".csv")) csvBlobs.push(blob);
+    }
+
+    // Skip re-sampling when no CSV was added, removed or replaced
+    const version = `discovered:${csvBlobs.map(blob => `${blob.name}:${blob.properties?.etag || ""}`).join("|")}`;
+    if (version === this.cached.version) {
+      return this.cached;
+    }
+
+    const datasets = {};
+    for (const blob of csvBlobs) {
+      const blobClient = this.containerClient.getBlobClient(blob.name);
+      const columns = await this.sampleColumns(blobClient);
+      const known = knownByFile[blob.name];
+      const key = known ? known.key : blob.name.replace(/\.csv$/i, "");
+
+      datasets[key] = {
+        file: blob.name,
+        purpose: known ? known.entry.purpose : "",
+        keywords: known ? known.entry.queries : [],
+        localizedKeywords: known ? known.entry.localizedQueries : {},
+        language: known ? known.entry.language : "en",
+        keyColumn: known ? known.entry.keyColumn : "sku_id",
+        uniqueKey: known ? known.entry.uniqueKey : false,
+        columns: Object.fromEntries(Object.entries(columns).map(([name, type]) => {
+          const knownField = known?.entry.fields[name];
+          return [name, knownField ? { ...knownField, type } : type];
+        }))
+      };
+    }
+
+    context?.log(`Catalog discovered from CSV headers (${Object.keys(datasets).length} datasets)`);
+    return normalizeCatalog({ datasets }, version);
+  }
+
+  // Description: Reads the first chunk of a CSV and infers column types from sample rows
+  async sampleColumns(blobClient) {
+    const download = await blobClient.download(0, DISCOVERY_SAMPLE_BYTES);
+    const chunks = [];
+    for await (const chunk of download.readableStreamBody) {
+      chunks.push(Buffer.from(chunk));
+    }
+
+    // Drop the trailing partial line when the sample was cut mid-row
+    let text = Buffer.concat(chunks).toString("utf8");
+    if (Buffer.byteLength(text) >= DISCOVERY_SAMPLE_BYTES && text.includes("\n")) {
+      text = text.slice(0, text.lastIndexOf("\n"));
+    }
+
+    const rows = [];
+    let headers = [];
+    await new Promise((resolve, reject) => {
+      csv.parseString(text, {
+        headers: raw => raw.map(header => header.trim().toLowerCase()),
+        trim: true,
+        maxRows: DISCOVERY_SAMPLE_ROWS,
+        discardUnmappedColumns: true
+      })
+        .on("headers", parsed => { headers = parsed; })
+        .on("data", row => rows.push(row))
+        .on("end", resolve)
+        .on("error", reject);
+    });
+
+    return Object.fromEntries(
+      headers.map(header => [header, inferColumnType(rows.map(row => row[header]))])
+    );
+  }
+}
+
+module.exports = {
+  DatasetCatalog,
+  normalizeCatalog,
+  datasetKeywords,
+  defaultLabel,
+  DEFAULT_CATALOG
+};
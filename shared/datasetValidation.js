@@ -0,0 +1,171 @@
+/* ========== DATASET VALIDATION MODULE ========== */
+// Description: Checks an uploaded CSV against its catalog entry before it is promoted
+// - Headers: every catalog column must be present (normalized like BlobDataService:
+//   trimmed, lowercased); unknown columns are warnings
+// - Rows: column count, number/date cell types and a non-empty key column
+// - Key column: duplicate values are reported, and are errors for uniqueKey datasets
+// The report lists at most VALIDATION_MAX_ISSUES issues of each severity; counts are exact
+const csv = require("fast-csv");
+
+// Description: Validation configuration
+// - VALIDATION_MAX_ISSUES: Errors / warnings / duplicate keys listed in a report
+const VALIDATION_ENV = {
+  VALIDATION_MAX_ISSUES: parseInt(process.env.VALIDATION_MAX_ISSUES, 10) || 100
+};
+
+// Description: Cell checks per column type; empty cells are allowed outside the key column
+const TYPE_CHECKS = {
+  number: value => /^[-+]?\$?[\d,]*\.?\d+([eE][-+]?\d+)?$/.test(value),
+  date: value => !Number.isNaN(Date.parse(value))
+};
+
+/* ========== VALIDATION REPORT CLASS ========== */
+// Description: Collects issues while a file is parsed
+// Issue shape: { row, column, code, message, value } (row 1 is the header line)
+class ValidationReport {
+  constructor(entry, maxIssues = VALIDATION_ENV.VALIDATION_MAX_ISSUES) {
+    this.entry = entry;
+    this.maxIssues = maxIssues;
+    this.errors = [];
+    this.warnings = [];
+    this.errorCount = 0;
+    this.warningCount = 0;
+  }
+
+  error(issue) {
+    this.errorCount += 1;
+    if (this.errors.length < this.maxIssues) this.errors.push(issue);
+  }
+
+  warning(issue) {
+    this.warningCount += 1;
+    if (this.warnings.length < this.maxIssues) this.warnings.push(issue);
+  }
+
+  toJSON(extra) {
+    return {
+      dataset: this.entry.dataset,
+      valid: this.errorCount === 0,
+      ...extra,
+      errorCount: this.errorCount,
+      warningCount: this.warningCount,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+}
+
+/* ========== VALIDATION ========== */
+// Description: Validates CSV text against a catalog entry (AIDataService.DATASET_MAP shape)
+// Returns { dataset, valid, rows, headers, missingColumns, extraColumns, duplicateKeys,
+//           errorCount, warningCount, errors, warnings }
+async function validateDataset(text, entry, options = {}) {
+  const report = new ValidationReport(entry, options.maxIssues);
+  const keyColumn = entry.keyColumn;
+  const keyRows = new Map();
+  let headers = [];
+  let duplicateHeaders = [];
+  let rowNumber = 1;
+
+  const checkRow = row => {
+    for (const column of entry.columns) {
+      const value = row[column];
+      if (value === undefined || value === "") continue;
+      const check = TYPE_CHECKS[entry.columnTypes[column]];
+      if (check && !check(value)) {
+        report.error({
+          row: rowNumber,
+          column,
+          code: `invalid_${entry.columnTypes[column]}`,
+          message: `Expected a ${entry.columnTypes[column]} in '${column}'`,
+          value
+        });
+      }
+    }
+
+    const key = String(row[keyColumn] ?? "").trim().toLowerCase();
+    if (!key) {
+      report.error({ row: rowNumber, column: keyColumn, code: "missing_key", message: `Empty '${keyColumn}'` });
+      return;
+    }
+    if (!keyRows.has(key)) keyRows.set(key, { value: row[keyColumn], rows: [] });
+    keyRows.get(key).rows.push(rowNumber);
+  };
+
+  try {
+    await new Promise((resolve, reject) => {
+      csv.parseString(text.replace(/^\uFEFF/, ""), {
+        headers: raw => {
+          const normalized = raw.map(header => String(header ?? "").trim().toLowerCase());
+          duplicateHeaders = normalized.filter((header, i) => normalized.indexOf(header) !== i);
+          return normalized;
+        },
+        trim: true,
+        strictColumnHandling: true
+      })
+        .on("headers", parsed => { headers = parsed; })
+        .on("data", row => {
+          rowNumber += 1;
+          checkRow(row);
+        })
+        .on("data-invalid", () => {
+          rowNumber += 1;
+          report.error({
+            row: rowNumber,
+            column: null,
+            code: "column_count",
+            message: `Row does not have ${headers.length} columns`
+          });
+        })
+        .on("end", resolve)
+        .on("error", reject);
+    });
+  } catch (error) {
+    // Duplicate headers and malformed quoting stop the parser; nothing after them is checked
+    report.error(duplicateHeaders.length
+      ? { row: 1, column: null, code: "duplicate_header", message: `Duplicate columns: ${[...new Set(duplicateHeaders)].join(", ")}` }
+      : { row: rowNumber + 1, column: null, code: "parse_error", message: error.message });
+  }
+
+  const missingColumns = headers.length ? entry.columns.filter(column => !headers.includes(column)) : [];
+  const extraColumns = headers.filter(header => !entry.columns.includes(header));
+  missingColumns.forEach(column =>
+    report.error({ row: 1, column, code: "missing_column", message: `Missing column '${column}'` }));
+  extraColumns.forEach(column =>
+    report.warning({ row: 1, column, code: "extra_column", message: `Column '${column}' is not in the catalog` }));
+
+  if (report.errorCount === 0 && rowNumber === 1) {
+    report.error({ row: headers.length ? 2 : 1, column: null, code: "empty_file", message: "The file has no data rows" });
+  }
+
+  // Duplicate keys: errors for one-row-per-key datasets, informational otherwise
+  const duplicates = [...keyRows.values()].filter(key => key.rows.length > 1);
+  if (entry.uniqueKey) {
+    duplicates.forEach(key => report.error({
+      row: key.rows[1],
+      column: keyColumn,
+      code: "duplicate_key",
+      message: `Duplicate '${keyColumn}' (rows ${key.rows.slice(0, 10).join(", ")}${key.rows.length > 10 ? ", ..." : ""})`,
+      value: key.value
+    }));
+  }
+
+  return report.toJSON({
+    rows: rowNumber - 1,
+    headers,
+    missingColumns,
+    extraColumns,
+    duplicateKeys: {
+      column: keyColumn,
+      unique: Boolean(entry.uniqueKey),
+      count: duplicates.length,
+      values: duplicates.slice(0, report.maxIssues).map(key => ({ value: key.value, rows: key.rows.slice(0, 10) }))
+    }
+  });
+}
+
+module.exports = {
+  validateDataset,
+  ValidationReport,
+  VALIDATION_ENV
+};
@@ -0,0 +1,277 @@
+/* ========== DATASET VERSIONS MODULE ========== */
+// Description: Versioned uploads of the CSVs in the datasets container
+// - Every upload is kept in DATASET_VERSIONS_CONTAINER with its validation report:
+//     <file>/<versionId>.csv, <file>/<versionId>.report.json
+// - <file>/history.json lists the versions and which one is live
+// - Promoting a version copies it over datasets/<file>; the dataset cache and catalog
+//   pick the change up through the blob ETag. The copy is recorded as pending first, so
+//   a promotion interrupted halfway is reconciled against the dataset blob on the next read
+// - Rollback promotes an earlier valid version again
+// - The file that was live before the first upload is archived as a "baseline" version
+const crypto = require("crypto");
+const { BlobServiceClient } = require("@azure/storage-blob");
+
+// Description: Versioning configuration
+// - DATASET_VERSIONS_CONTAINER: Blob container holding uploaded versions and reports
+const VERSION_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  DATASETS_CONTAINER: "datasets",
+  DATASET_VERSIONS_CONTAINER: process.env.DATASET_VERSIONS_CONTAINER || "dataset-versions"
+};
+
+const VERSION_ID_PATTERN = /^\d{8}T\d{6}Z-[0-9a-f]{6}$/;
+
+// Description: How long a pending promotion is treated as still running before it is
+// considered failed and dropped
+const PROMOTION_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Description: Thrown when history.json changed between read and write (concurrent upload)
+class DatasetVersionConflictError extends Error {
+  constructor(file) {
+    super(`Another change to ${file} is in progress; retry the request`);
+    this.name = "DatasetVersionConflictError";
+  }
+}
+
+// Description: Sortable version ID ("20250101T120000Z-1a2b3c")
+function newVersionId(date = new Date()) {
+  return `${date.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z")}-${crypto.randomBytes(3).toString("hex")}`;
+}
+
+/* ========== DATASET VERSION STORE CLASS ========== */
+// Description: Stores, promotes and rolls back dataset versions
+class DatasetVersionStore {
+  constructor(serviceClient) {
+    this.serviceClient = serviceClient || null;
+    this.containerReady = null;
+  }
+
+  // Description: Lazily connects so modules can load without storage configured
+  get client() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(VERSION_ENV.AZURE_STORAGE_CONNECTION_STRING);
+    }
+    return this.serviceClient;
+  }
+
+  get versionsContainer() {
+    return this.client.getContainerClient(VERSION_ENV.DATASET_VERSIONS_CONTAINER);
+  }
+
+  get datasetsContainer() {
+    return this.client.getContainerClient(VERSION_ENV.DATASETS_CONTAINER);
+  }
+
+  ensureContainer() {
+    if (!this.containerReady) {
+      this.containerReady = this.versionsContainer.createIfNotExists().catch(error => {
+        this.containerReady = null;
+        throw error;
+      });
+    }
+    return this.containerReady;
+  }
+
+  // Description: Version history of a file with its ETag ({ current: null, versions: [] } when new)
+  // A pending promotion is reconciled before the history is returned
+  async history(file) {
+    let history;
+    try {
+      const download = await this.versionsContainer.getBlobClient(`${file}/history.json`).download();
+      const chunks = [];
+      for await (const chunk of download.readableStreamBody) {
+        chunks.push(Buffer.from(chunk));
+      }
+      history = { ...JSON.parse(Buffer.concat(chunks).toString("utf8")), etag: download.etag };
+    } catch (error) {
+      if (error.statusCode === 404) return { file, current: null, versions: [], etag: null };
+      throw error;
+    }
+    return history.pending ? this.reconcile(file, history) : history;
+  }
+
+  // Description: Settles a pending promotion against the version tag of the dataset blob
+  // - Tagged with the pending version: the copy happened, so the version becomes current
+  // - Otherwise the promotion failed once PROMOTION_TIMEOUT_MS has passed and is dropped;
+  //   before that it is still running and left pending
+  async reconcile(file, history) {
+    const { pending } = history;
+    const copied = await this.liveVersion(file) === pending.id;
+    if (!copied && Date.now() - Date.parse(pending.since) < PROMOTION_TIMEOUT_MS) {
+      return history;
+    }
+
+    const version = history.versions.find(entry => entry.id === pending.id);
+    if (copied && version) {
+      version.promotedAt = version.promotedAt || new Date().toISOString();
+      history.current = version.id;
+    }
+    delete history.pending;
+
+    try {
+      await this.saveHistory(file, history);
+    } catch (error) {
+      // Another request reconciled (or changed) the history first
+      if (error instanceof DatasetVersionConflictError) return this.history(file);
+      throw error;
+    }
+    return history;
+  }
+
+  // Description: Version ID the live dataset blob was promoted from (null when untagged or missing)
+  async liveVersion(file) {
+    try {
+      const properties = await this.datasetsContainer.getBlobClient(file).getProperties();
+      return properties.metadata?.datasetversion || null;
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  // Description: Validation report of one version (null when unknown)
+  async report(file, versionId) {
+    if (!VERSION_ID_PATTERN.test(String(versionId || ""))) return null;
+    try {
+      const buffer = await this.versionsContainer.getBlobClient(`${file}/${versionId}.report.json`).downloadToBuffer();
+      return JSON.parse(buffer.toString("utf8"));
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  // Description: Stores an upload and its report; valid uploads are promoted
+  // Returns the history entry of the new version
+  async upload(file, content, report, uploadedBy, context) {
+    await this.ensureContainer();
+    const history = await this.history(file);
+    if (!history.current) {
+      await this.archiveBaseline(file, history, context);
+    }
+
+    const version = {
+      id: newVersionId(),
+      source: "upload",
+      uploadedAt: new Date().toISOString(),
+      uploadedBy,
+      bytes: content.length,
+      rows: report.rows,
+      valid: report.valid,
+      errorCount: report.errorCount,
+      warningCount: report.warningCount,
+      promotedAt: null
+    };
+
+    await this.putBlob(`${file}/${version.id}.csv`, content, "text/csv");
+    await this.putBlob(`${file}/${version.id}.report.json`, JSON.stringify({ ...report, version: version.id }, null, 2), "application/json");
+    history.versions.push(version);
+
+    if (version.valid) {
+      await this.promote(file, history, version, content, context);
+    } else {
+      await this.saveHistory(file, history);
+      context.log(`🚫 ${file} upload ${version.id} rejected (${report.errorCount} error(s))`);
+    }
+    return version;
+  }
+
+  // Description: Promotes versionId, or the valid version before the current one when omitted
+  // Returns { version, previous } or null when there is nothing to roll back to
+  async rollback(file, versionId, context) {
+    const history = await this.history(file);
+    const currentIndex = history.versions.findIndex(version => version.id === history.current);
+    const target = versionId
+      ? history.versions.find(version => version.id === versionId && version.valid)
+      : history.versions.slice(0, Math.max(currentIndex, 0)).reverse().find(version => version.valid);
+    if (!target || target.id === history.current) return null;
+
+    const previous = history.current;
+    const content = await this.versionsContainer.getBlobClient(`${file}/${target.id}.csv`).downloadToBuffer();
+    await this.promote(file, history, target, content, context);
+    return { version: target, previous };
+  }
+
+  // Description: Copies a version over the dataset blob and marks it live in history.json
+  // 1. history.json records the promotion as pending; the write is conditional, so of two
+  //    concurrent promotions only one proceeds, and none starts while another is pending
+  // 2. The dataset blob is written, tagged with the version ID
+  // 3. history.json marks the version current
+  // history.json never names a version that is not live; a failure after step 1 leaves the
+  // promotion pending until reconcile() settles it
+  async promote(file, history, version, content, context) {
+    if (history.pending) {
+      throw new DatasetVersionConflictError(file);
+    }
+    history.pending = { id: version.id, since: new Date().toISOString() };
+    await this.saveHistory(file, history);
+
+    await this.datasetsContainer.getBlockBlobClient(file).uploadData(content, {
+      blobHTTPHeaders: { blobContentType: "text/csv" },
+      metadata: { datasetversion: version.id }
+    });
+
+    version.promotedAt = new Date().toISOString();
+    history.current = version.id;
+    delete history.pending;
+    await this.saveHistory(file, history);
+    context.log(`📦 ${file} version ${version.id} promoted (${version.rows ?? "?"} rows)`);
+  }
+
+  // Description: Keeps the file that was live before versioning started, so the first
+  // upload can be rolled back
+  async archiveBaseline(file, history, context) {
+    let content;
+    try {
+      content = await this.datasetsContainer.getBlobClient(file).downloadToBuffer();
+    } catch (error) {
+      if (error.statusCode === 404) return;
+      throw error;
+    }
+
+    const baseline = {
+      id: newVersionId(),
+      source: "baseline",
+      uploadedAt: new Date().toISOString(),
+      uploadedBy: null,
+      bytes: content.length,
+      rows: null,
+      valid: true,
+      errorCount: null,
+      warningCount: null,
+      promotedAt: null
+    };
+    await this.putBlob(`${file}/${baseline.id}.csv`, content, "text/csv");
+    history.versions.push(baseline);
+    history.current = baseline.id;
+    context.log(`📦 ${file} archived as baseline version ${baseline.id}`);
+  }
+
+  async putBlob(name, content, contentType) {
+    await this.versionsContainer.getBlockBlobClient(name).upload(content, Buffer.byteLength(content), {
+      blobHTTPHeaders: { blobContentType: contentType }
+    });
+  }
+
+  // Description: Writes history.json unless it changed since it was read
+  async saveHistory(file, history) {
+    const { etag, ...document } = history;
+    const body = JSON.stringify({ ...document, file }, null, 2);
+    try {
+      const response = await this.versionsContainer.getBlockBlobClient(`${file}/history.json`).upload(body, Buffer.byteLength(body), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: etag ? { ifMatch: etag } : { ifNoneMatch: "*" }
+      });
+      history.etag = response.etag;
+    } catch (error) {
+      if (error.statusCode === 409 || error.statusCode === 412) throw new DatasetVersionConflictError(file);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  DatasetVersionStore,
+  DatasetVersionConflictError,
+  VERSION_ENV
+};
@@ -0,0 +1,167 @@
+/* ========== FILTER EXPRESSION MODULE ========== */
+// Description: Typed filter trees produced by query analysis and evaluated per CSV row
+// Node shapes:
+// - { "and": [node, ...] } / { "or": [node, ...] } / { "not": node }
+// - { "column": "soh", "op": "lt", "value": 5, "type": "number" }
+// - { "column": "orderdate", "op": "between", "value": ["2024-01-01", "2024-03-31"], "type": "date" }
+
+// Description: Supported comparison operators and value types
+const OPERATORS = ["eq", "neq", "contains", "starts_with", "lt", "lte", "gt", "gte", "between", "in"];
+const VALUE_TYPES = ["string", "number", "date"];
+const RANGE_OPERATORS = ["lt", "lte", "gt", "gte", "between"];
+const MAX_FILTER_DEPTH = 5;
+
+/* ========== VALUE PARSING ========== */
+// Description: Parses numbers from CSV cells, tolerating currency symbols and thousands separators
+function parseNumber(value) {
+  if (typeof value === "number") return value;
+  const cleaned = String(value ?? "").replace(/[^0-9.eE+-]/g, "");
+  return cleaned === "" ? NaN : Number(cleaned);
+}
+
+// Description: Parses dates to epoch milliseconds (ISO and common US formats)
+function parseDate(value) {
+  if (value instanceof Date) return value.getTime();
+  return Date.parse(String(value ?? "").trim());
+}
+
+// Description: Converts a raw value to its comparable form for the given type
+function coerce(value, type) {
+  switch (type) {
+    case "number": return parseNumber(value);
+    case "date": return parseDate(value);
+    default: return String(value ?? "").trim().toLowerCase();
+  }
+}
+
+/* ========== VALIDATION ========== */
+// Description: Validates and normalizes a filter tree against the allowed columns
+// Throws on unknown columns, operators, types or unparsable values
+// Returns a copy with lowercased column names and resolved types. columnTypes maps
+// columns to their catalog types: range comparisons always use the catalog type (so
+// { column: "soh", op: "lt", value: "5" } compares numbers, not strings); other operators
+// use the node's type, then the catalog type, then the value's JS type
+function validateFilter(node, validColumns, columnTypes = {}, depth = 0) {
+  if (!node || typeof node !== "object" || Array.isArray(node)) {
+    throw new Error("Invalid filter: expected an object");
+  }
+  if (depth > MAX_FILTER_DEPTH) {
+    throw new Error(`Invalid filter: nesting deeper than ${MAX_FILTER_DEPTH} levels`);
+  }
+
+  for (const logical of ["and", "or"]) {
+    if (logical in node) {
+      if (!Array.isArray(node[logical]) || node[logical].length === 0) {
+        throw new Error(`Invalid filter: '${logical}' needs a non-empty array`);
+      }
+      return { [logical]: node[logical].map(child => validateFilter(child, validColumns, columnTypes, depth + 1)) };
+    }
+  }
+
+  if ("not" in node) {
+    return { not: validateFilter(node.not, validColumns, columnTypes, depth + 1) };
+  }
+
+  const allowed = validColumns.map(col => col.toLowerCase());
+  const column = typeof node.column === "string" ? node.column.trim().toLowerCase() : "";
+  if (!allowed.includes(column)) {
+    throw new Error(`Invalid filter column: ${node.column}`);
+  }
+
+  const op = node.op || "eq";
+  if (!OPERATORS.includes(op)) {
+    throw new Error(`Invalid filter operator: ${node.op}`);
+  }
+
+  const catalogType = columnTypes[column];
+  const type = (RANGE_OPERATORS.includes(op) && catalogType)
+    || node.type || catalogType || (typeof node.value === "number" ? "number" : "string");
+  if (!VALUE_TYPES.includes(type)) {
+    throw new Error(`Invalid filter type: ${node.type}`);
+  }
+
+  const isList = op === "between" || op === "in";
+  const values = isList ? node.value : [node.value];
+  if (!Array.isArray(values) || values.length === 0 || (op === "between" && values.length !== 2)) {
+    throw new Error(`Invalid filter value for '${op}' on ${column}`);
+  }
+  if (values.some(v => v === null || v === undefined || v === "")) {
+    throw new Error(`Missing filter value for ${column}`);
+  }
+  if (type !== "string" && values.some(v => Number.isNaN(coerce(v, type)))) {
+    throw new Error(`Unparsable ${type} value for ${column}: ${JSON.stringify(node.value)}`);
+  }
+  if (type !== "string" && (op === "contains" || op === "starts_with")) {
+    throw new Error(`Operator '${op}' requires a string type on ${column}`);
+  }
+
+  return { column, op, type, value: node.value };
+}
+
+// Description: Lists every column referenced by a filter tree
+function filterColumns(node) {
+  if (!node) return [];
+  if (node.and) return node.and.flatMap(filterColumns);
+  if (node.or) return node.or.flatMap(filterColumns);
+  if (node.not) return filterColumns(node.not);
+  return [node.column];
+}
+
+/* ========== EVALUATION ========== */
+// Description: Evaluates a validated filter tree against one row
+// Rows use normalized (lowercase) headers; unparsable cells never match
+function evaluateFilter(node, row) {
+  if (!node) return true;
+  if (node.and) return node.and.every(child => evaluateFilter(child, row));
+  if (node.or) return node.or.some(child => evaluateFilter(child, row));
+  if (node.not) return !evaluateFilter(node.not, row);
+
+  const cell = coerce(row[node.column], node.type);
+  if (node.type !== "string" && Number.isNaN(cell)) return false;
+
+  switch (node.op) {
+    case "eq": return cell === coerce(node.value, node.type);
+    case "neq": return cell !== coerce(node.value, node.type);
+    case "contains": return cell.includes(coerce(node.value, node.type));
+    case "starts_with": return cell.startsWith(coerce(node.value, node.type));
+    case "lt": return cell < coerce(node.value, node.type);
+    case "lte": return cell <= coerce(node.value, node.type);
+    case "gt": return cell > coerce(node.value, node.type);
+    case "gte": return cell >= coerce(node.value, node.type);
+    case "between": {
+      const [min, max] = node.value.map(v => coerce(v, node.type));
+      return cell >= min && cell <= max;
+    }
+    case "in": return node.value.some(v => cell === coerce(v, node.type));
+    default: return false;
+  }
+}
+
+// Description: Comparisons that must hold for every matching row
+// (the node itself or direct children of a top-level "and"); used to pick index lookups
+function requiredComparisons(node) {
+  if (!node) return [];
+  if (node.and) return node.and.filter(child => child.column);
+  return node.column ? [node] : [];
+}
+
+// Description: Human-readable rendering used in log lines and response messages
+function describeFilter(node) {
+  if (!node) return "";
+  if (node.and) return node.and.map(describeFilter).join(" and ");
+  if (node.or) return `(${node.or.map(describeFilter).join(" or ")})`;
+  if (node.not) return `not ${describeFilter(node.not)}`;
+  const value = Array.isArray(node.value) ? node.value.join(node.op === "between" ? " and " : ", ") : node.value;
+  return `${node.column} ${node.op} ${value}`;
+}
+
+module.exports = {
+  parseNumber,
+  OPERATORS,
+  VALUE_TYPES,
+  validateFilter,
+  evaluateFilter,
+  filterColumns,
+  requiredComparisons,
+  describeFilter
+};
@@ -0,0 +1,127 @@
+/* ========== I18N MODULE ========== */
+// Description: Language detection and localized response texts
+// - Messages live in messageCatalog.json, one block per locale with the language name,
+//   detection cues and message templates ("{name}" placeholders); adding a language
+//   only needs a new block
+// - A request's locale comes from, in order: an explicit "locale" (body or query string),
+//   a confident detection on the message, the conversation's previous locale, a weak
+//   detection, the Accept-Language header and finally DEFAULT_LOCALE
+// - Dataset values keep the dataset's language; only answers and messages are localized
+const MESSAGE_CATALOG = require("./messageCatalog.json");
+
+// Description: Localization configuration
+// - DEFAULT_LOCALE: Locale used when nothing else identifies the caller's language
+const I18N_ENV = {
+  DEFAULT_LOCALE: process.env.DEFAULT_LOCALE || "en"
+};
+
+const LOCALES = MESSAGE_CATALOG.locales;
+
+// Description: Detection score (distinct cue words + accent characters) needed to
+// switch an ongoing conversation to another language
+const CONFIDENT_SCORE = 2;
+
+// Description: Maps "fr-CA", "FR" or "fr_FR" to a supported locale, or null
+function normalizeLocale(value) {
+  if (typeof value !== "string") return null;
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES[language] ? language : null;
+}
+
+function defaultLocale() {
+  return normalizeLocale(I18N_ENV.DEFAULT_LOCALE) || "en";
+}
+
+// Description: English name of a locale for model instructions ("fr" -> "French")
+function languageName(locale) {
+  return LOCALES[locale]?.name || locale;
+}
+
+/* ========== MESSAGES ========== */
+// Description: Localized message with placeholders filled in
+// Missing translations fall back to the default locale, then English, then the key
+function t(locale, key, params = {}) {
+  const template = LOCALES[locale]?.messages[key] ??
+    LOCALES[defaultLocale()]?.messages[key] ??
+    LOCALES.en?.messages[key] ??
+    key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+/* ========== DETECTION ========== */
+// Description: Scores the message against each locale's cue words and characters
+// Returns { locale, confident } for a clear winner, or null (too short, numbers only, a tie)
+function detectLanguage(text) {
+  const lower = String(text || "").toLowerCase();
+  const words = new Set(lower.match(/[\p{L}]+/gu) || []);
+  if (words.size === 0) return null;
+
+  const scores = Object.entries(LOCALES).map(([locale, { detection = {} }]) => {
+    const wordHits = (detection.words || []).filter(word => words.has(word)).length;
+    const characterHits = [...(detection.characters || "")].filter(ch => lower.includes(ch)).length;
+    return { locale, score: wordHits + characterHits };
+  }).sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = scores;
+  if (!best || best.score === 0 || best.score === runnerUp?.score) return null;
+  return { locale: best.locale, confident: best.score >= CONFIDENT_SCORE };
+}
+
+// Description: First supported language of an Accept-Language header ("fr-CA,fr;q=0.9,en;q=0.8")
+function acceptedLocale(header) {
+  return String(header || "").split(",")
+    .map(part => {
+      const [tag, quality] = part.trim().split(";q=");
+      return { locale: normalizeLocale(tag), quality: quality === undefined ? 1 : parseFloat(quality) };
+    })
+    .filter(entry => entry.locale && entry.quality > 0)
+    .sort((a, b) => b.quality - a.quality)[0]?.locale || null;
+}
+
+/* ========== REQUEST LOCALE ========== */
+// Description: Attaches the resolved language to a request; copies made by the router
+// ({ ...req }) keep it, so every step of one request answers in the same language
+const REQUEST_LANGUAGE = Symbol("requestLanguage");
+
+// Description: Returns { locale, detected, source } for a request
+// - locale: language of the response
+// - detected: language the message is written in (null when it cannot be told)
+// - source: "override", "detected", "session", "header" or "default"
+// session: conversation whose previous locale carries over to short replies ("2", "10271")
+function requestLanguage(req, session) {
+  if (!req[REQUEST_LANGUAGE]) {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    req[REQUEST_LANGUAGE] = {
+      override: normalizeLocale(body.locale ?? req.query?.locale),
+      detection: detectLanguage(body.userMessage),
+      header: acceptedLocale(req.headers?.["accept-language"]),
+      previous: null
+    };
+  }
+
+  const resolved = req[REQUEST_LANGUAGE];
+  if (session) {
+    resolved.previous = normalizeLocale(session.locale);
+  }
+
+  const { override, detection, header, previous } = resolved;
+  const detected = detection?.locale || null;
+  const [locale, source] =
+    override ? [override, "override"]
+    : detection?.confident ? [detected, "detected"]
+    : previous ? [previous, "session"]
+    : detected ? [detected, "detected"]
+    : header ? [header, "header"]
+    : [defaultLocale(), "default"];
+
+  return { locale, detected, source };
+}
+
+module.exports = {
+  t,
+  detectLanguage,
+  normalizeLocale,
+  languageName,
+  requestLanguage,
+  I18N_ENV
+};
@@ -0,0 +1,135 @@
+/* ========== INTENT ROUTER MODULE ========== */
+// Description: Classifies a chat message so one endpoint can serve every request
+// Intents:
+// - inventory: dataset lookups (stock, prices, vendors, shipments, SKUs, ...)
+// - casual: greetings, small talk and general questions
+// - help: questions about what the assistant can do
+// - out_of_scope: everything the deployment should not answer (see ROUTER_ENV)
+const { SessionStore } = require("./sessionStore");
+const { t } = require("./i18n");
+
+// Description: Router policy configuration
+// - ROUTER_SCOPE: What counts as in scope, given to the classifier
+// - ROUTER_OUT_OF_SCOPE_ACTION: "refuse" (default) or "casual" (answer anyway)
+// - ROUTER_REFUSAL_MESSAGE: Reply used when refusing (default: the localized catalog message)
+// - ROUTER_DEFAULT_INTENT: Intent used when the classifier fails
+const ROUTER_ENV = {
+  ROUTER_SCOPE: process.env.ROUTER_SCOPE ||
+    "inventory, materials, stock, purchasing, pricing, logistics and maintenance questions, plus friendly small talk",
+  ROUTER_OUT_OF_SCOPE_ACTION: (process.env.ROUTER_OUT_OF_SCOPE_ACTION || "refuse").toLowerCase(),
+  ROUTER_REFUSAL_MESSAGE: process.env.ROUTER_REFUSAL_MESSAGE || null,
+  ROUTER_DEFAULT_INTENT: process.env.ROUTER_DEFAULT_INTENT || "inventory"
+};
+
+const INTENTS = ["inventory", "casual", "help", "out_of_scope"];
+const ROUTER_TOOL_NAME = "route_message";
+
+// Description: Messages that are always help requests (no model call needed)
+const HELP_PATTERN = /^\s*(\/?help|\/?aide|\/?ayuda|\?|what can you do\??|how do i use this\??)\s*$/i;
+
+/* ========== INTENT ROUTER CLASS ========== */
+// Description: Runs the "router" LLM call site with a forced tool call
+class IntentRouter {
+  constructor(llm) {
+    this.llm = llm;
+  }
+
+  // Description: Builds the classification prompt from the dataset catalog
+  createRouterPrompt(catalog) {
+    return `
+    You route messages for an inventory assistant. In scope: ${ROUTER_ENV.ROUTER_SCOPE}.
+
+    ### Intents
+    - inventory: needs data from one of these datasets:
+    ${Object.entries(catalog.datasets).map(([key, val]) => `  - ${key}: ${val.purpose || val.queries.join(", ")}`).join("\n    ")}
+      Follow-ups about a previously discussed item ("what about its bin?") are inventory too
+    - casual: greetings, thanks, small talk, general conversation
+    - help: asks what the assistant can do or how to use it
+    - out_of_scope: anything outside the scope above (e.g. legal, medical, personal data, coding)
+
+    Call ${ROUTER_TOOL_NAME} with the intent, a confidence between 0 and 1 and a short reason.
+    `;
+  }
+
+  createRouterTool() {
+    return {
+      type: "function",
+      function: {
+        name: ROUTER_TOOL_NAME,
+        description: "Chooses how the message is handled",
+        parameters: {
+          type: "object",
+          properties: {
+            intent: { type: "string", enum: INTENTS },
+            confidence: { type: "number", minimum: 0, maximum: 1 },
+            reason: { type: "string" }
+          },
+          required: ["intent", "confidence"]
+        }
+      }
+    };
+  }
+
+  // Description: Returns { intent, confidence, reason, source }
+  // source: "rule" (help pattern), "model" or "default" (classifier failed)
+  async classify(userMessage, catalog, session, context) {
+    if (HELP_PATTERN.test(userMessage)) {
+      return { intent: "help", confidence: 1, reason: "help command", source: "rule" };
+    }
+
+    try {
+      const response = await this.llm.createCompletion("router", {
+        messages: [
+          { role: "system", content: this.createRouterPrompt(catalog) },
+          // The last exchange is enough to recognise follow-up questions
+          ...SessionStore.toChatMessages(session).slice(-2),
+          { role: "user", content: userMessage }
+        ],
+        tools: [this.createRouterTool()],
+        tool_choice: { type: "function", function: { name: ROUTER_TOOL_NAME } }
+      });
+
+      const message = response.choices?.[0]?.message;
+      const raw = message?.tool_calls?.[0]?.function?.arguments || message?.content || "";
+      const parsed = JSON.parse(raw);
+      if (!INTENTS.includes(parsed.intent)) {
+        throw new Error(`Unknown intent: ${parsed.intent}`);
+      }
+
+      return {
+        intent: parsed.intent,
+        confidence: typeof parsed.confidence === "number" ? parsed.confidence : null,
+        reason: parsed.reason || null,
+        source: "model"
+      };
+    } catch (error) {
+      context.log(`⚠️ Intent classification failed, using ${ROUTER_ENV.ROUTER_DEFAULT_INTENT}: ${error.message}`);
+      return { intent: ROUTER_ENV.ROUTER_DEFAULT_INTENT, confidence: null, reason: "classifier unavailable", source: "default" };
+    }
+  }
+
+  // Description: Maps an intent to the handler that serves it under the configured policy
+  // Returns "inventory", "casual", "help" or "refuse"
+  static dispatchTarget(intent) {
+    if (intent !== "out_of_scope") return intent;
+    return ROUTER_ENV.ROUTER_OUT_OF_SCOPE_ACTION === "casual" ? "casual" : "refuse";
+  }
+
+  // Description: Static help text listing what can be asked
+  static helpMessage(catalog, locale) {
+    const topics = Object.entries(catalog.datasets)
+      .map(([key, val]) => `- ${key}: ${val.purpose || val.queries.join(", ")}`)
+      .join("\n");
+    return t(locale, "router.help", { topics });
+  }
+
+  static refusalMessage(locale) {
+    return ROUTER_ENV.ROUTER_REFUSAL_MESSAGE || t(locale, "router.refusal");
+  }
+}
+
+module.exports = {
+  IntentRouter,
+  INTENTS,
+  ROUTER_ENV
+};
@@ -0,0 +1,120 @@
+/* ========== KEYWORD ROUTER MODULE ========== */
+// Description: Deterministic query planning used while the model is unavailable
+// - The dataset is chosen by overlap between the message and each entry's keywords
+//   (DATASET_MAP "queries" plus the request locale's localized keywords)
+// - SKUs ("SKU 10271", "10271") and part numbers ("CR-5", "ABC-123/4") are extracted
+//   with patterns; a SKU is looked up on the dataset's key column, a part number is
+//   searched like any value
+// Only lookups by identifier are planned; open questions need the model.
+const { datasetKeywords } = require("./datasetCatalog");
+
+// Description: Dataset used when no keyword matches (stock on hand answers most lookups)
+const DEFAULT_DATASET = "warehouseData.csv";
+
+// Description: Words ignored when matching messages to dataset keywords (accents removed)
+const STOP_WORDS = new Set([
+  "the", "and", "for", "what", "which", "show", "with", "about", "info", "details",
+  "les", "des", "pour", "quel", "quelle", "avec", "montre", "sur", "dans",
+  "los", "las", "del", "para", "cual", "con", "muestra", "sobre"
+]);
+
+// Description: Identifier patterns
+// - SKU_LABELLED: "SKU 10271", "sku#10271", "SKU-10271"
+// - SKU_NUMBER: a bare 4-8 digit number outside part numbers; a 4-digit one that looks
+//   like a year (19xx, 20xx) or follows a date word ("in 2024") is not a SKU
+// - PART_NUMBER: letters and digits joined by "-" or "/", containing at least one digit
+// - ISO_DATE: dates, removed before the identifiers are matched
+const SKU_LABELLED = /\bsku\s*[#:-]?\s*([a-z0-9]*\d[a-z0-9]*)\b/i;
+const SKU_NUMBER = /\b(\d{4,8})\b/g;
+const PART_NUMBER = /\b(?=[a-z0-9/-]*\d)([a-z0-9]+(?:[-/][a-z0-9]+)+)\b/i;
+const ISO_DATE = /\b\d{4}-\d{2}-\d{2}\b/g;
+const YEAR = /^(19|20)\d{2}$/;
+const DATE_WORDS = new Set([
+  "in", "since", "from", "until", "before", "after", "year",
+  "en", "depuis", "avant", "apres", "annee",
+  "desde", "hasta", "antes", "despues", "ano"
+]);
+
+/* ========== EXTRACTION ========== */
+// Description: Lowercase words without accents ("Quantité" -> "quantite")
+function tokenizeWords(text) {
+  return String(text || "").normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// Description: Words used for keyword matching (no short or stop words)
+function tokenize(text) {
+  return tokenizeWords(text).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Description: First bare number in a message that can be a SKU (see SKU_NUMBER)
+function bareSku(message) {
+  const withoutPartNumbers = message.replace(new RegExp(PART_NUMBER.source, "gi"), " ");
+  for (const match of withoutPartNumbers.matchAll(SKU_NUMBER)) {
+    const number = match[1];
+    const previousWord = tokenizeWords(withoutPartNumbers.slice(0, match.index)).pop();
+    if (number.length === 4 && (YEAR.test(number) || DATE_WORDS.has(previousWord))) continue;
+    return number;
+  }
+  return null;
+}
+
+// Description: Returns { sku, partNumber } found in a message (either may be null)
+// A labelled SKU wins over a bare number, and both are found independently of a part
+// number ("bin A-12 for 10271"); dates such as 2024-03-31 or "in 2024" are neither part
+// numbers nor SKUs, so "stock of 10271 on 2024-03-31" still finds SKU 10271
+function extractIdentifiers(text) {
+  const message = String(text || "").replace(ISO_DATE, " ");
+  const partNumber = message.match(PART_NUMBER)?.[1] || null;
+  const labelled = message.match(SKU_LABELLED)?.[1] || null;
+
+  return { sku: labelled || bareSku(message), partNumber };
+}
+
+/* ========== ROUTING ========== */
+// Description: Picks the dataset whose keywords overlap the message most
+// Returns { key, entry, matched } (matched lists the keywords found, empty for the default)
+function routeByKeywords(datasetMap, message, locale) {
+  const words = tokenize(message);
+  const entries = Object.entries(datasetMap);
+
+  const best = entries
+    .map(([key, entry]) => ({
+      key,
+      entry,
+      matched: [...new Set(datasetKeywords(entry, locale).flatMap(tokenize))].filter(word => words.includes(word))
+    }))
+    .filter(candidate => candidate.matched.length > 0)
+    .sort((a, b) => b.matched.length - a.matched.length)[0];
+  if (best) return best;
+
+  const [key, entry] = entries.find(([, candidate]) => candidate.dataset === DEFAULT_DATASET) || entries[0] || [];
+  return entry ? { key, entry, matched: [] } : null;
+}
+
+// Description: Builds an analysis-shaped plan ({ dataset, columns, value, filter,
+// confidence }) for a message, or null when it names no SKU or part number
+function planByKeywords(datasetMap, message, locale) {
+  const { sku, partNumber } = extractIdentifiers(message);
+  if (!sku && !partNumber) return null;
+
+  const route = routeByKeywords(datasetMap, message, locale);
+  if (!route) return null;
+
+  const { entry } = route;
+  return {
+    dataset: entry.dataset,
+    columns: entry.columns,
+    value: sku ? null : partNumber,
+    filter: sku ? { column: entry.keyColumn || "sku_id", op: "eq", value: sku, type: "string" } : null,
+    confidence: route.matched.length > 0 ? 0.6 : 0.5,
+    matched: route.matched
+  };
+}
+
+module.exports = {
+  tokenize,
+  extractIdentifiers,
+  routeByKeywords,
+  planByKeywords
+};
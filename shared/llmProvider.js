@@ -0,0 +1,508 @@
+/* ========== LLM PROVIDER MODULE ========== */
+// Description: Single place that creates chat completion clients
+// - LLM_PROVIDER: "openai" (default), "azure" (Azure OpenAI deployments), "mock" or
+//   "replay" (answers from responses recorded by a RecordingChatClient)
+// - Each call site (analysis, fallback, casual, synthesis, router) reads its own model, temperature,
+//   max_tokens and timeout from configuration instead of hard-coded values
+// - The "embedding" site configures the embeddings model used by semantic search
+// - The mock provider is deterministic and offline, for tests and CI runs
+// - PII in user messages and embedding input is scrubbed before it leaves the process
+// - A provider bound to a UsageMeter (withMeter) records the token usage of every call
+// - Calls are retried with exponential backoff on 429/5xx and connection errors, cancelled
+//   through an AbortSignal when their time budget runs out, and refused outright while the
+//   provider's circuit breaker is open; such failures surface as LlmUnavailableError
+const fs = require("fs");
+const crypto = require("crypto");
+const { OpenAI, AzureOpenAI } = require("openai");
+const { scrubMessages, scrubPII, MASKING_ENV } = require("./masking");
+const { CircuitBreaker, backoffDelay, retryAfterMs, sleep } = require("./resilience");
+
+// Description: Provider configuration
+// - OPENAI_API_KEY: OpenAI API key (provider "openai")
+// - AZURE_OPENAI_ENDPOINT / AZURE_OPENAI_API_KEY / AZURE_OPENAI_API_VERSION: Azure OpenAI
+//   resource; with provider "azure" the per-site model setting is the deployment name
+// - LLM_MOCK_FIXTURES: Optional JSON file of scripted mock responses
+// - LLM_REPLAY_FILE: Recorded responses for provider "replay"
+// - LLM_STREAM_USAGE: "false" stops requesting usage on streamed completions
+//   (needed for Azure OpenAI API versions older than 2024-10-21)
+// - LLM_MAX_RETRIES / LLM_RETRY_BASE_MS / LLM_RETRY_MAX_MS: Retries after a 429, 5xx or
+//   connection error and their backoff (only while the call's time budget allows)
+// - LLM_BREAKER_THRESHOLD / LLM_BREAKER_COOLDOWN_MS: Consecutive failed calls that open the
+//   circuit, and how long it stays open before a probe call is let through
+// - LLM_DEADLINE_RESERVE_MS: Time a deadline-bound call leaves for the work after it
+//   (dataset lookup, keyword routing)
+const LLM_ENV = {
+  LLM_PROVIDER: (process.env.LLM_PROVIDER || "openai").toLowerCase(),
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  AZURE_OPENAI_ENDPOINT: process.env.AZURE_OPENAI_ENDPOINT,
+  AZURE_OPENAI_API_KEY: process.env.AZURE_OPENAI_API_KEY,
+  AZURE_OPENAI_API_VERSION: process.env.AZURE_OPENAI_API_VERSION || "2024-06-01",
+  LLM_MOCK_FIXTURES: process.env.LLM_MOCK_FIXTURES,
+  LLM_REPLAY_FILE: process.env.LLM_REPLAY_FILE,
+  LLM_STREAM_USAGE: process.env.LLM_STREAM_USAGE !== "false",
+  LLM_MAX_RETRIES: parseInt(process.env.LLM_MAX_RETRIES ?? "2", 10),
+  LLM_RETRY_BASE_MS: parseInt(process.env.LLM_RETRY_BASE_MS, 10) || 500,
+  LLM_RETRY_MAX_MS: parseInt(process.env.LLM_RETRY_MAX_MS, 10) || 4000,
+  LLM_BREAKER_THRESHOLD: parseInt(process.env.LLM_BREAKER_THRESHOLD, 10) || 5,
+  LLM_BREAKER_COOLDOWN_MS: parseInt(process.env.LLM_BREAKER_COOLDOWN_MS, 10) || 30000,
+  LLM_DEADLINE_RESERVE_MS: parseInt(process.env.LLM_DEADLINE_RESERVE_MS ?? "1500", 10)
+};
+
+// Description: Shortest attempt worth starting; a smaller remaining budget ends the call
+const MIN_ATTEMPT_MS = 250;
+
+// Description: Per call site defaults, overridable with LLM_<SITE>_MODEL,
+// LLM_<SITE>_TEMPERATURE, LLM_<SITE>_MAX_TOKENS and LLM_<SITE>_TIMEOUT_MS
+// timeoutMs is the budget of one call including its retries (capped by the request deadline)
+const CALL_SITE_DEFAULTS = {
+  analysis: { model: "gpt-4", temperature: 0.2, max_tokens: 200, timeoutMs: 15000 },
+  fallback: { model: "gpt-4", temperature: undefined, max_tokens: 150, timeoutMs: 15000 },
+  casual: { model: "gpt-4", temperature: 0.7, max_tokens: 200, timeoutMs: 15000 },
+  synthesis: { model: "gpt-4", temperature: 0, max_tokens: 250, timeoutMs: 5000 },
+  router: { model: "gpt-4", temperature: 0, max_tokens: 60, timeoutMs: 4000 },
+  embedding: { model: "text-embedding-3-small", temperature: undefined, max_tokens: undefined, timeoutMs: 5000 }
+};
+
+// Description: Resolves the configuration for one call site
+function getCallSiteConfig(site, env = process.env) {
+  const defaults = CALL_SITE_DEFAULTS[site];
+  if (!defaults) {
+    throw new Error(`Unknown LLM call site: ${site}`);
+  }
+
+  const prefix = `LLM_${site.toUpperCase()}_`;
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isNaN(parsed) ? fallback : parsed;
+  };
+
+  return {
+    model: env[`${prefix}MODEL`] || defaults.model,
+    temperature: number(env[`${prefix}TEMPERATURE`], defaults.temperature),
+    max_tokens: number(env[`${prefix}MAX_TOKENS`], defaults.max_tokens),
+    timeoutMs: number(env[`${prefix}TIMEOUT_MS`], defaults.timeoutMs)
+  };
+}
+
+/* ========== LLM UNAVAILABLE ERROR CLASS ========== */
+// Description: Raised when the model could not be reached in time
+// reason: "circuit_open", "rate_limited", "server_error", "timeout", "connection" or "deadline"
+class LlmUnavailableError extends Error {
+  constructor(reason, message, cause) {
+    super(message);
+    this.name = "LlmUnavailableError";
+    this.reason = reason;
+    this.cause = cause;
+  }
+}
+
+// Description: Availability failure behind an error, or null for errors a retry cannot fix
+// (bad requests, authentication, content filters)
+function classifyFailure(error) {
+  const type = error?.constructor?.name;
+  if (type === "APIUserAbortError" || error?.name === "AbortError") return "deadline";
+  if (type === "APIConnectionTimeoutError") return "timeout";
+  if (type === "APIConnectionError" || ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ENOTFOUND"].includes(error?.code)) {
+    return "connection";
+  }
+  if (error?.status === 429) return "rate_limited";
+  if (error?.status >= 500) return "server_error";
+  return null;
+}
+
+// Description: One circuit breaker per provider name, shared by every function in the process
+const breakers = new Map();
+
+function breakerFor(name) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker({
+      failureThreshold: LLM_ENV.LLM_BREAKER_THRESHOLD,
+      cooldownMs: LLM_ENV.LLM_BREAKER_COOLDOWN_MS
+    }));
+  }
+  return breakers.get(name);
+}
+
+/* ========== LLM PROVIDER CLASS ========== */
+// Description: Wraps an OpenAI-compatible client and applies call-site configuration
+class LlmProvider {
+  constructor(name, client, meter = null, deadline = null) {
+    this.name = name;
+    this.client = client;
+    this.meter = meter;
+    this.deadline = deadline;
+    this.breaker = breakerFor(name);
+  }
+
+  // Description: Provider sharing this client that records usage into meter (one per request)
+  withMeter(meter) {
+    return new LlmProvider(this.name, this.client, meter, this.deadline);
+  }
+
+  // Description: Provider sharing this client whose calls end within deadline (one per request)
+  withDeadline(deadline) {
+    return new LlmProvider(this.name, this.client, this.meter, deadline);
+  }
+
+  // Description: Whether calls are currently refused by the circuit breaker
+  isAvailable() {
+    return this.breaker.state !== "open" || this.breaker.retryAfterMs() === 0;
+  }
+
+  // Description: Runs send(requestOptions) with the call site's time budget, retries and
+  // circuit breaker. Each attempt is aborted when the remaining budget runs out or the
+  // request deadline passes, so the HTTP call is cancelled instead of leaking; like the
+  // client's own timeout, the attempt timer stops once a response (or stream) arrives.
+  async callWithResilience(site, send, requestOptions = {}) {
+    if (!this.breaker.allowRequest()) {
+      throw new LlmUnavailableError(
+        "circuit_open",
+        `${this.name} circuit open for another ${Math.ceil(this.breaker.retryAfterMs() / 1000)}s`
+      );
+    }
+
+    const startedAt = Date.now();
+    const siteTimeout = getCallSiteConfig(site).timeoutMs;
+    const budgetMs = this.deadline
+      ? Math.min(siteTimeout, this.deadline.remaining(LLM_ENV.LLM_DEADLINE_RESERVE_MS))
+      : siteTimeout;
+
+    for (let attempt = 1; ; attempt++) {
+      const remaining = budgetMs - (Date.now() - startedAt);
+      if (remaining < MIN_ATTEMPT_MS) {
+        // Nothing was sent: the request deadline leaves no room for this call
+        this.breaker.probing = false;
+        throw new LlmUnavailableError("deadline", `No time left for the ${site} call`);
+      }
+
+      const attemptController = new AbortController();
+      const attemptTimer = setTimeout(() => attemptController.abort(), remaining);
+      const signal = this.deadline
+        ? AbortSignal.any([this.deadline.signal, attemptController.signal])
+        : attemptController.signal;
+
+      try {
+        const response = await send({ timeout: remaining, maxRetries: 0, signal, ...requestOptions });
+        this.breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        // An abort by the attempt timer is a timeout; only the request deadline cancels the call
+        const classified = classifyFailure(error);
+        const failure = classified === "deadline" && !this.deadline?.signal.aborted ? "timeout" : classified;
+        if (!failure) {
+          // The provider answered, so it is reachable
+          this.breaker.recordSuccess();
+          throw error;
+        }
+        if (failure === "deadline") {
+          this.breaker.probing = false;
+          throw new LlmUnavailableError("deadline", `The ${site} call was cancelled: request deadline reached`, error);
+        }
+
+        const delay = backoffDelay(attempt, LLM_ENV.LLM_RETRY_BASE_MS, LLM_ENV.LLM_RETRY_MAX_MS, retryAfterMs(error.headers));
+        const elapsed = Date.now() - startedAt;
+        if (attempt > LLM_ENV.LLM_MAX_RETRIES || elapsed + delay + MIN_ATTEMPT_MS > budgetMs) {
+          this.breaker.recordFailure();
+          throw new LlmUnavailableError(
+            failure,
+            `The ${site} call failed after ${attempt} attempt(s): ${error.message}`,
+            error
+          );
+        }
+        await sleep(delay);
+      } finally {
+        clearTimeout(attemptTimer);
+      }
+    }
+  }
+
+  // Description: Adds one call's OpenAI usage object to the meter, if any
+  recordUsage(site, model, usage) {
+    if (this.meter && usage) {
+      this.meter.record(site, model || getCallSiteConfig(site).model, usage);
+    }
+  }
+
+  // Description: Runs a chat completion for a call site
+  // params carries messages (and e.g. stream: true); config supplies model,
+  // temperature, max_tokens; timeout and abort signal are passed to the client as request
+  // options. Streams ask for a final usage chunk, which the consumer passes to recordUsage()
+  // (only opening a stream is retried)
+  async createCompletion(site, params, requestOptions = {}) {
+    const config = getCallSiteConfig(site);
+    const request = {
+      model: config.model,
+      max_tokens: config.max_tokens,
+      ...(config.temperature !== undefined ? { temperature: config.temperature } : {}),
+      ...(params.stream && this.meter && LLM_ENV.LLM_STREAM_USAGE ? { stream_options: { include_usage: true } } : {}),
+      ...params,
+      messages: scrubMessages(params.messages)
+    };
+    const response = await this.callWithResilience(
+      site,
+      options => this.client.chat.completions.create(request, options),
+      requestOptions
+    );
+    if (!params.stream) {
+      this.recordUsage(site, response?.model, response?.usage);
+    }
+    return response;
+  }
+
+  // Description: Embeds one or more texts; returns { model, data: [{ embedding }] }
+  async createEmbedding(site, input, requestOptions = {}) {
+    const config = getCallSiteConfig(site);
+    const scrubbed = MASKING_ENV.PII_SCRUBBING
+      ? [].concat(input).map(text => scrubPII(text).text)
+      : input;
+    const response = await this.callWithResilience(
+      site,
+      options => this.client.embeddings.create({ model: config.model, input: scrubbed }, options),
+      requestOptions
+    );
+    this.recordUsage(site, response?.model, response?.usage);
+    return response;
+  }
+
+  // Description: Embedding model configured for queries (compared with the index model)
+  embeddingModel() {
+    return getCallSiteConfig("embedding").model;
+  }
+
+  // Description: Describes the model used for a call site (for logs)
+  describe(site) {
+    return `${this.name}:${getCallSiteConfig(site).model}`;
+  }
+}
+
+/* ========== MOCK CHAT CLIENT CLASS ========== */
+// Description: Deterministic, offline stand-in for the OpenAI chat API
+// Fixture file format: [{ "match": "regex on the last user message", "response": "text" }]
+// Unmatched analysis prompts get a zero-confidence plan (so requests take the
+// fallback path); everything else is echoed back. Embeddings are hashed character
+// trigrams, so similar spellings land close together.
+class MockChatClient {
+  constructor(fixtures = []) {
+    this.fixtures = fixtures.map(fixture => ({ ...fixture, pattern: new RegExp(fixture.match, "i") }));
+    this.calls = [];
+    this.chat = { completions: { create: (params, options) => this.create(params, options) } };
+    this.embeddings = { create: params => this.embed(params) };
+  }
+
+  static fromFile(path) {
+    return new MockChatClient(path ? JSON.parse(fs.readFileSync(path, "utf8")) : []);
+  }
+
+  async create(params) {
+    this.calls.push(params);
+    const content = this.respond(params.messages || []);
+
+    const promptTokens = MockChatClient.countTokens(params.messages.map(m => m.content).join(" "));
+    const completionTokens = MockChatClient.countTokens(content);
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+
+    if (params.stream) {
+      return MockChatClient.toStream(content, params.model, params.stream_options?.include_usage ? usage : null);
+    }
+
+    return {
+      id: `mock-${this.calls.length}`,
+      model: params.model,
+      choices: [{ index: 0, message: this.toMessage(content, params), finish_reason: "stop" }],
+      usage
+    };
+  }
+
+  respond(messages) {
+    const userMessage = [...messages].reverse().find(m => m.role === "user")?.content || "";
+    const fixture = this.fixtures.find(f => f.pattern.test(userMessage));
+    if (fixture) {
+      return typeof fixture.response === "string" ? fixture.response : JSON.stringify(fixture.response);
+    }
+
+    const isAnalysis = messages.some(m => m.role === "system" && m.content.includes("inventory data analysis AI"));
+    return isAnalysis
+      ? JSON.stringify({ dataset: null, columns: [], value: null, confidence: 0 })
+      : `Mock response: ${userMessage}`;
+  }
+
+  async embed(params) {
+    const inputs = [].concat(params.input);
+    const tokens = MockChatClient.countTokens(inputs.join(" "));
+    return {
+      model: params.model,
+      data: inputs.map((text, index) => ({ index, embedding: MockChatClient.hashEmbedding(text) })),
+      usage: { prompt_tokens: tokens, total_tokens: tokens }
+    };
+  }
+
+  // Description: 64-dimension bag of character trigrams
+  static hashEmbedding(text) {
+    const vector = new Array(64).fill(0);
+    const padded = ` ${String(text).toLowerCase()} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      let hash = 0;
+      for (const char of padded.slice(i, i + 3)) hash = (hash * 31 + char.charCodeAt(0)) % 64;
+      vector[hash] += 1;
+    }
+    return vector;
+  }
+
+  // Description: Returns JSON answers as a call to the forced tool when tools are offered
+  toMessage(content, params) {
+    const toolName = params.tool_choice?.function?.name || params.tools?.[0]?.function?.name;
+    if (!toolName || !content.trim().startsWith("{")) {
+      return { role: "assistant", content };
+    }
+    return {
+      role: "assistant",
+      content: null,
+      tool_calls: [{
+        id: `call_mock_${this.calls.length}`,
+        type: "function",
+        function: { name: toolName, arguments: content }
+      }]
+    };
+  }
+
+  // Description: Yields the content word by word, then the usage chunk when requested
+  static async *toStream(content, model, usage) {
+    for (const word of content.split(/(?<=\s)/)) {
+      yield { model, choices: [{ index: 0, delta: { content: word } }] };
+    }
+    if (usage) {
+      yield { model, choices: [], usage };
+    }
+  }
+
+  // Description: Rough token estimate (~4 characters per token)
+  static countTokens(text) {
+    return Math.ceil((text || "").length / 4);
+  }
+}
+
+/* ========== RECORDED RESPONSES ========== */
+// Description: Keys identifying a chat request for record/replay
+// - conversation: the user/assistant/tool turns, so repair retries get their own entries
+// - prompt: system messages and tools; a different hash on replay means the recording
+//   predates a prompt or catalog change
+function recordingKeys(params) {
+  const hash = value => crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex").slice(0, 16);
+  const messages = params.messages || [];
+  return {
+    conversation: hash(messages
+      .filter(m => m.role !== "system")
+      .map(m => [m.role, m.content ?? null, m.tool_calls?.map(call => call.function) ?? null])),
+    prompt: hash([messages.filter(m => m.role === "system").map(m => m.content), params.tools || null])
+  };
+}
+
+// Description: Wraps a live client and keeps every completion for later replay
+// File format: [{ "conversation": "...", "prompt": "...", "question": "...", "response": {...} }]
+class RecordingChatClient {
+  constructor(client) {
+    this.client = client;
+    this.recordings = [];
+    this.chat = { completions: { create: (params, options) => this.create(params, options) } };
+    this.embeddings = client.embeddings;
+  }
+
+  async create(params, options) {
+    const response = await this.client.chat.completions.create(params, options);
+    if (!params.stream) {
+      const question = [...(params.messages || [])].reverse().find(m => m.role === "user")?.content || "";
+      this.recordings.push({ ...recordingKeys(params), question, response });
+    }
+    return response;
+  }
+
+  save(path) {
+    fs.writeFileSync(path, JSON.stringify(this.recordings, null, 2) + "\n");
+  }
+}
+
+// Description: Answers chat requests from a RecordingChatClient file
+// Requests are matched on their conversation; replays recorded under another prompt
+// are counted in staleReplays. Unrecorded requests fail like an unreachable model.
+class ReplayChatClient {
+  constructor(recordings = []) {
+    this.recordings = new Map(recordings.map(recording => [recording.conversation, recording]));
+    this.staleReplays = 0;
+    this.missingReplays = 0;
+    this.chat = { completions: { create: params => this.create(params) } };
+  }
+
+  static fromFile(path) {
+    return new ReplayChatClient(JSON.parse(fs.readFileSync(path, "utf8")));
+  }
+
+  async create(params) {
+    const keys = recordingKeys(params);
+    const recording = this.recordings.get(keys.conversation);
+    if (!recording) {
+      this.missingReplays++;
+      throw new Error("No recorded response for this request (re-record against a live model)");
+    }
+    if (recording.prompt !== keys.prompt) {
+      this.staleReplays++;
+    }
+    return recording.response;
+  }
+}
+
+/* ========== PROVIDER FACTORY ========== */
+// Description: Reports missing configuration for the selected provider, or null
+function getConfigError(provider = LLM_ENV.LLM_PROVIDER) {
+  switch (provider) {
+    case "openai":
+      return LLM_ENV.OPENAI_API_KEY ? null : "OPENAI_API_KEY is not set";
+    case "azure":
+      return LLM_ENV.AZURE_OPENAI_ENDPOINT && LLM_ENV.AZURE_OPENAI_API_KEY
+        ? null
+        : "AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY must be set";
+    case "mock":
+      return null;
+    case "replay":
+      return LLM_ENV.LLM_REPLAY_FILE ? null : "LLM_REPLAY_FILE must be set";
+    default:
+      return `Unknown LLM_PROVIDER: ${provider}`;
+  }
+}
+
+// Description: Creates the provider selected by LLM_PROVIDER
+function createLlmProvider(provider = LLM_ENV.LLM_PROVIDER) {
+  const configError = getConfigError(provider);
+  if (configError) {
+    throw new Error(`LLM provider misconfigured: ${configError}`);
+  }
+
+  switch (provider) {
+    case "azure":
+      return new LlmProvider("azure", new AzureOpenAI({
+        endpoint: LLM_ENV.AZURE_OPENAI_ENDPOINT,
+        apiKey: LLM_ENV.AZURE_OPENAI_API_KEY,
+        apiVersion: LLM_ENV.AZURE_OPENAI_API_VERSION
+      }));
+    case "mock":
+      return new LlmProvider("mock", MockChatClient.fromFile(LLM_ENV.LLM_MOCK_FIXTURES));
+    case "replay":
+      return new LlmProvider("replay", ReplayChatClient.fromFile(LLM_ENV.LLM_REPLAY_FILE));
+    default:
+      return new LlmProvider("openai", new OpenAI({ apiKey: LLM_ENV.OPENAI_API_KEY }));
+  }
+}
+
+module.exports = {
+  LlmProvider,
+  LlmUnavailableError,
+  MockChatClient,
+  RecordingChatClient,
+  ReplayChatClient,
+  createLlmProvider,
+  getCallSiteConfig,
+  getConfigError
+};
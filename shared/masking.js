@@ -0,0 +1,179 @@
+/* ========== MASKING MODULE ========== */
+// Description: Column-level masking and PII scrubbing
+// Column masks come from the catalog field metadata ("mask" on a column):
+// - hide: the column is removed from rows and from the response schema
+// - hash: replaced by a keyed hash, so equal values stay comparable ("h_3f9a0c12d4")
+// - round: numbers rounded to "maskStep" (default 1)
+// - redact: replaced by "[REDACTED]"
+// Masked rows are what responses, LLM prompts and logs see. Filters and search values
+// never match masked columns (query analysis rejects such filters and searches only
+// unmasked columns), so a predicate cannot reveal a raw value; aggregates run on the
+// raw values and their results are masked.
+// scrubPII removes emails, phone numbers, card numbers and SSNs from free text
+// before it is sent to the model or written to the log.
+const crypto = require("crypto");
+
+// Description: Masking configuration
+// - MASKING_HASH_KEY: Key for hashed values; set it so hashes are stable across instances
+// - PII_SCRUBBING: "false" sends user messages to the model unchanged
+const MASKING_ENV = {
+  MASKING_HASH_KEY: process.env.MASKING_HASH_KEY || crypto.randomBytes(32).toString("hex"),
+  PII_SCRUBBING: process.env.PII_SCRUBBING !== "false"
+};
+
+const MASK_TYPES = ["hide", "hash", "round", "redact"];
+const REDACTED = "[REDACTED]";
+
+// Description: When a column is masked differently in two datasets the stricter rule wins
+const MASK_STRICTNESS = { round: 1, hash: 2, redact: 3, hide: 4 };
+
+/* ========== COLUMN MASKER CLASS ========== */
+// Description: Applies the catalog's column masks to rows and aggregate tables
+class ColumnMasker {
+  // datasets: catalog datasets map (DATASET_MAP) with per-column field metadata
+  constructor(datasets) {
+    this.rules = new Map();
+    for (const entry of Object.values(datasets || {})) {
+      for (const [column, field] of Object.entries(entry.fields || {})) {
+        if (!field.mask) continue;
+        const current = this.rules.get(column);
+        if (!current || MASK_STRICTNESS[field.mask] > MASK_STRICTNESS[current.type]) {
+          this.rules.set(column, { type: field.mask, step: field.maskStep || 1 });
+        }
+      }
+    }
+  }
+
+  isHidden(column) {
+    return this.rules.get(column)?.type === "hide";
+  }
+
+  // Description: Whether any mask applies to a column (it must not be filtered or searched on)
+  isMasked(column) {
+    return this.rules.has(column);
+  }
+
+  // Description: Masked value for one cell (undefined for hidden columns)
+  maskValue(column, value) {
+    const rule = this.rules.get(column);
+    if (!rule || value === null || value === undefined || value === "") return value;
+
+    switch (rule.type) {
+      case "hide":
+        return undefined;
+      case "hash":
+        return "h_" + crypto.createHmac("sha256", MASKING_ENV.MASKING_HASH_KEY)
+          .update(String(value)).digest("hex").slice(0, 10);
+      case "round": {
+        const number = Number(String(value).replace(/[^0-9.eE+-]/g, ""));
+        if (Number.isNaN(number)) return REDACTED;
+        const rounded = Math.round(number / rule.step) * rule.step;
+        return Number(rounded.toFixed(10));
+      }
+      default:
+        return REDACTED;
+    }
+  }
+
+  // Description: Copy of a row with every masked column applied
+  maskRow(row) {
+    if (this.rules.size === 0) return row;
+    const masked = {};
+    for (const [column, value] of Object.entries(row)) {
+      if (this.isHidden(column)) continue;
+      masked[column] = this.maskValue(column, value);
+    }
+    return masked;
+  }
+
+  maskRows(rows) {
+    return this.rules.size === 0 ? rows : rows.map(row => this.maskRow(row));
+  }
+
+  // Description: Masks group columns and the metrics computed from masked columns
+  // Metrics over hidden/hashed/redacted columns are redacted, except count_distinct
+  maskAggregateTable(table, aggregate) {
+    if (this.rules.size === 0) return table;
+    return table.map(row => {
+      const masked = { ...row };
+      aggregate.groupBy.forEach(column => {
+        masked[column] = this.isHidden(column) ? REDACTED : this.maskValue(column, row[column]);
+      });
+      aggregate.metrics.forEach(metric => {
+        const rule = metric.column && this.rules.get(metric.column);
+        if (!rule || metric.op === "count" || metric.op === "count_distinct") return;
+        masked[metric.as] = rule.type === "round"
+          ? this.maskValue(metric.column, row[metric.as])
+          : REDACTED;
+      });
+      return masked;
+    });
+  }
+
+  // Description: Drops hidden columns from a response schema
+  visibleFields(fields) {
+    return fields.filter(field => !this.isHidden(field.name));
+  }
+}
+
+/* ========== PII SCRUBBING ========== */
+// Description: Patterns for personal data in free text, replaced by a placeholder
+// Phone patterns need separators or a leading "+" so SKUs and part numbers are kept
+const PII_PATTERNS = [
+  { type: "email", placeholder: "[EMAIL]", pattern: /\b[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}\b/gi },
+  { type: "ssn", placeholder: "[SSN]", pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: "card", placeholder: "[CARD]", pattern: /\b(?:\d[ -]?){12,18}\d\b/g, check: luhnValid },
+  { type: "phone", placeholder: "[PHONE]", pattern: /\+\d{1,3}[\s.-]?(?:\(?\d{1,4}\)?[\s.-]?){2,4}\d{2,4}\b/g },
+  { type: "phone", placeholder: "[PHONE]", pattern: /(?:\(\d{3}\)\s?|\b\d{3}[.-])\d{3}[.-]\d{4}\b/g }
+];
+
+// Description: Card numbers must pass the Luhn checksum
+function luhnValid(candidate) {
+  const digits = candidate.replace(/\D/g, "");
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length >= 13 && sum % 10 === 0;
+}
+
+// Description: Returns { text, findings: { type: count } } with PII replaced
+function scrubPII(text) {
+  const findings = {};
+  let scrubbed = String(text ?? "");
+  for (const { type, placeholder, pattern, check } of PII_PATTERNS) {
+    scrubbed = scrubbed.replace(pattern, match => {
+      if (check && !check(match)) return match;
+      findings[type] = (findings[type] || 0) + 1;
+      return placeholder;
+    });
+  }
+  return { text: scrubbed, findings };
+}
+
+// Description: Scrubs the content of user messages in an OpenAI message list
+function scrubMessages(messages) {
+  if (!MASKING_ENV.PII_SCRUBBING || !Array.isArray(messages)) return messages;
+  return messages.map(message => message.role === "user" && typeof message.content === "string"
+    ? { ...message, content: scrubPII(message.content).text }
+    : message);
+}
+
+// Description: Scrubbed text for log lines (always on, regardless of PII_SCRUBBING)
+function forLog(text) {
+  return scrubPII(text).text;
+}
+
+module.exports = {
+  ColumnMasker,
+  MASK_TYPES,
+  scrubPII,
+  scrubMessages,
+  forLog,
+  MASKING_ENV
+};
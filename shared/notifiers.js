@@ -0,0 +1,264 @@
+/* ========== NOTIFIERS MODULE ========== */
+// Description: Delivery channels for stock alerts
+// - webhook: POSTs JSON ({ text, recipient, alerts }) to ALERT_WEBHOOK_URL; the "text"
+//   field makes it work with chat incoming webhooks (e.g. Teams)
+// - smtp: plain-text email to the subscriber's address through SMTP_HOST
+// - file: appends one JSON line per notification to ALERT_FILE_PATH (local runs and tests)
+// Every notifier exposes send(recipient, alerts, context) and throws when delivery fails
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const tls = require("tls");
+
+// Description: Notifier configuration
+// - ALERT_NOTIFIER: "webhook", "smtp" or "file"; required, so a deployment without a
+//   channel fails its runs instead of "delivering" alerts to a local file
+// - ALERT_WEBHOOK_URL: Target of the webhook notifier
+// - ALERT_FILE_PATH: JSONL file written by the file notifier
+// - ALERT_NOTIFY_TIMEOUT_MS: Per-delivery network timeout
+// - SMTP_HOST / SMTP_PORT / SMTP_SECURE ("true": implicit TLS, otherwise STARTTLS when offered)
+// - SMTP_USER / SMTP_PASSWORD: AUTH PLAIN credentials (optional); only ever sent over TLS,
+//   so delivery fails when they are set and the server offers neither TLS nor STARTTLS
+// - SMTP_FROM: Sender address
+const NOTIFIER_ENV = {
+  ALERT_NOTIFIER: process.env.ALERT_NOTIFIER,
+  ALERT_WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL,
+  ALERT_FILE_PATH: process.env.ALERT_FILE_PATH || path.join(os.tmpdir(), "stock-alerts.jsonl"),
+  ALERT_NOTIFY_TIMEOUT_MS: parseInt(process.env.ALERT_NOTIFY_TIMEOUT_MS, 10) || 10000,
+  SMTP_HOST: process.env.SMTP_HOST,
+  SMTP_PORT: parseInt(process.env.SMTP_PORT, 10) || 587,
+  SMTP_SECURE: process.env.SMTP_SECURE === "true",
+  SMTP_USER: process.env.SMTP_USER,
+  SMTP_PASSWORD: process.env.SMTP_PASSWORD,
+  SMTP_FROM: process.env.SMTP_FROM || "stock-alerts@localhost"
+};
+
+/* ========== MESSAGE FORMATTING ========== */
+// Description: One line per alert
+function describeAlert(alert) {
+  const item = `SKU ${alert.sku}${alert.description ? ` (${alert.description})` : ""}`;
+  if (alert.type === "reorder") {
+    return `${item}: stock ${alert.soh}${alert.uom ? ` ${alert.uom}` : ""} is at or below the reorder point ${alert.rop}` +
+      (alert.bin ? ` in bin ${alert.bin}` : "");
+  }
+  return `${item}: shipment ${alert.shipmentId || "?"}${alert.carrier ? ` via ${alert.carrier}` : ""} was due ` +
+    `${alert.estimatedDelivery} (${alert.daysLate} day(s) late)`;
+}
+
+// Description: Subject line and plain-text body of a notification
+function formatNotification(alerts) {
+  const reorders = alerts.filter(alert => alert.type === "reorder").length;
+  const delays = alerts.length - reorders;
+  const subject = `Stock alerts: ${[
+    reorders ? `${reorders} at reorder point` : null,
+    delays ? `${delays} late shipment(s)` : null
+  ].filter(Boolean).join(", ")}`;
+  return { subject, text: [subject, "", ...alerts.map(alert => `- ${describeAlert(alert)}`)].join("\n") };
+}
+
+/* ========== WEBHOOK NOTIFIER CLASS ========== */
+class WebhookNotifier {
+  constructor(url = NOTIFIER_ENV.ALERT_WEBHOOK_URL) {
+    if (!url) throw new Error("ALERT_WEBHOOK_URL is not configured");
+    this.url = url;
+  }
+
+  async send(recipient, alerts) {
+    const { text } = formatNotification(alerts);
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ text, recipient: recipient.owner, alerts }),
+      signal: AbortSignal.timeout(NOTIFIER_ENV.ALERT_NOTIFY_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status}`);
+    }
+  }
+}
+
+/* ========== SMTP NOTIFIER CLASS ========== */
+// Description: Minimal SMTP client (EHLO, STARTTLS, AUTH PLAIN, one message per connection)
+class SmtpNotifier {
+  constructor(options = NOTIFIER_ENV) {
+    if (!options.SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+    this.options = options;
+  }
+
+  // Description: Subscribers without an email address are skipped (returns false)
+  async send(recipient, alerts, context) {
+    if (!recipient.email) {
+      context?.log(`✉️ No email address for ${recipient.owner}; ${alerts.length} alert(s) not emailed`);
+      return false;
+    }
+    const { subject, text } = formatNotification(alerts);
+    await this.deliver(recipient.email, subject, text);
+    return true;
+  }
+
+  async deliver(to, subject, text) {
+    const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, SMTP_FROM } = this.options;
+    let session = await SmtpSession.connect(SMTP_SECURE
+      ? tls.connect({ host: SMTP_HOST, port: SMTP_PORT, servername: SMTP_HOST })
+      : net.connect({ host: SMTP_HOST, port: SMTP_PORT }));
+
+    try {
+      await session.expect(220);
+      let capabilities = await session.command(`EHLO ${os.hostname()}`, 250);
+      let encrypted = SMTP_SECURE;
+      if (!encrypted && /\bSTARTTLS\b/i.test(capabilities)) {
+        await session.command("STARTTLS", 220);
+        session = await SmtpSession.connect(tls.connect({ socket: session.detach(), servername: SMTP_HOST }));
+        encrypted = true;
+        capabilities = await session.command(`EHLO ${os.hostname()}`, 250);
+      }
+      if (SMTP_USER) {
+        // A missing STARTTLS may have been stripped in transit; credentials never go out in clear text
+        if (!encrypted) {
+          throw new Error("SMTP server offered no TLS; refusing to send credentials unencrypted");
+        }
+        const credentials = Buffer.from(`\0${SMTP_USER}\0${SMTP_PASSWORD || ""}`).toString("base64");
+        await session.command(`AUTH PLAIN ${credentials}`, 235);
+      }
+
+      await session.command(`MAIL FROM:<${SMTP_FROM}>`, 250);
+      await session.command(`RCPT TO:<${to}>`, [250, 251]);
+      await session.command("DATA", 354);
+      const message = [
+        `From: ${SMTP_FROM}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        "MIME-Version: 1.0",
+        "Content-Type: text/plain; charset=utf-8",
+        "Content-Transfer-Encoding: 8bit",
+        "",
+        // Dot-stuffing: a line starting with "." would otherwise end the message early
+        ...text.split(/\r?\n/).map(line => (line.startsWith(".") ? `.${line}` : line))
+      ].join("\r\n");
+      await session.command(`${message}\r\n.`, 250);
+      await session.command("QUIT", 221).catch(() => {});
+    } finally {
+      session.close();
+    }
+  }
+}
+
+// Description: Reads SMTP replies (multi-line "250-..." continuations end with "250 ...")
+class SmtpSession {
+  constructor(socket) {
+    this.socket = socket;
+    this.buffer = "";
+    this.lines = [];
+    this.replies = [];
+    this.waiting = [];
+    this.error = null;
+    this.onData = chunk => this.receive(chunk);
+    this.onError = error => this.fail(error);
+
+    socket.setTimeout(NOTIFIER_ENV.ALERT_NOTIFY_TIMEOUT_MS, () => socket.destroy(new Error("SMTP timeout")));
+    socket.on("data", this.onData);
+    socket.on("error", this.onError);
+    socket.on("close", () => this.fail(new Error("SMTP connection closed")));
+  }
+
+  // Description: Resolves once the socket is connected (TLS handshake included)
+  static connect(socket) {
+    return new Promise((resolve, reject) => {
+      socket.once(socket instanceof tls.TLSSocket ? "secureConnect" : "connect", () => {
+        socket.off("error", reject);
+        resolve(new SmtpSession(socket));
+      });
+      socket.once("error", reject);
+    });
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString("utf8");
+    let index;
+    while ((index = this.buffer.indexOf("\r\n")) >= 0) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+      if (!/^\d{3}-/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), text: this.lines.join("\n") };
+        this.lines = [];
+        const waiter = this.waiting.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.waiting.splice(0).forEach(waiter => waiter.reject(this.error));
+  }
+
+  // Description: Next reply; throws unless its code is one of the expected codes
+  async expect(expected) {
+    const reply = this.replies.length
+      ? this.replies.shift()
+      : await new Promise((resolve, reject) => {
+        if (this.error) return reject(this.error);
+        this.waiting.push({ resolve, reject });
+      });
+    if (![].concat(expected).includes(reply.code)) {
+      throw new Error(`SMTP error: ${reply.text}`);
+    }
+    return reply.text;
+  }
+
+  command(line, expected) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected);
+  }
+
+  // Description: Hands the raw socket over (STARTTLS) without closing it
+  detach() {
+    this.socket.setTimeout(0);
+    this.socket.off("data", this.onData);
+    this.socket.off("error", this.onError);
+    this.socket.removeAllListeners("close");
+    return this.socket;
+  }
+
+  close() {
+    this.socket.end();
+  }
+}
+
+/* ========== FILE NOTIFIER CLASS ========== */
+class FileNotifier {
+  constructor(filePath = NOTIFIER_ENV.ALERT_FILE_PATH) {
+    this.filePath = filePath;
+  }
+
+  async send(recipient, alerts) {
+    const { subject } = formatNotification(alerts);
+    const line = JSON.stringify({ sentAt: new Date().toISOString(), recipient, subject, alerts });
+    await fs.promises.appendFile(this.filePath, line + "\n", "utf8");
+  }
+}
+
+// Description: Returns the notifier selected by ALERT_NOTIFIER
+function createNotifier(type = NOTIFIER_ENV.ALERT_NOTIFIER) {
+  switch (type) {
+    case "webhook": return new WebhookNotifier();
+    case "smtp": return new SmtpNotifier();
+    case "file": return new FileNotifier();
+    case undefined:
+    case "": throw new Error("ALERT_NOTIFIER is not set (webhook, smtp or file)");
+    default: throw new Error(`Unknown ALERT_NOTIFIER '${type}'`);
+  }
+}
+
+module.exports = {
+  WebhookNotifier,
+  SmtpNotifier,
+  FileNotifier,
+  createNotifier,
+  formatNotification,
+  NOTIFIER_ENV
+};
@@ -0,0 +1,186 @@
+/* ========== QUOTA STORE MODULE ========== */
+// Description: Small JSON documents for rate-limit windows and daily usage
+// (also used for alert subscriptions and alert state, in their own container)
+// - Pluggable backends: blob storage (production) and in-memory (tests/local)
+// - Writes are conditional on the document's ETag; update() retries on conflicts
+//   so concurrent instances never lose increments
+const { BlobServiceClient } = require("@azure/storage-blob");
+
+// Description: Quota store configuration
+// - QUOTA_STORE: "blob" (default) or "memory"
+// - QUOTAS_CONTAINER: Blob container holding the documents
+const QUOTA_STORE_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  QUOTA_STORE: process.env.QUOTA_STORE || "blob",
+  QUOTAS_CONTAINER: process.env.QUOTAS_CONTAINER || "quotas"
+};
+
+// Description: Attempts made by update() before giving up on a contended document
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/* ========== QUOTA CONFLICT ERROR CLASS ========== */
+// Description: The document changed since it was read
+class QuotaConflictError extends Error {
+  constructor(key) {
+    super(`Quota document ${key} was modified concurrently`);
+    this.name = "QuotaConflictError";
+  }
+}
+
+/* ========== QUOTA STORE BASE CLASS ========== */
+// Description: Read-modify-write on top of read()/write(); subclasses implement storage
+class QuotaStore {
+  // Description: Applies mutate(currentValue | null) and stores the result
+  // Returns the stored value
+  async update(key, mutate) {
+    for (let attempt = 1; ; attempt++) {
+      const current = await this.read(key);
+      const value = mutate(current ? current.value : null);
+      try {
+        await this.write(key, value, current ? current.etag : null);
+        return value;
+      } catch (error) {
+        if (!(error instanceof QuotaConflictError) || attempt >= MAX_UPDATE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  // Description: Returns { value, etag } or null
+  async read() {
+    throw new Error("read() not implemented");
+  }
+
+  // Description: Stores value if the document still has etag (null: must not exist yet)
+  async write() {
+    throw new Error("write() not implemented");
+  }
+
+  // Description: Returns [{ key, value }] for every document under a prefix
+  async list() {
+    throw new Error("list() not implemented");
+  }
+}
+
+/* ========== IN-MEMORY QUOTA STORE CLASS ========== */
+// Description: Keeps documents in a Map; counts are per instance
+class MemoryQuotaStore extends QuotaStore {
+  constructor() {
+    super();
+    this.documents = new Map();
+    this.version = 0;
+  }
+
+  async read(key) {
+    const document = this.documents.get(key);
+    return document ? { value: JSON.parse(document.json), etag: document.etag } : null;
+  }
+
+  async write(key, value, etag) {
+    const current = this.documents.get(key);
+    if ((current ? current.etag : null) !== etag) {
+      throw new QuotaConflictError(key);
+    }
+    this.documents.set(key, { json: JSON.stringify(value), etag: String(++this.version) });
+  }
+
+  async list(prefix) {
+    return [...this.documents.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, document]) => ({ key, value: JSON.parse(document.json) }));
+  }
+}
+
+/* ========== BLOB QUOTA STORE CLASS ========== */
+// Description: Stores each document as <key>.json in the quotas container (or containerName)
+class BlobQuotaStore extends QuotaStore {
+  constructor(serviceClient, containerName = QUOTA_STORE_ENV.QUOTAS_CONTAINER) {
+    super();
+    this.serviceClient = serviceClient || null;
+    this.containerName = containerName;
+    this.containerReady = null;
+  }
+
+  // Description: Lazily connects so modules can load without storage configured
+  get containerClient() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(
+        QUOTA_STORE_ENV.AZURE_STORAGE_CONNECTION_STRING
+      );
+    }
+    return this.serviceClient.getContainerClient(this.containerName);
+  }
+
+  // Description: Creates the container once per instance
+  ensureContainer() {
+    if (!this.containerReady) {
+      this.containerReady = this.containerClient.createIfNotExists().catch(error => {
+        this.containerReady = null;
+        throw error;
+      });
+    }
+    return this.containerReady;
+  }
+
+  async read(key) {
+    const blobClient = this.containerClient.getBlobClient(`${key}.json`);
+    try {
+      const download = await blobClient.download();
+      const chunks = [];
+      for await (const chunk of download.readableStreamBody) {
+        chunks.push(Buffer.from(chunk));
+      }
+      return { value: JSON.parse(Buffer.concat(chunks).toString("utf8")), etag: download.etag };
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async write(key, value, etag) {
+    await this.ensureContainer();
+    const content = JSON.stringify(value);
+    try {
+      await this.containerClient.getBlockBlobClient(`${key}.json`).upload(content, Buffer.byteLength(content), {
+        blobHTTPHeaders: { blobContentType: "application/json" },
+        conditions: etag ? { ifMatch: etag } : { ifNoneMatch: "*" }
+      });
+    } catch (error) {
+      if (error.statusCode === 409 || error.statusCode === 412) {
+        throw new QuotaConflictError(key);
+      }
+      throw error;
+    }
+  }
+
+  async list(prefix) {
+    const documents = [];
+    for await (const blob of this.containerClient.listBlobsFlat({ prefix })) {
+      const key = blob.name.replace(/\.json$/, "");
+      const document = await this.read(key);
+      if (document) documents.push({ key, value: document.value });
+    }
+    return documents;
+  }
+}
+
+// Description: Stores created so far, one per type and container (shared by every function in the host)
+const sharedStores = new Map();
+
+// Description: Returns the store selected by QUOTA_STORE, one per container
+function createQuotaStore(type = QUOTA_STORE_ENV.QUOTA_STORE, containerName = QUOTA_STORE_ENV.QUOTAS_CONTAINER) {
+  const key = `${type}:${containerName}`;
+  if (!sharedStores.has(key)) {
+    sharedStores.set(key, type === "memory" ? new MemoryQuotaStore() : new BlobQuotaStore(null, containerName));
+  }
+  return sharedStores.get(key);
+}
+
+module.exports = {
+  QuotaStore,
+  MemoryQuotaStore,
+  BlobQuotaStore,
+  QuotaConflictError,
+  createQuotaStore
+};
@@ -0,0 +1,159 @@
+/* ========== RATE LIMIT MODULE ========== */
+// Description: Request rate limits and daily budgets for the HTTP functions
+// - Requests are counted per identity (authenticated user, otherwise client IP)
+//   in fixed windows of RATE_LIMIT_WINDOW_S seconds
+// - Daily token and cost budgets are read from the usage documents (usage.js)
+// - A blocked request gets HTTP 429 with Retry-After (seconds)
+// - Checked once per request: a routed request is not counted again downstream
+// - The 429 body is localized; the English message is kept for logs
+const { readDailyUsage } = require("./usage");
+const { t } = require("./i18n");
+
+// Description: Limit configuration (0 disables a limit)
+// - RATE_LIMIT_REQUESTS / RATE_LIMIT_WINDOW_S: Requests allowed per window
+// - DAILY_TOKEN_BUDGET: Tokens per identity per UTC day
+// - DAILY_COST_BUDGET_USD: Spend per identity per UTC day
+// - TRUSTED_PROXY_HOPS: Proxies in front of the app that append to X-Forwarded-For
+//   (default 1, the App Service front end); the client IP is the entry they appended
+const RATE_LIMIT_ENV = {
+  RATE_LIMIT_REQUESTS: parseInt(process.env.RATE_LIMIT_REQUESTS ?? "20", 10),
+  RATE_LIMIT_WINDOW_S: parseInt(process.env.RATE_LIMIT_WINDOW_S, 10) || 60,
+  DAILY_TOKEN_BUDGET: parseInt(process.env.DAILY_TOKEN_BUDGET ?? "200000", 10),
+  DAILY_COST_BUDGET_USD: parseFloat(process.env.DAILY_COST_BUDGET_USD ?? "5"),
+  TRUSTED_PROXY_HOPS: Math.max(1, parseInt(process.env.TRUSTED_PROXY_HOPS, 10) || 1)
+};
+
+// Description: Marks a request that already passed the checks
+// A symbol cannot be set by clients and survives { ...req } copies made by the router
+const QUOTA_CHECKED = Symbol("quotaChecked");
+
+// Description: Removes the port from "1.2.3.4:5678" and "[::1]:5678" (bare IPv6 is kept)
+function stripPort(address) {
+  const bracketed = address.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) return bracketed[1];
+  return /^[\d.]+:\d+$/.test(address) ? address.replace(/:\d+$/, "") : address;
+}
+
+// Description: Identity that limits and usage are tracked under
+// Anonymous callers are keyed by the X-Forwarded-For entry appended by the trusted proxy
+// hops; entries to its left (and X-Client-IP / Client-IP) are client-supplied and ignored
+function clientIdentity(req, principal, proxyHops = RATE_LIMIT_ENV.TRUSTED_PROXY_HOPS) {
+  if (principal && principal.subject && principal.subject !== "anonymous") {
+    return `user:${principal.subject}`;
+  }
+  const hops = String(req?.headers?.["x-forwarded-for"] || "").split(",").map(hop => hop.trim()).filter(Boolean);
+  const ip = stripPort(hops[hops.length - proxyHops] || "");
+  return `ip:${ip || "unknown"}`;
+}
+
+function secondsUntilUtcMidnight(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+/* ========== QUOTA GUARD CLASS ========== */
+// Description: Runs the rate limit and budget checks against a quota store
+class QuotaGuard {
+  constructor(store, limits = RATE_LIMIT_ENV) {
+    this.store = store;
+    this.limits = limits;
+  }
+
+  // Description: Returns null when the request may proceed, otherwise
+  // { limit, retryAfter, message, params } describing the exceeded limit
+  async check(req, identity, context) {
+    if (req[QUOTA_CHECKED]) return null;
+    req[QUOTA_CHECKED] = true;
+
+    try {
+      return await this.checkBudgets(identity) || await this.checkRate(identity);
+    } catch (error) {
+      // Limits fail open: a storage outage must not take the API down
+      context.log(`Quota Store Error: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Description: Fixed-window counter in rate/<identity>
+  async checkRate(identity) {
+    const { RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW_S } = this.limits;
+    if (!RATE_LIMIT_REQUESTS) return null;
+
+    const windowMs = RATE_LIMIT_WINDOW_S * 1000;
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const counter = await this.store.update(`rate/${encodeURIComponent(identity)}`, current =>
+      current && current.windowStart === windowStart
+        ? { windowStart, count: current.count + 1 }
+        : { windowStart, count: 1 }
+    );
+
+    if (counter.count <= RATE_LIMIT_REQUESTS) return null;
+    return {
+      limit: "rate",
+      retryAfter: Math.max(1, Math.ceil((windowStart + windowMs - Date.now()) / 1000)),
+      message: `Rate limit of ${RATE_LIMIT_REQUESTS} requests per ${RATE_LIMIT_WINDOW_S}s exceeded`,
+      params: { limit: RATE_LIMIT_REQUESTS, window: RATE_LIMIT_WINDOW_S }
+    };
+  }
+
+  // Description: Daily token and cost budgets from today's usage document
+  async checkBudgets(identity) {
+    const { DAILY_TOKEN_BUDGET, DAILY_COST_BUDGET_USD } = this.limits;
+    if (!DAILY_TOKEN_BUDGET && !DAILY_COST_BUDGET_USD) return null;
+
+    const usage = await readDailyUsage(this.store, identity);
+    if (!usage) return null;
+
+    if (DAILY_TOKEN_BUDGET && usage.totalTokens >= DAILY_TOKEN_BUDGET) {
+      return {
+        limit: "tokens",
+        retryAfter: secondsUntilUtcMidnight(),
+        message: `Daily token budget of ${DAILY_TOKEN_BUDGET} tokens exhausted`,
+        params: { limit: DAILY_TOKEN_BUDGET }
+      };
+    }
+    if (DAILY_COST_BUDGET_USD && usage.costUsd >= DAILY_COST_BUDGET_USD) {
+      return {
+        limit: "cost",
+        retryAfter: secondsUntilUtcMidnight(),
+        message: `Daily budget of $${DAILY_COST_BUDGET_USD} exhausted`,
+        params: { limit: DAILY_COST_BUDGET_USD }
+      };
+    }
+    return null;
+  }
+}
+
+// Description: Catalog key of each limit's explanation
+const LIMIT_MESSAGES = {
+  rate: "error.rateLimit",
+  tokens: "error.tokenBudget",
+  cost: "error.costBudget"
+};
+
+// Description: HTTP 429 result for an exceeded limit, in the request locale
+function rateLimitResponse(exceeded, locale, headers = {}) {
+  return {
+    status: 429,
+    headers: {
+      "Content-Type": "application/json",
+      "Content-Language": locale,
+      ...headers,
+      "Retry-After": String(exceeded.retryAfter)
+    },
+    body: JSON.stringify({
+      error: t(locale, "error.tooManyRequests"),
+      limit: exceeded.limit,
+      details: t(locale, LIMIT_MESSAGES[exceeded.limit], exceeded.params),
+      retryAfter: exceeded.retryAfter
+    })
+  };
+}
+
+module.exports = {
+  QuotaGuard,
+  clientIdentity,
+  rateLimitResponse,
+  RATE_LIMIT_ENV
+};
@@ -0,0 +1,127 @@
+/* ========== RESILIENCE MODULE ========== */
+// Description: Building blocks for calls to slow or failing dependencies
+// - Deadline: the time left for one request, with an AbortSignal fired when it runs out
+// - CircuitBreaker: stops calling a dependency after repeated failures and lets a single
+//   probe through once the cool-down has passed
+// - backoffDelay: exponential backoff with jitter, honouring Retry-After
+
+/* ========== DEADLINE CLASS ========== */
+// Description: Overall time budget of one request
+// The signal aborts in-flight work (e.g. model calls) when the budget is spent
+class Deadline {
+  constructor(timeoutMs, startTime = Date.now()) {
+    this.timeoutMs = timeoutMs;
+    this.expiresAt = startTime + timeoutMs;
+    this.controller = new AbortController();
+    this.timer = setTimeout(
+      () => this.controller.abort(new Error(`Timeout after ${timeoutMs}ms`)),
+      Math.max(0, this.expiresAt - Date.now())
+    );
+  }
+
+  get signal() {
+    return this.controller.signal;
+  }
+
+  // Description: Milliseconds left, keeping reserveMs for the work that follows
+  remaining(reserveMs = 0) {
+    return Math.max(0, this.expiresAt - Date.now() - reserveMs);
+  }
+
+  // Description: Promise rejected with "Timeout after <n>ms" when the deadline passes,
+  // for racing work that cannot be cancelled
+  expired() {
+    return new Promise((_, reject) => {
+      if (this.signal.aborted) return reject(this.signal.reason);
+      this.signal.addEventListener("abort", () => reject(this.signal.reason), { once: true });
+    });
+  }
+
+  // Description: Stops the timer once the request has finished
+  clear() {
+    clearTimeout(this.timer);
+  }
+}
+
+/* ========== CIRCUIT BREAKER CLASS ========== */
+// Description: Closed -> open after failureThreshold consecutive failures -> half-open after
+// cooldownMs, when one probe call decides between closed and open again
+// One instance per dependency is shared across warm invocations
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = "closed";
+    this.failures = 0;
+    this.openedAt = 0;
+    this.probing = false;
+  }
+
+  // Description: Whether a call may go ahead; moves an expired open circuit to half-open
+  allowRequest() {
+    if (this.state === "open" && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = "half_open";
+      this.probing = false;
+    }
+    if (this.state === "closed") return true;
+    if (this.state === "half_open" && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = "closed";
+    this.failures = 0;
+    this.probing = false;
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.probing = false;
+    if (this.state === "half_open" || this.failures >= this.failureThreshold) {
+      this.state = "open";
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Description: Milliseconds until an open circuit lets a probe through (0 otherwise)
+  retryAfterMs() {
+    return this.state === "open" ? Math.max(0, this.openedAt + this.cooldownMs - Date.now()) : 0;
+  }
+}
+
+/* ========== BACKOFF ========== */
+// Description: Delay before retry number attempt (1-based): baseMs * 2^(attempt-1) with
+// equal jitter, capped at maxMs; a longer Retry-After from the server wins up to maxMs
+function backoffDelay(attempt, baseMs, maxMs, retryAfterMs = 0) {
+  const exponential = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  const jittered = exponential / 2 + Math.random() * (exponential / 2);
+  return Math.min(maxMs, Math.max(jittered, retryAfterMs || 0));
+}
+
+// Description: Retry-After of an HTTP error response in milliseconds (0 when absent)
+// Reads "retry-after-ms" (OpenAI) and "retry-after" (seconds or an HTTP date)
+function retryAfterMs(headers) {
+  const get = name => (typeof headers?.get === "function" ? headers.get(name) : headers?.[name]);
+  const ms = parseFloat(get("retry-after-ms"));
+  if (!Number.isNaN(ms)) return ms;
+
+  const value = get("retry-after");
+  if (!value) return 0;
+  const seconds = parseFloat(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+  Deadline,
+  CircuitBreaker,
+  backoffDelay,
+  retryAfterMs,
+  sleep
+};
@@ -0,0 +1,106 @@
+/* ========== RESPONSE SCHEMA MODULE ========== */
+// Description: Per-dataset response shapes built from the catalog
+// - A response returns the key column plus the columns the analysis requested,
+//   in plan order, with field metadata (label, type, unit) from the catalog
+// - Rows keep their normalized column names so clients can index data by field name
+// - Filter and aggregate helper columns that were not requested are not returned
+// - Labels use the catalog's translation for the response locale when there is one
+const { metricLabel } = require("./aggregation");
+
+/* ========== SCHEMA BUILDING ========== */
+// Description: Builds the field list for a query plan
+// getDatasetEntry: (file name) -> catalog entry with keyColumn and fields
+// Returns [{ name, label, type, unit, unitColumn, dataset }]
+function buildResponseSchema(plan, getDatasetEntry, locale) {
+  const fields = [];
+  const seen = new Set();
+
+  const addField = (name, dataset) => {
+    if (seen.has(name)) return;
+    seen.add(name);
+    const meta = getDatasetEntry(dataset)?.fields?.[name] || {};
+    fields.push({
+      name,
+      label: fieldLabel(meta, name, locale),
+      type: meta.type || "string",
+      unit: meta.unit || null,
+      unitColumn: meta.unitColumn || null,
+      dataset
+    });
+  };
+
+  const firstStep = plan.datasets[0];
+  addField(plan.joinKey || getDatasetEntry(firstStep.dataset)?.keyColumn || "sku_id", firstStep.dataset);
+  plan.datasets.forEach(step => step.columns.forEach(col => addField(col, step.dataset)));
+
+  return fields;
+}
+
+// Description: Catalog label of a column in the given locale
+function fieldLabel(meta, name, locale) {
+  return meta.labels?.[locale] || meta.label || name;
+}
+
+// Description: Projects rows onto the schema; missing cells become null
+// Unit columns referenced by a field are carried along when the rows contain them
+function shapeRows(rows, fields) {
+  const unitColumns = fields.map(field => field.unitColumn)
+    .filter(col => col && rows.some(row => row[col] !== undefined));
+  const names = [...new Set([...fields.map(field => field.name), ...unitColumns])];
+
+  return rows.map(row => Object.fromEntries(names.map(name => [name, row[name] ?? null])));
+}
+
+// Description: Client-facing field metadata
+function toClientFields(fields) {
+  return fields.map(({ name, label, type, unit, dataset }) => ({ name, label, type, unit, dataset }));
+}
+
+/* ========== EXPORT COLUMNS ========== */
+// Description: Columns of shaped rows for downloads: the schema fields, then the unit
+// columns carried along with them (labelled from the catalog)
+function exportColumns(fields, rows, getDatasetEntry, locale) {
+  const columns = fields.map(({ name, label, type }) => ({ name, label, type }));
+  const names = new Set(columns.map(column => column.name));
+
+  fields.forEach(field => {
+    const unitColumn = field.unitColumn;
+    if (!unitColumn || names.has(unitColumn) || !rows.some(row => row[unitColumn] !== undefined)) return;
+    names.add(unitColumn);
+    const meta = getDatasetEntry(field.dataset)?.fields?.[unitColumn] || {};
+    columns.push({ name: unitColumn, label: fieldLabel(meta, unitColumn, locale), type: meta.type || "string" });
+  });
+  return columns;
+}
+
+// Description: Columns of an aggregate table: group columns, then one per metric
+function aggregateExportColumns(aggregate, datasetEntry, locale) {
+  return [
+    ...aggregate.groupBy.map(name => ({
+      name,
+      label: fieldLabel(datasetEntry?.fields?.[name] || {}, name, locale),
+      type: datasetEntry?.fields?.[name]?.type || "string"
+    })),
+    ...aggregate.metrics.map(metric => ({ name: metric.as, label: metricLabel(metric, locale), type: "number" }))
+  ];
+}
+
+/* ========== VALUE FORMATTING ========== */
+// Description: Formats one cell with its unit ("14 EA", "N/A" for blanks)
+function formatFieldValue(field, row) {
+  const value = row[field.name];
+  if (value === null || value === undefined || value === "") {
+    return "N/A";
+  }
+  const unit = field.unitColumn ? row[field.unitColumn] : field.unit;
+  return unit ? `${value} ${unit}` : String(value);
+}
+
+module.exports = {
+  buildResponseSchema,
+  shapeRows,
+  toClientFields,
+  exportColumns,
+  aggregateExportColumns,
+  formatFieldValue
+};
@@ -0,0 +1,171 @@
+/* ========== RESULT EXPORT MODULE ========== */
+// Description: Downloads of query results as CSV, XLSX or JSON
+// - Every dataset answer is kept as a result snapshot (masked rows + columns) under a
+//   result ID, so a follow-up export request returns the full matched result set
+// - Small files are returned in the response; files above EXPORT_INLINE_MAX_BYTES are
+//   written to the exports container and shared through a read-only, time-limited SAS link
+// - Snapshots and files expire; add a lifecycle rule on the container to delete old blobs
+const crypto = require("crypto");
+const csv = require("fast-csv");
+const { BlobServiceClient, BlobSASPermissions } = require("@azure/storage-blob");
+const { buildXlsx } = require("./xlsxWriter");
+
+// Description: Export configuration
+// - EXPORTS_CONTAINER: Blob container for result snapshots and large export files
+// - EXPORT_INLINE_MAX_BYTES: Largest file returned in the response body
+// - EXPORT_LINK_TTL_MIN: Lifetime of SAS download links
+// - EXPORT_RESULT_TTL_H: How long a result ID can be exported
+const EXPORT_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  EXPORTS_CONTAINER: process.env.EXPORTS_CONTAINER || "exports",
+  EXPORT_INLINE_MAX_BYTES: parseInt(process.env.EXPORT_INLINE_MAX_BYTES, 10) || 1024 * 1024,
+  EXPORT_LINK_TTL_MIN: parseInt(process.env.EXPORT_LINK_TTL_MIN, 10) || 15,
+  EXPORT_RESULT_TTL_H: parseInt(process.env.EXPORT_RESULT_TTL_H, 10) || 24
+};
+
+// Description: Supported formats
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", contentType: "text/csv; charset=utf-8" },
+  xlsx: { extension: "xlsx", contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" }
+};
+
+const RESULT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Description: Normalized format name, or null when unsupported
+function resolveExportFormat(format) {
+  const name = String(format || "").trim().toLowerCase();
+  return EXPORT_FORMATS[name] ? name : null;
+}
+
+/* ========== RENDERING ========== */
+// Description: Cells starting with a formula character are prefixed with "'" so
+// spreadsheet apps do not evaluate them (CSV injection). Only plain numbers such as
+// "-12.5" are left alone; the column type is not trusted, since a number-typed column
+// can still hold text like "=HYPERLINK(...)"
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  const plainNumber = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text);
+  return !plainNumber && /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+// Description: File contents for a snapshot in one format
+// columns: [{ name, label, type }]; rows: objects keyed by column name
+async function renderExport(format, columns, rows) {
+  switch (format) {
+    case "csv":
+      return csv.writeToBuffer(
+        [columns.map(column => column.label), ...rows.map(row => columns.map(column => csvCell(row[column.name])))],
+        { headers: false, writeBOM: true }
+      );
+    case "xlsx":
+      return buildXlsx(columns, rows);
+    default:
+      return Buffer.from(JSON.stringify({
+        columns: columns.map(({ name, label, type }) => ({ name, label, type })),
+        rows
+      }, null, 2));
+  }
+}
+
+/* ========== RESULT EXPORTER CLASS ========== */
+// Description: Stores result snapshots and produces export files
+class ResultExporter {
+  constructor(serviceClient) {
+    this.serviceClient = serviceClient || null;
+    this.containerReady = null;
+  }
+
+  // Description: Lazily connects so modules can load without storage configured
+  get containerClient() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(EXPORT_ENV.AZURE_STORAGE_CONNECTION_STRING);
+    }
+    return this.serviceClient.getContainerClient(EXPORT_ENV.EXPORTS_CONTAINER);
+  }
+
+  ensureContainer() {
+    if (!this.containerReady) {
+      this.containerReady = this.containerClient.createIfNotExists().catch(error => {
+        this.containerReady = null;
+        throw error;
+      });
+    }
+    return this.containerReady;
+  }
+
+  // Description: Stores a result set and returns its result ID
+  // snapshot: { owner, question, datasets, columns, rows }
+  async save(snapshot) {
+    await this.ensureContainer();
+    const resultId = crypto.randomUUID();
+    const createdAt = new Date();
+    const body = JSON.stringify({
+      ...snapshot,
+      resultId,
+      createdAt: createdAt.toISOString(),
+      expiresAt: new Date(createdAt.getTime() + EXPORT_ENV.EXPORT_RESULT_TTL_H * 3600000).toISOString()
+    });
+    await this.containerClient.getBlockBlobClient(`results/${resultId}.json`).upload(body, Buffer.byteLength(body), {
+      blobHTTPHeaders: { blobContentType: "application/json" }
+    });
+    return resultId;
+  }
+
+  // Description: Loads a snapshot; null when the ID is unknown, malformed or expired
+  async load(resultId) {
+    if (!RESULT_ID_PATTERN.test(String(resultId || ""))) return null;
+    try {
+      const buffer = await this.containerClient.getBlobClient(`results/${resultId}.json`).downloadToBuffer();
+      const snapshot = JSON.parse(buffer.toString("utf8"));
+      return Date.parse(snapshot.expiresAt) > Date.now() ? snapshot : null;
+    } catch (error) {
+      if (error.statusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  // Description: Renders a snapshot in a format
+  // Returns { fileName, contentType, rows, bytes } plus either content (Buffer, small files)
+  // or url/expiresAt (SAS link to the uploaded file)
+  async export(snapshot, format) {
+    const { extension, contentType } = EXPORT_FORMATS[format];
+    const content = await renderExport(format, snapshot.columns, snapshot.rows);
+    const fileName = `${(snapshot.datasets?.[0] || "results").replace(/\.csv$/i, "")}-${snapshot.resultId.slice(0, 8)}.${extension}`;
+    const base = { format, fileName, contentType, rows: snapshot.rows.length, bytes: content.length };
+
+    if (content.length <= EXPORT_ENV.EXPORT_INLINE_MAX_BYTES) {
+      return { ...base, content };
+    }
+
+    await this.ensureContainer();
+    const blobClient = this.containerClient.getBlockBlobClient(`files/${snapshot.resultId}.${extension}`);
+    await blobClient.uploadData(content, { blobHTTPHeaders: { blobContentType: contentType } });
+
+    // SAS links need a connection string with an account key
+    const expiresOn = new Date(Date.now() + EXPORT_ENV.EXPORT_LINK_TTL_MIN * 60000);
+    const url = await blobClient.generateSasUrl({
+      permissions: BlobSASPermissions.parse("r"),
+      expiresOn,
+      contentDisposition: `attachment; filename="${fileName}"`,
+      contentType
+    });
+    return { ...base, url, expiresAt: expiresOn.toISOString() };
+  }
+}
+
+// Description: Client-facing export description; inline files are base64 encoded
+function toClientExport(file) {
+  const { content, ...rest } = file;
+  return content ? { ...rest, encoding: "base64", content: content.toString("base64") } : rest;
+}
+
+module.exports = {
+  ResultExporter,
+  renderExport,
+  resolveExportFormat,
+  toClientExport,
+  EXPORT_FORMATS,
+  EXPORT_ENV
+};
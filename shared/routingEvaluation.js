@@ -0,0 +1,203 @@
+/* ========== ROUTING EVALUATION MODULE ========== */
+// Description: Scores analyzeQuery against a golden test set (see scripts/evaluateRouting.js)
+// Golden set format (evaluation/goldenSet.json):
+//   { "cases": [{ "id": "soh-by-sku", "question": "How many units of 10271 are in stock?",
+//                 "expected": { "dataset": "warehouseData.csv", "columns": ["soh"], "value": "10271" } }] }
+// - expected.dataset: CSV file, or null when the question should not be routed to a dataset
+// - expected.columns / expected.value: optional; columns must all be selected, the value
+//   must match case-insensitively
+// Reports per-dataset precision/recall, confidence calibration and regressions against
+// a stored baseline (cases that passed in the baseline and fail now)
+
+// Description: Label used for "no dataset" in per-dataset metrics
+const NO_DATASET = "(none)";
+
+// Description: Confidence buckets for calibration ([0, 0.2), [0.2, 0.4), ...)
+const CALIBRATION_BUCKETS = 5;
+
+// Description: Drop in a summary metric reported as a regression even when no single case flips
+const METRIC_TOLERANCE = 0.02;
+
+// Description: Checks the golden set shape; throws naming the first invalid case
+function validateGoldenSet(goldenSet) {
+  if (!goldenSet || !Array.isArray(goldenSet.cases) || goldenSet.cases.length === 0) {
+    throw new Error("Golden set must have a non-empty \"cases\" array");
+  }
+  const ids = new Set();
+  goldenSet.cases.forEach((testCase, index) => {
+    const label = testCase.id || `#${index + 1}`;
+    if (!testCase.id || ids.has(testCase.id)) throw new Error(`Case ${label}: missing or duplicate id`);
+    if (!testCase.question || typeof testCase.question !== "string") throw new Error(`Case ${label}: missing question`);
+    if (!testCase.expected || !("dataset" in testCase.expected)) throw new Error(`Case ${label}: missing expected.dataset`);
+    ids.add(testCase.id);
+  });
+  return goldenSet.cases;
+}
+
+const normalize = value => String(value ?? "").trim().toLowerCase();
+
+// Description: Compares one analyzeQuery result with a case's expectation
+// Returns { id, expected, predicted, confidence, datasetCorrect, columnsCorrect, valueCorrect, passed }
+// (columnsCorrect / valueCorrect are null when the case does not specify them)
+function scoreCase(testCase, analysis) {
+  const expected = testCase.expected;
+  const predicted = {
+    dataset: analysis.isValid ? analysis.dataset : null,
+    columns: analysis.isValid ? analysis.columns || [] : [],
+    value: analysis.isValid ? analysis.value ?? null : null
+  };
+
+  const datasetCorrect = normalize(predicted.dataset) === normalize(expected.dataset);
+  const columnsCorrect = Array.isArray(expected.columns)
+    ? datasetCorrect && expected.columns.every(column => predicted.columns.map(normalize).includes(normalize(column)))
+    : null;
+  const valueCorrect = "value" in expected
+    ? datasetCorrect && normalize(predicted.value) === normalize(expected.value)
+    : null;
+
+  return {
+    id: testCase.id,
+    question: testCase.question,
+    expected: { dataset: expected.dataset ?? null, columns: expected.columns, value: expected.value },
+    predicted,
+    confidence: typeof analysis.confidence === "number" ? analysis.confidence : null,
+    datasetCorrect,
+    columnsCorrect,
+    valueCorrect,
+    passed: datasetCorrect && columnsCorrect !== false && valueCorrect !== false
+  };
+}
+
+// Description: Precision/recall/F1 per dataset, treating "no dataset" as its own class
+function perDatasetMetrics(results) {
+  const labels = new Set();
+  results.forEach(result => {
+    labels.add(result.expected.dataset ?? NO_DATASET);
+    labels.add(result.predicted.dataset ?? NO_DATASET);
+  });
+
+  const metrics = {};
+  for (const label of labels) {
+    const isLabel = dataset => (dataset ?? NO_DATASET) === label;
+    const truePositives = results.filter(r => isLabel(r.expected.dataset) && isLabel(r.predicted.dataset)).length;
+    const predicted = results.filter(r => isLabel(r.predicted.dataset)).length;
+    const actual = results.filter(r => isLabel(r.expected.dataset)).length;
+    const precision = predicted ? truePositives / predicted : null;
+    const recall = actual ? truePositives / actual : null;
+    metrics[label] = {
+      support: actual,
+      predicted,
+      precision,
+      recall,
+      f1: precision && recall ? (2 * precision * recall) / (precision + recall) : 0
+    };
+  }
+  return metrics;
+}
+
+// Description: Accuracy of the dataset choice per confidence bucket, plus the expected
+// calibration error (weighted gap between mean confidence and accuracy)
+function calibration(results) {
+  const scored = results.filter(result => result.confidence !== null);
+  const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, i) => ({
+    range: [i / CALIBRATION_BUCKETS, (i + 1) / CALIBRATION_BUCKETS],
+    count: 0,
+    meanConfidence: null,
+    accuracy: null
+  }));
+
+  scored.forEach(result => {
+    const index = Math.min(CALIBRATION_BUCKETS - 1, Math.floor(result.confidence * CALIBRATION_BUCKETS));
+    const bucket = buckets[index];
+    bucket.count += 1;
+    bucket.confidenceSum = (bucket.confidenceSum || 0) + result.confidence;
+    bucket.correct = (bucket.correct || 0) + (result.datasetCorrect ? 1 : 0);
+  });
+
+  let ece = 0;
+  buckets.forEach(bucket => {
+    if (bucket.count) {
+      bucket.meanConfidence = bucket.confidenceSum / bucket.count;
+      bucket.accuracy = bucket.correct / bucket.count;
+      ece += (bucket.count / scored.length) * Math.abs(bucket.meanConfidence - bucket.accuracy);
+    }
+    delete bucket.confidenceSum;
+    delete bucket.correct;
+  });
+
+  return { scored: scored.length, expectedCalibrationError: scored.length ? ece : null, buckets };
+}
+
+const rate = (results, key) => {
+  const scored = results.filter(result => result[key] !== null);
+  return scored.length ? scored.filter(result => result[key]).length / scored.length : null;
+};
+
+// Description: Summary report for a set of scored cases
+function summarizeEvaluation(results) {
+  return {
+    cases: results.length,
+    passed: results.filter(result => result.passed).length,
+    accuracy: {
+      dataset: rate(results, "datasetCorrect"),
+      columns: rate(results, "columnsCorrect"),
+      value: rate(results, "valueCorrect"),
+      overall: rate(results, "passed")
+    },
+    datasets: perDatasetMetrics(results),
+    calibration: calibration(results)
+  };
+}
+
+// Description: Baseline document stored with --update-baseline
+function toBaseline(summary, results) {
+  return {
+    createdAt: new Date().toISOString(),
+    accuracy: summary.accuracy,
+    datasets: Object.fromEntries(Object.entries(summary.datasets)
+      .map(([dataset, metrics]) => [dataset, { precision: metrics.precision, recall: metrics.recall }])),
+    cases: Object.fromEntries(results.map(result => [result.id, { passed: result.passed, predicted: result.predicted }]))
+  };
+}
+
+// Description: Differences from the baseline
+// - regressions: cases that passed in the baseline and fail now
+// - fixed: cases that failed in the baseline and pass now
+// - metricDrops: accuracy / precision / recall that fell by more than METRIC_TOLERANCE
+function compareWithBaseline(summary, results, baseline) {
+  const regressions = [];
+  const fixed = [];
+  results.forEach(result => {
+    const before = baseline.cases?.[result.id];
+    if (!before) return;
+    if (before.passed && !result.passed) {
+      regressions.push({ id: result.id, question: result.question, before: before.predicted, now: result.predicted });
+    } else if (!before.passed && result.passed) {
+      fixed.push({ id: result.id });
+    }
+  });
+
+  const metricDrops = [];
+  const checkDrop = (name, before, now) => {
+    if (typeof before === "number" && typeof now === "number" && before - now > METRIC_TOLERANCE) {
+      metricDrops.push({ metric: name, before, now });
+    }
+  };
+  Object.entries(summary.accuracy).forEach(([name, now]) => checkDrop(`accuracy.${name}`, baseline.accuracy?.[name], now));
+  Object.entries(summary.datasets).forEach(([dataset, metrics]) => {
+    checkDrop(`${dataset}.precision`, baseline.datasets?.[dataset]?.precision, metrics.precision);
+    checkDrop(`${dataset}.recall`, baseline.datasets?.[dataset]?.recall, metrics.recall);
+  });
+
+  const newCases = results.filter(result => !baseline.cases?.[result.id]).map(result => result.id);
+  return { regressions, fixed, metricDrops, newCases };
+}
+
+module.exports = {
+  validateGoldenSet,
+  scoreCase,
+  summarizeEvaluation,
+  toBaseline,
+  compareWithBaseline,
+  NO_DATASET
+};
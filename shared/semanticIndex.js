@@ -0,0 +1,280 @@
+/* ========== SEMANTIC INDEX MODULE ========== */
+// Description: Ranked free-text search over material descriptions
+// - An embedding index of materialBasicData.csv (item_description, manufacturer,
+//   mfg_part_nos) is built offline (scripts/buildSemanticIndex.js) and stored as a blob
+// - The index is loaded into memory and revalidated against its ETag
+// - The index records the ETag of the CSV it was built from; once the live dataset has a
+//   different ETag (a new upload or rollback) the index is not used until it is rebuilt
+// - Queries are embedded and matched by cosine similarity (nearest neighbours)
+// - When the index or the embeddings API is unavailable, a trigram similarity
+//   fallback ranks the same texts, so typos like "grundfoss" still match
+const { BlobServiceClient } = require("@azure/storage-blob");
+
+// Description: Semantic search configuration
+// - SEMANTIC_SEARCH_ENABLED: "false" keeps plain substring matching
+// - SEMANTIC_INDEX_CONTAINER / SEMANTIC_INDEX_BLOB: Where the built index is stored
+// - SEMANTIC_INDEX_REFRESH_MS: How long a loaded index is trusted before revalidating
+// - SEMANTIC_TOP_K: Most keys returned per query
+// - SEMANTIC_MIN_SCORE / TRIGRAM_MIN_SCORE: Minimum similarity for a match
+const SEMANTIC_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  SEMANTIC_SEARCH_ENABLED: process.env.SEMANTIC_SEARCH_ENABLED !== "false",
+  SEMANTIC_INDEX_CONTAINER: process.env.SEMANTIC_INDEX_CONTAINER || "indexes",
+  SEMANTIC_INDEX_BLOB: process.env.SEMANTIC_INDEX_BLOB || "materialBasicData.embeddings.json",
+  SEMANTIC_INDEX_REFRESH_MS: parseInt(process.env.SEMANTIC_INDEX_REFRESH_MS, 10) || 5 * 60 * 1000,
+  SEMANTIC_TOP_K: parseInt(process.env.SEMANTIC_TOP_K, 10) || 20,
+  SEMANTIC_MIN_SCORE: parseFloat(process.env.SEMANTIC_MIN_SCORE) || 0.3,
+  TRIGRAM_MIN_SCORE: parseFloat(process.env.TRIGRAM_MIN_SCORE) || 0.5
+};
+
+// Description: Dataset and columns covered by the index
+const SEMANTIC_DATASET = "materialBasicData.csv";
+const SEMANTIC_COLUMNS = ["item_description", "manufacturer", "mfg_part_nos"];
+const SEMANTIC_KEY_COLUMN = "sku_id";
+const INDEX_FORMAT_VERSION = 1;
+
+/* ========== TEXT AND VECTOR HELPERS ========== */
+// Description: Text embedded / trigram-matched for one row
+function rowText(row, columns = SEMANTIC_COLUMNS) {
+  return columns.map(col => row[col]).filter(Boolean).join(" | ");
+}
+
+// Description: Word trigrams with boundary padding ("pump" -> " pu", "pum", "ump", "mp ")
+function trigrams(text) {
+  const grams = new Set();
+  for (const word of String(text || "").toLowerCase().split(/[^a-z0-9]+/).filter(Boolean)) {
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return grams;
+}
+
+// Description: Share of the query's trigrams found in the text (0..1)
+// Containment rather than Jaccard, so long descriptions are not penalized
+function trigramScore(queryGrams, textGrams) {
+  if (queryGrams.size === 0) return 0;
+  let shared = 0;
+  for (const gram of queryGrams) {
+    if (textGrams.has(gram)) shared++;
+  }
+  return shared / queryGrams.size;
+}
+
+// Description: Scales a vector to unit length so dot product = cosine similarity
+function normalizeVector(values) {
+  const vector = Float32Array.from(values);
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString("base64");
+}
+
+function decodeVector(encoded) {
+  const buffer = Buffer.from(encoded, "base64");
+  return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+}
+
+// Description: Best score per key, highest first, limited to topK
+function rankByKey(scored, minScore, topK) {
+  const best = new Map();
+  for (const { key, score } of scored) {
+    if (score >= minScore && score > (best.get(key) ?? -Infinity)) best.set(key, score);
+  }
+  return [...best.entries()]
+    .map(([key, score]) => ({ key, score: Math.round(score * 1000) / 1000 }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+/* ========== OFFLINE BUILD ========== */
+// Description: Embeds every row and returns the serializable index document
+async function buildSemanticIndex(rows, llm, options = {}) {
+  const batchSize = options.batchSize || 100;
+  const entries = [];
+  let model = null;
+
+  const items = rows
+    .map(row => ({ key: row[SEMANTIC_KEY_COLUMN], text: rowText(row) }))
+    .filter(item => item.key && item.text);
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    const batch = items.slice(i, i + batchSize);
+    const response = await llm.createEmbedding("embedding", batch.map(item => item.text));
+    model = response.model || model;
+    response.data.forEach((result, j) => {
+      entries.push({ ...batch[j], vector: encodeVector(normalizeVector(result.embedding)) });
+    });
+    options.onProgress?.(Math.min(i + batchSize, items.length), items.length);
+  }
+
+  return {
+    version: INDEX_FORMAT_VERSION,
+    dataset: SEMANTIC_DATASET,
+    sourceEtag: options.sourceEtag || null,
+    model: options.model || model,
+    keyColumn: SEMANTIC_KEY_COLUMN,
+    columns: SEMANTIC_COLUMNS,
+    dimensions: entries.length ? decodeVector(entries[0].vector).length : 0,
+    createdAt: new Date().toISOString(),
+    entries
+  };
+}
+
+/* ========== SEMANTIC INDEX CLASS ========== */
+// Description: Loads the index blob and answers ranked searches; shared across warm invocations
+class SemanticIndex {
+  constructor(llm, serviceClient, enabled = SEMANTIC_ENV.SEMANTIC_SEARCH_ENABLED) {
+    this.llm = llm;
+    this.serviceClient = serviceClient || null;
+    this.enabled = enabled;
+    this.index = null;
+    this.etag = null;
+    this.checkedAt = 0;
+  }
+
+  // Description: Lazily connects so the module can load without storage configured
+  get blobClient() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(
+        SEMANTIC_ENV.AZURE_STORAGE_CONNECTION_STRING
+      );
+    }
+    return this.serviceClient
+      .getContainerClient(SEMANTIC_ENV.SEMANTIC_INDEX_CONTAINER)
+      .getBlobClient(SEMANTIC_ENV.SEMANTIC_INDEX_BLOB);
+  }
+
+  // Description: True when free-text searches on this dataset should be ranked
+  covers(dataset) {
+    return this.enabled && dataset === SEMANTIC_DATASET;
+  }
+
+  // Description: Returns the in-memory index, or null when no index blob exists
+  // Storage errors keep the previously loaded index in service
+  async load(context) {
+    if (Date.now() - this.checkedAt < SEMANTIC_ENV.SEMANTIC_INDEX_REFRESH_MS) {
+      return this.index;
+    }
+
+    try {
+      const blobClient = this.blobClient;
+      if (!await blobClient.exists()) {
+        this.index = null;
+        this.etag = null;
+      } else {
+        const properties = await blobClient.getProperties();
+        if (properties.etag !== this.etag) {
+          const document = JSON.parse((await blobClient.downloadToBuffer()).toString("utf8"));
+          this.index = SemanticIndex.fromDocument(document);
+          this.etag = properties.etag;
+          context.log(`🔎 Semantic index loaded (${this.index.entries.length} entries, model ${this.index.model})`);
+        }
+      }
+    } catch (error) {
+      context.log(`Semantic Index Error: ${error.message}`);
+    }
+
+    this.checkedAt = Date.now();
+    return this.index;
+  }
+
+  // Description: Decodes vectors once; trigram sets are built lazily on first fallback
+  static fromDocument(document) {
+    if (document.version !== INDEX_FORMAT_VERSION || !Array.isArray(document.entries)) {
+      throw new Error(`Unsupported semantic index format: ${document.version}`);
+    }
+    return {
+      model: document.model,
+      sourceEtag: document.sourceEtag,
+      entries: document.entries.map(entry => ({
+        key: String(entry.key),
+        text: entry.text,
+        vector: entry.vector ? decodeVector(entry.vector) : null,
+        grams: null
+      }))
+    };
+  }
+
+  // Description: Ranked keys for a query: { method, matches: [{ key, score }] }
+  // fallbackRows: dataset rows used for trigram matching when no current index is loaded
+  // llm: provider for the query embedding (a request's metered provider), defaults to the shared one
+  // sourceEtag: ETag of the live dataset blob; an index built from another version is skipped
+  // Returns null when nothing can be ranked (callers keep substring matching)
+  async search(query, context, fallbackRows, llm = this.llm, sourceEtag = null) {
+    const loaded = await this.load(context);
+    const stale = Boolean(loaded && sourceEtag && loaded.sourceEtag !== sourceEtag);
+    if (stale) {
+      context.log(`⚠️ Semantic index was built from another version of ${SEMANTIC_DATASET}, using trigram ranking until it is rebuilt`);
+    }
+    const index = stale ? null : loaded;
+
+    if (index && llm) {
+      try {
+        return { method: "embedding", matches: await this.embeddingSearch(index, query, llm) };
+      } catch (error) {
+        context.log(`⚠️ Embedding search unavailable, using trigram fallback: ${error.message}`);
+      }
+    }
+
+    const texts = index
+      ? index.entries
+      : (fallbackRows || []).map(row => ({ key: row[SEMANTIC_KEY_COLUMN], text: rowText(row), grams: null }));
+    if (texts.length === 0) return null;
+
+    return { method: "trigram", matches: SemanticIndex.trigramSearch(texts, query) };
+  }
+
+  // Description: Cosine nearest neighbours of the embedded query
+  async embeddingSearch(index, query, llm = this.llm) {
+    const configured = llm.embeddingModel?.();
+    if (configured && index.model && configured !== index.model) {
+      throw new Error(`index built with ${index.model}, queries use ${configured}`);
+    }
+
+    const response = await llm.createEmbedding("embedding", [query]);
+    const queryVector = normalizeVector(response.data[0].embedding);
+    if (queryVector.length !== index.entries[0]?.vector?.length) {
+      throw new Error("query and index dimensions differ");
+    }
+
+    return rankByKey(
+      index.entries.map(entry => ({ key: entry.key, score: dot(queryVector, entry.vector) })),
+      SEMANTIC_ENV.SEMANTIC_MIN_SCORE,
+      SEMANTIC_ENV.SEMANTIC_TOP_K
+    );
+  }
+
+  // Description: Trigram containment ranking over entry texts
+  static trigramSearch(entries, query) {
+    const queryGrams = trigrams(query);
+    return rankByKey(
+      entries.filter(entry => entry.key).map(entry => {
+        entry.grams = entry.grams || trigrams(entry.text);
+        return { key: String(entry.key), score: trigramScore(queryGrams, entry.grams) };
+      }),
+      SEMANTIC_ENV.TRIGRAM_MIN_SCORE,
+      SEMANTIC_ENV.SEMANTIC_TOP_K
+    );
+  }
+}
+
+module.exports = {
+  SemanticIndex,
+  buildSemanticIndex,
+  rowText,
+  trigrams,
+  trigramScore,
+  SEMANTIC_DATASET,
+  SEMANTIC_KEY_COLUMN,
+  SEMANTIC_ENV
+};
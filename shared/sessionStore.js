@@ -0,0 +1,209 @@
+/* ========== SESSION STORE MODULE ========== */
+// Description: Conversation memory shared by chatFunction, casualChatFunction and routerFunction
+// - Persists prior turns, the last resolved dataset query and the response locale per conversationId
+// - Each session belongs to the caller that started it (clientIdentity); another caller
+//   presenting the same conversationId gets a new conversation instead
+// - Pluggable backends: blob storage (production) and in-memory (tests/local)
+const { BlobServiceClient } = require("@azure/storage-blob");
+const crypto = require("crypto");
+
+// Description: Session store configuration
+// - SESSION_STORE: "blob" (default) or "memory"
+// - SESSIONS_CONTAINER: Blob container holding one JSON document per conversation
+// - SESSION_MAX_TURNS: Number of turns kept in history (user + assistant each count)
+const SESSION_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  SESSION_STORE: process.env.SESSION_STORE || "blob",
+  SESSIONS_CONTAINER: process.env.SESSIONS_CONTAINER || "sessions",
+  SESSION_MAX_TURNS: parseInt(process.env.SESSION_MAX_TURNS, 10) || 10
+};
+
+/* ========== SESSION HELPERS ========== */
+// Description: Creates an empty session document
+function createEmptySession(conversationId, owner = null) {
+  return {
+    conversationId,
+    owner,
+    turns: [],
+    lastQuery: null,
+    pendingClarification: null,
+    locale: null,
+    updatedAt: null
+  };
+}
+
+// Description: Validates client supplied conversation IDs
+// Restricts to a safe character set since the ID becomes a blob name
+function isValidConversationId(conversationId) {
+  return typeof conversationId === "string" && /^[A-Za-z0-9_-]{1,128}$/.test(conversationId);
+}
+
+// Description: Returns the caller's conversationId or generates a new one
+function resolveConversationId(conversationId) {
+  return isValidConversationId(conversationId) ? conversationId : crypto.randomUUID();
+}
+
+/* ========== BASE SESSION STORE CLASS ========== */
+// Description: Shared session workflow; subclasses implement read() and write()
+class SessionStore {
+  constructor(maxTurns = SESSION_ENV.SESSION_MAX_TURNS) {
+    this.maxTurns = maxTurns;
+  }
+
+  // Description: Loads the caller's session, returning an empty one for unknown IDs
+  // owner: clientIdentity() of the caller; a session stored for anyone else is never
+  // returned, the caller gets a new conversation under a fresh ID (callers must read
+  // session.conversationId rather than reuse the requested one)
+  // Read failures are logged and treated as a new conversation
+  async load(conversationId, context, owner = null) {
+    try {
+      const stored = await this.read(conversationId);
+      if (!stored) {
+        return createEmptySession(conversationId, owner);
+      }
+      if (stored.owner !== owner) {
+        context?.log(`🔐 Conversation ${conversationId} belongs to another caller, starting a new one`);
+        return createEmptySession(crypto.randomUUID(), owner);
+      }
+      return { ...createEmptySession(conversationId, owner), ...stored };
+    } catch (error) {
+      context?.log(`Session Store Error: ${error.message}`);
+      return createEmptySession(conversationId, owner);
+    }
+  }
+
+  // Description: Appends a user/assistant exchange and optionally the resolved query
+  // History is trimmed to the most recent maxTurns entries
+  async appendExchange(session, userMessage, assistantMessage, lastQuery) {
+    const timestamp = new Date().toISOString();
+    session.turns.push(
+      { role: "user", content: userMessage, timestamp },
+      { role: "assistant", content: assistantMessage, timestamp }
+    );
+    session.turns = session.turns.slice(-this.maxTurns);
+
+    if (lastQuery) {
+      session.lastQuery = {
+        dataset: lastQuery.dataset,
+        columns: lastQuery.columns,
+        value: lastQuery.value,
+        ...(lastQuery.filter ? { filter: lastQuery.filter } : {})
+      };
+    }
+
+    session.updatedAt = timestamp;
+    await this.write(session.conversationId, session);
+    return session;
+  }
+
+  // Description: Non-fatal wrapper around appendExchange for request handlers
+  // A failed session write is logged but never fails the user's request
+  async record(context, session, userMessage, assistantMessage, lastQuery) {
+    try {
+      await this.appendExchange(session, userMessage, assistantMessage, lastQuery);
+    } catch (error) {
+      context.log(`Session Store Error: ${error.message}`);
+    }
+  }
+
+  // Description: Converts stored turns into OpenAI chat messages
+  static toChatMessages(session) {
+    return (session?.turns || []).map(({ role, content }) => ({ role, content }));
+  }
+
+  async read() {
+    throw new Error("read() not implemented");
+  }
+
+  async write() {
+    throw new Error("write() not implemented");
+  }
+}
+
+/* ========== IN-MEMORY SESSION STORE CLASS ========== */
+// Description: Keeps sessions in a Map; survives warm invocations only
+class MemorySessionStore extends SessionStore {
+  constructor(maxTurns) {
+    super(maxTurns);
+    this.sessions = new Map();
+  }
+
+  async read(conversationId) {
+    const session = this.sessions.get(conversationId);
+    return session ? JSON.parse(JSON.stringify(session)) : null;
+  }
+
+  async write(conversationId, session) {
+    this.sessions.set(conversationId, JSON.parse(JSON.stringify(session)));
+  }
+}
+
+/* ========== BLOB SESSION STORE CLASS ========== */
+// Description: Stores each conversation as <conversationId>.json in the sessions container
+class BlobSessionStore extends SessionStore {
+  constructor(maxTurns, serviceClient) {
+    super(maxTurns);
+    this.serviceClient = serviceClient || null;
+    this.containerReady = null;
+  }
+
+  // Description: Lazily connects so modules can load without storage configured
+  get containerClient() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(
+        SESSION_ENV.AZURE_STORAGE_CONNECTION_STRING
+      );
+    }
+    return this.serviceClient.getContainerClient(SESSION_ENV.SESSIONS_CONTAINER);
+  }
+
+  // Description: Creates the sessions container once per instance
+  ensureContainer() {
+    if (!this.containerReady) {
+      this.containerReady = this.containerClient.createIfNotExists().catch(error => {
+        this.containerReady = null;
+        throw error;
+      });
+    }
+    return this.containerReady;
+  }
+
+  async read(conversationId) {
+    const blobClient = this.containerClient.getBlobClient(`${conversationId}.json`);
+    if (!await blobClient.exists()) {
+      return null;
+    }
+    const buffer = await blobClient.downloadToBuffer();
+    return JSON.parse(buffer.toString("utf8"));
+  }
+
+  async write(conversationId, session) {
+    await this.ensureContainer();
+    const content = JSON.stringify(session);
+    const blockBlobClient = this.containerClient.getBlockBlobClient(`${conversationId}.json`);
+    await blockBlobClient.upload(content, Buffer.byteLength(content), {
+      blobHTTPHeaders: { blobContentType: "application/json" }
+    });
+  }
+}
+
+// Description: Stores created so far, one per type
+// Functions in the same host share an instance, so a conversation routed to
+// different functions keeps one history even with the in-memory store
+const sharedStores = new Map();
+
+// Description: Returns the store selected by SESSION_STORE
+function createSessionStore(type = SESSION_ENV.SESSION_STORE) {
+  if (!sharedStores.has(type)) {
+    sharedStores.set(type, type === "memory" ? new MemorySessionStore() : new BlobSessionStore());
+  }
+  return sharedStores.get(type);
+}
+
+module.exports = {
+  SessionStore,
+  MemorySessionStore,
+  BlobSessionStore,
+  createSessionStore,
+  resolveConversationId
+};
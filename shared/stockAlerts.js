@@ -0,0 +1,403 @@
+/* ========== STOCK ALERTS MODULE ========== */
+// Description: Proactive alerts scanned from the datasets on a timer (stockAlertFunction)
+// - reorder: warehouseData.csv rows whose soh is at or below rop
+// - shipment_delay: stockLogisticsData.csv shipments whose estimated_delivery has passed
+// Alerts are enriched from materialBasicData.csv (description, category) and delivered to
+// subscribers whose rules match by SKU, category or bin (alertSubscriptionFunction)
+// Deduplication: an alert is sent once per subscriber while its condition persists
+// (optionally repeated every ALERT_RENOTIFY_HOURS); once it clears it can fire again
+// Access: subscriptions store the subscriber's roles, and every run re-checks them against
+// the access policy, so alerts stop once the policy no longer permits their dataset
+const crypto = require("crypto");
+const csv = require("fast-csv");
+const { BlobServiceClient } = require("@azure/storage-blob");
+const { parseNumber } = require("./filterExpression");
+const { createQuotaStore } = require("./quotaStore");
+const { DatasetAccess, loadAccessPolicy } = require("./accessPolicy");
+
+// Description: Alert configuration
+// - ALERTS_CONTAINER: Blob container for subscriptions and alert state
+// - ALERT_DELIVERY_GRACE_HOURS: Hours after estimated_delivery before a shipment is late
+//   (date-only estimates count from midnight UTC)
+// - ALERT_RENOTIFY_HOURS: Repeat a still-active alert after this many hours (0: never)
+// - ALERT_MAX_RULES: Rules one subscriber may hold
+// - ALERT_EMAIL_DOMAINS: Comma-separated domains subscribers may send alerts to besides their
+//   own verified address (e.g. "contoso.com"); empty allows only the token's email
+const ALERT_ENV = {
+  AZURE_STORAGE_CONNECTION_STRING: process.env.AZURE_STORAGE_CONNECTION_STRING,
+  DATASETS_CONTAINER: "datasets",
+  ALERTS_CONTAINER: process.env.ALERTS_CONTAINER || "alerts",
+  ALERT_DELIVERY_GRACE_HOURS: parseFloat(process.env.ALERT_DELIVERY_GRACE_HOURS) || 24,
+  ALERT_RENOTIFY_HOURS: parseFloat(process.env.ALERT_RENOTIFY_HOURS) || 0,
+  ALERT_MAX_RULES: parseInt(process.env.ALERT_MAX_RULES, 10) || 50,
+  ALERT_EMAIL_DOMAINS: (process.env.ALERT_EMAIL_DOMAINS || "").split(",").map(domain => domain.trim().toLowerCase()).filter(Boolean)
+};
+
+// Description: Alert types and the dataset each one is scanned from
+const ALERT_TYPES = {
+  reorder: "warehouseData.csv",
+  shipment_delay: "stockLogisticsData.csv"
+};
+const PRODUCT_DATASET = "materialBasicData.csv";
+
+// Description: Fields a rule can match on
+const RULE_FIELDS = ["sku", "category", "bin"];
+
+const STATE_KEY = "state";
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const subscriptionKey = owner => `subscriptions/${encodeURIComponent(owner)}`;
+
+/* ========== SCANNING ========== */
+// Description: Product details by lowercased SKU
+function indexProducts(rows) {
+  const products = new Map();
+  rows.forEach(row => {
+    const sku = String(row.sku_id || "").trim().toLowerCase();
+    if (sku && !products.has(sku)) {
+      products.set(sku, {
+        description: row.item_description || null,
+        category: row.item_main_category || null,
+        subCategory: row.item_sub_category || null
+      });
+    }
+  });
+  return products;
+}
+
+// Description: Warehouse rows at or below their reorder point
+function scanReorderPoints(rows, products = new Map()) {
+  return rows.flatMap(row => {
+    const soh = parseNumber(row.soh);
+    const rop = parseNumber(row.rop);
+    const sku = String(row.sku_id || "").trim();
+    if (!sku || Number.isNaN(soh) || Number.isNaN(rop) || soh > rop) return [];
+    return [{
+      type: "reorder",
+      key: `reorder:${sku}:${row.storage_bin || ""}`.toLowerCase(),
+      sku,
+      bin: row.storage_bin || null,
+      soh,
+      rop,
+      uom: row.uom || null,
+      ...products.get(sku.toLowerCase())
+    }];
+  });
+}
+
+// Description: Shipments more than graceHours past their estimated delivery
+function scanShipmentDelays(rows, products = new Map(), bins = new Map(), now = new Date(), graceHours = ALERT_ENV.ALERT_DELIVERY_GRACE_HOURS) {
+  return rows.flatMap(row => {
+    const due = Date.parse(String(row.estimated_delivery || "").trim());
+    const sku = String(row.sku_id || "").trim();
+    if (!sku || Number.isNaN(due) || now.getTime() - due < graceHours * 3600000) return [];
+    return [{
+      type: "shipment_delay",
+      key: `shipment_delay:${row.shipment_id || sku}`.toLowerCase(),
+      sku,
+      shipmentId: row.shipment_id || null,
+      carrier: row.carrier || null,
+      estimatedDelivery: row.estimated_delivery,
+      daysLate: Math.floor((now.getTime() - due) / 86400000),
+      bin: bins.get(sku.toLowerCase()) || null,
+      ...products.get(sku.toLowerCase())
+    }];
+  });
+}
+
+/* ========== RULES ========== */
+// Description: Invalid subscription input (reported to the client as 400)
+class AlertRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AlertRuleError";
+  }
+}
+
+// Description: Validates a subscription rule from a client
+// { sku | category | bin: "<value>", types?: ["reorder", "shipment_delay"] }
+// A bin ending in "*" matches by prefix ("A-01*")
+function normalizeRule(input, allowedTypes = Object.keys(ALERT_TYPES)) {
+  const fields = RULE_FIELDS.filter(field => input?.[field] !== undefined && input[field] !== null && input[field] !== "");
+  if (fields.length !== 1) {
+    throw new AlertRuleError(`A rule needs exactly one of: ${RULE_FIELDS.join(", ")}`);
+  }
+  const types = input.types === undefined ? allowedTypes : [].concat(input.types);
+  const unknown = types.filter(type => !ALERT_TYPES[type]);
+  if (unknown.length || types.length === 0) {
+    throw new AlertRuleError(`Unknown alert type(s): ${unknown.join(", ") || "(none)"}. Use ${Object.keys(ALERT_TYPES).join(", ")}`);
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    field: fields[0],
+    value: String(input[fields[0]]).trim().slice(0, 128),
+    types,
+    createdAt: new Date().toISOString()
+  };
+}
+
+// Description: Validated notification address (null when none was given)
+function normalizeEmail(email) {
+  if (email === undefined || email === null || email === "") return null;
+  if (!EMAIL_PATTERN.test(String(email))) {
+    throw new AlertRuleError("Invalid email address");
+  }
+  return String(email);
+}
+
+// Description: Address a subscriber's alerts go to: the requested one when it is their own
+// verified address or in ALERT_EMAIL_DOMAINS, otherwise the verified address (or null)
+// Alerts carry stock levels and bins, so they are never sent to arbitrary outside addresses
+function subscriberEmail(requested, verifiedEmail, allowedDomains = ALERT_ENV.ALERT_EMAIL_DOMAINS) {
+  const verified = verifiedEmail && EMAIL_PATTERN.test(String(verifiedEmail)) ? String(verifiedEmail) : null;
+  const email = normalizeEmail(requested);
+  if (!email) return verified;
+
+  const domain = email.slice(email.lastIndexOf("@") + 1).toLowerCase();
+  if (email.toLowerCase() !== verified?.toLowerCase() && !allowedDomains.includes(domain)) {
+    throw new AlertRuleError(allowedDomains.length
+      ? `Alerts can only be sent to your own address or to ${allowedDomains.join(", ")}`
+      : "Alerts can only be sent to your own verified address");
+  }
+  return email;
+}
+
+/* ========== ACCESS ========== */
+// Description: A subscription reduced to what its stored roles permit under the policy
+// - Alert types whose dataset the roles do not cover are removed from each rule, and rules
+//   left without a type are dropped
+// - Without materialBasicData.csv, category rules are dropped and alerts carry no product
+//   details (productDetails: false)
+// Subscriptions saved without roles get the policy's defaultRoles, like a token without roles
+function permittedSubscription(subscription, policy) {
+  const access = new DatasetAccess({ subject: subscription.owner, roles: subscription.roles || [] }, policy);
+  const productDetails = access.allows(PRODUCT_DATASET);
+  const rules = subscription.rules
+    .map(rule => ({ ...rule, types: rule.types.filter(type => access.allows(ALERT_TYPES[type])) }))
+    .filter(rule => rule.types.length > 0 && (productDetails || rule.field !== "category"));
+  return { ...subscription, rules, productDetails };
+}
+
+// Description: Alert without the fields taken from materialBasicData.csv
+function withoutProductDetails(alert) {
+  const { description, category, subCategory, ...rest } = alert;
+  return rest;
+}
+
+function ruleMatches(rule, alert) {
+  if (!rule.types.includes(alert.type)) return false;
+  const expected = rule.value.toLowerCase();
+  const same = value => value !== null && value !== undefined && String(value).trim().toLowerCase() === expected;
+  switch (rule.field) {
+    case "sku": return same(alert.sku);
+    case "category": return same(alert.category) || same(alert.subCategory);
+    case "bin":
+      return expected.endsWith("*")
+        ? String(alert.bin || "").toLowerCase().startsWith(expected.slice(0, -1))
+        : same(alert.bin);
+    default: return false;
+  }
+}
+
+/* ========== DEDUPLICATION ========== */
+// Description: Splits matches into notifications to send now and suppressed repeats
+// subscriptions: [{ owner, rules, productDetails? }]; state: { "<owner>|<alertKey>": { firstSeen, lastSent } }
+// Returns { notifications: [{ recipient, alerts }], active: Set of state keys, suppressed }
+function planNotifications(alerts, subscriptions, state, now = new Date(), renotifyHours = ALERT_ENV.ALERT_RENOTIFY_HOURS) {
+  const notifications = [];
+  const active = new Set();
+  let suppressed = 0;
+
+  for (const subscription of subscriptions) {
+    const due = [];
+    for (const alert of alerts) {
+      const rules = subscription.rules.filter(rule => ruleMatches(rule, alert));
+      if (rules.length === 0) continue;
+
+      const stateKey = `${subscription.owner}|${alert.key}`;
+      active.add(stateKey);
+      const lastSent = state[stateKey]?.lastSent;
+      const repeat = renotifyHours > 0 && lastSent && now.getTime() - Date.parse(lastSent) >= renotifyHours * 3600000;
+      if (lastSent && !repeat) {
+        suppressed += 1;
+        continue;
+      }
+      const details = subscription.productDetails === false ? withoutProductDetails(alert) : alert;
+      due.push({ ...details, stateKey, rules: rules.map(rule => rule.id) });
+    }
+
+    if (due.length) {
+      notifications.push({
+        recipient: { owner: subscription.owner, email: subscription.email || null },
+        alerts: due
+      });
+    }
+  }
+  return { notifications, active, suppressed };
+}
+
+/* ========== STOCK ALERT SERVICE CLASS ========== */
+// Description: Subscriptions, scanning and delivery; one instance per function host
+class StockAlertService {
+  constructor(notifier, store, serviceClient, accessPolicy) {
+    this.notifier = notifier;
+    this.store = store || createQuotaStore(undefined, ALERT_ENV.ALERTS_CONTAINER);
+    this.serviceClient = serviceClient || null;
+    this.accessPolicy = accessPolicy || loadAccessPolicy();
+  }
+
+  // Description: Lazily connects so modules can load without storage configured
+  get containerClient() {
+    if (!this.serviceClient) {
+      this.serviceClient = BlobServiceClient.fromConnectionString(ALERT_ENV.AZURE_STORAGE_CONNECTION_STRING);
+    }
+    return this.serviceClient.getContainerClient(ALERT_ENV.DATASETS_CONTAINER);
+  }
+
+  // Description: A subscriber's document ({ owner, email, roles, rules })
+  async subscriptions(owner) {
+    const document = await this.store.read(subscriptionKey(owner));
+    return document ? document.value : { owner, email: null, roles: [], rules: [] };
+  }
+
+  // Description: Adds a normalized rule; email is the subscriber's default address and
+  // roles their current token roles, which replace the stored ones
+  async subscribe(owner, rule, email, roles) {
+    return this.store.update(subscriptionKey(owner), current => {
+      const document = current || { owner, email: null, roles: [], rules: [] };
+      if (document.rules.length >= ALERT_ENV.ALERT_MAX_RULES) {
+        throw new AlertRuleError(`At most ${ALERT_ENV.ALERT_MAX_RULES} alert rules per subscriber`);
+      }
+      return { ...document, email: email || document.email, roles, rules: [...document.rules, rule] };
+    });
+  }
+
+  // Description: Removes a rule (and refreshes the stored roles); returns false when the
+  // subscriber has no such rule
+  async unsubscribe(owner, ruleId, roles) {
+    let removed = false;
+    await this.store.update(subscriptionKey(owner), current => {
+      const document = current || { owner, email: null, roles: [], rules: [] };
+      removed = document.rules.some(rule => rule.id === ruleId);
+      return { ...document, roles, rules: document.rules.filter(rule => rule.id !== ruleId) };
+    });
+    return removed;
+  }
+
+  // Description: Rows of a dataset with normalized headers ([] when the file is missing)
+  async readDataset(file, context) {
+    try {
+      const download = await this.containerClient.getBlobClient(file).download();
+      const rows = [];
+      await new Promise((resolve, reject) => {
+        csv.parseStream(download.readableStreamBody, {
+          headers: headers => headers.map(header => header.trim().toLowerCase()),
+          trim: true
+        })
+          .on("data", row => rows.push(row))
+          .on("end", resolve)
+          .on("error", reject);
+      });
+      return rows;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        context.log(`⚠️ ${file} not found; skipping its alerts`);
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Description: Current alerts across all alert types
+  async scan(context, now = new Date()) {
+    const [warehouse, logistics, productRows] = await Promise.all([
+      this.readDataset(ALERT_TYPES.reorder, context),
+      this.readDataset(ALERT_TYPES.shipment_delay, context),
+      this.readDataset(PRODUCT_DATASET, context)
+    ]);
+    const products = indexProducts(productRows);
+    const bins = new Map(warehouse
+      .filter(row => row.sku_id && row.storage_bin)
+      .map(row => [String(row.sku_id).trim().toLowerCase(), row.storage_bin]));
+
+    return [
+      ...scanReorderPoints(warehouse, products),
+      ...scanShipmentDelays(logistics, products, bins, now)
+    ];
+  }
+
+  // Description: One alert run: scan, match subscriptions, send new alerts, update state
+  // Failed deliveries are not recorded, so they are retried on the next run
+  async run(context, now = new Date()) {
+    const alerts = await this.scan(context, now);
+    const stored = (await this.store.list("subscriptions/"))
+      .map(document => document.value)
+      .filter(subscription => subscription.rules?.length);
+
+    // Rules the subscriber's roles no longer permit are skipped (and kept, in case the
+    // access is restored)
+    const subscriptions = stored.map(subscription => permittedSubscription(subscription, this.accessPolicy));
+    const revoked = stored.reduce((count, subscription, i) => count + subscription.rules.length - subscriptions[i].rules.length, 0);
+    if (revoked > 0) {
+      context.log(`🔒 ${revoked} alert rule(s) skipped: their subscribers' roles no longer permit them`);
+    }
+    const state = (await this.store.read(STATE_KEY))?.value || {};
+
+    const { notifications, active, suppressed } = planNotifications(alerts, subscriptions, state, now);
+    const sent = new Set();
+    let delivered = 0;
+    let failed = 0;
+    for (const { recipient, alerts: due } of notifications) {
+      try {
+        // Notifiers return false when they skip a recipient (e.g. no email address)
+        if (await this.notifier.send(recipient, due.map(({ stateKey, ...alert }) => alert), context) !== false) {
+          delivered += 1;
+          due.forEach(alert => sent.add(alert.stateKey));
+        }
+      } catch (error) {
+        failed += 1;
+        context.log(`🚨 Alert delivery to ${recipient.owner} failed: ${error.message}`);
+      }
+    }
+
+    // Cleared alerts are dropped so they fire again when the condition returns
+    await this.store.update(STATE_KEY, current => {
+      const next = {};
+      for (const [key, entry] of Object.entries(current || {})) {
+        if (active.has(key)) next[key] = entry;
+      }
+      for (const key of sent) {
+        next[key] = { firstSeen: next[key]?.firstSeen || now.toISOString(), lastSent: now.toISOString() };
+      }
+      return next;
+    });
+
+    const summary = {
+      alerts: alerts.length,
+      subscribers: subscriptions.filter(subscription => subscription.rules.length).length,
+      revoked,
+      notifications: delivered,
+      sent: sent.size,
+      suppressed,
+      failed
+    };
+    context.log(`🔔 Stock alerts: ${summary.alerts} active, ${summary.sent} sent in ${summary.notifications} notification(s), ` +
+      `${summary.suppressed} already sent, ${summary.failed} failed`);
+    return summary;
+  }
+}
+
+module.exports = {
+  StockAlertService,
+  AlertRuleError,
+  normalizeEmail,
+  subscriberEmail,
+  scanReorderPoints,
+  scanShipmentDelays,
+  normalizeRule,
+  ruleMatches,
+  permittedSubscription,
+  planNotifications,
+  ALERT_TYPES,
+  ALERT_ENV
+};
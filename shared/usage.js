@@ -0,0 +1,177 @@
+/* ========== USAGE ACCOUNTING MODULE ========== */
+// Description: Token and cost accounting from the OpenAI "usage" field
+// - A UsageMeter collects the usage of every LLM call made for one request
+// - flush() adds it to the caller's daily document usage/<date>/<identity>
+//   (totals, per model and per call site), which budgets and the report read
+// - Costs use MODEL_PRICING (USD per 1K tokens); unknown models cost 0 and are logged
+
+// Description: Default prices in USD per 1K tokens; override with MODEL_PRICING (JSON)
+// Model names from responses are matched by longest prefix ("gpt-4-0613" -> "gpt-4")
+const DEFAULT_PRICING = {
+  "gpt-4": { prompt: 0.03, completion: 0.06 },
+  "gpt-4-turbo": { prompt: 0.01, completion: 0.03 },
+  "gpt-4o": { prompt: 0.0025, completion: 0.01 },
+  "gpt-4o-mini": { prompt: 0.00015, completion: 0.0006 },
+  "gpt-35-turbo": { prompt: 0.0005, completion: 0.0015 },
+  "gpt-3.5-turbo": { prompt: 0.0005, completion: 0.0015 },
+  "text-embedding-3-small": { prompt: 0.00002, completion: 0 },
+  "text-embedding-3-large": { prompt: 0.00013, completion: 0 }
+};
+
+const MODEL_PRICING = process.env.MODEL_PRICING
+  ? { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING) }
+  : DEFAULT_PRICING;
+
+// Description: Price entry for a model name, or null when unknown
+function priceFor(model) {
+  const name = String(model || "").toLowerCase();
+  const match = Object.keys(MODEL_PRICING)
+    .filter(key => name.startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICING[match] : null;
+}
+
+// Description: Cost in USD of one usage record
+function costOf(model, promptTokens, completionTokens) {
+  const price = priceFor(model);
+  if (!price) return 0;
+  return (promptTokens / 1000) * price.prompt + (completionTokens / 1000) * price.completion;
+}
+
+// Description: Current UTC date as YYYY-MM-DD
+function usageDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+// Description: Document key for one identity's usage on one day
+function usageKey(date, identity) {
+  return `usage/${date}/${encodeURIComponent(identity)}`;
+}
+
+function emptyTotals() {
+  return { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+}
+
+function addTotals(target, source) {
+  target.calls += source.calls;
+  target.promptTokens += source.promptTokens;
+  target.completionTokens += source.completionTokens;
+  target.totalTokens += source.totalTokens;
+  target.costUsd = Math.round((target.costUsd + source.costUsd) * 1e6) / 1e6;
+  return target;
+}
+
+/* ========== USAGE METER CLASS ========== */
+// Description: Per-request collector attached to the LLM provider with llm.withMeter()
+class UsageMeter {
+  constructor() {
+    this.records = [];
+    this.unpricedModels = new Set();
+  }
+
+  // Description: Records one call; usage is the OpenAI usage object
+  record(site, model, usage) {
+    if (!usage) return;
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    if (!priceFor(model)) this.unpricedModels.add(model);
+
+    this.records.push({
+      site,
+      model: model || "unknown",
+      calls: 1,
+      promptTokens,
+      completionTokens,
+      totalTokens: usage.total_tokens || promptTokens + completionTokens,
+      costUsd: costOf(model, promptTokens, completionTokens)
+    });
+  }
+
+  totals() {
+    return this.records.reduce((totals, record) => addTotals(totals, record), emptyTotals());
+  }
+
+  // Description: Adds this request's usage to the identity's daily document
+  // Failures are logged and never fail the user's request
+  async flush(store, identity, context) {
+    try {
+      await store.update(usageKey(usageDate(), identity), document => {
+        const updated = document || { identity, date: usageDate(), requests: 0, ...emptyTotals(), models: {}, sites: {} };
+        updated.requests += 1;
+        for (const record of this.records) {
+          addTotals(updated, record);
+          addTotals(updated.models[record.model] = updated.models[record.model] || emptyTotals(), record);
+          addTotals(updated.sites[record.site] = updated.sites[record.site] || emptyTotals(), record);
+        }
+        return updated;
+      });
+
+      const { totalTokens, costUsd } = this.totals();
+      context.log(`💰 Usage for ${identity}: ${this.records.length} LLM call(s), ${totalTokens} tokens, $${costUsd.toFixed(4)}`);
+      if (this.unpricedModels.size) {
+        context.log(`💰 No pricing for model(s): ${[...this.unpricedModels].join(", ")} (set MODEL_PRICING)`);
+      }
+    } catch (error) {
+      context.log(`Usage Store Error: ${error.message}`);
+    }
+  }
+}
+
+// Description: Attaches the meter to a request; copies made by the router ({ ...req })
+// keep it, so classification and handler calls are flushed together by the handler
+const USAGE_METER = Symbol("usageMeter");
+
+// Description: The request's meter, created on first use
+function requestMeter(req) {
+  if (!req[USAGE_METER]) {
+    req[USAGE_METER] = new UsageMeter();
+  }
+  return req[USAGE_METER];
+}
+
+/* ========== REPORTING ========== */
+// Description: Reads one identity's usage for today (null when nothing was used)
+async function readDailyUsage(store, identity) {
+  const document = await store.read(usageKey(usageDate(), identity));
+  return document ? document.value : null;
+}
+
+// Description: Usage per identity and per model for a range of days ending at endDate
+async function buildUsageReport(store, endDate, days) {
+  const dates = [];
+  const end = new Date(`${endDate}T00:00:00Z`);
+  for (let i = days - 1; i >= 0; i--) {
+    dates.push(usageDate(new Date(end.getTime() - i * 86400000)));
+  }
+
+  const users = {};
+  const models = {};
+  const totals = { requests: 0, ...emptyTotals() };
+
+  for (const date of dates) {
+    for (const { value } of await store.list(`usage/${date}/`)) {
+      const user = users[value.identity] = users[value.identity] || { requests: 0, ...emptyTotals(), models: {} };
+      user.requests += value.requests;
+      totals.requests += value.requests;
+      addTotals(user, value);
+      addTotals(totals, value);
+
+      for (const [model, modelTotals] of Object.entries(value.models)) {
+        addTotals(user.models[model] = user.models[model] || emptyTotals(), modelTotals);
+        addTotals(models[model] = models[model] || emptyTotals(), modelTotals);
+      }
+    }
+  }
+
+  return { from: dates[0], to: dates[dates.length - 1], totals, users, models };
+}
+
+module.exports = {
+  UsageMeter,
+  requestMeter,
+  costOf,
+  priceFor,
+  usageDate,
+  readDailyUsage,
+  buildUsageReport
+};
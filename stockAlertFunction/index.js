@@ -0,0 +1,26 @@
+/* ========== MODULE IMPORTS ========== */
+// Description: Hourly stock alert run (schedule in function.json)
+// Scans for SKUs at or below their reorder point and late shipments, and notifies the
+// subscribers whose rules match through the ALERT_NOTIFIER channel (see shared/stockAlerts.js)
+const { createNotifier } = require("../shared/notifiers");
+const { StockAlertService } = require("../shared/stockAlerts");
+
+// Alert service shared across warm invocations (created by the first run, so a missing or
+// unknown ALERT_NOTIFIER fails that run instead of loading the function)
+let alertService = null;
+
+module.exports = async function (context, timer) {
+    context.log("🔔 Stock alert run started");
+    if (timer?.isPastDue) {
+        context.log("⏰ Stock alert run is past due");
+    }
+
+    try {
+        alertService = alertService || new StockAlertService(createNotifier());
+        await alertService.run(context);
+    } catch (error) {
+        // Rethrown so the failed run shows up in the function's failure metrics
+        context.log("🚨 Stock Alert Run Failed:", error.message);
+        throw error;
+    }
+};
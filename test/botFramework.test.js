@@ -0,0 +1,98 @@
+/* ========== BOT FRAMEWORK TESTS ========== */
+// Description: Verification and authorization of incoming Bot Connector activities
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createContext } = require("./support/environment");
+const { JwksClient, verifyToken } = require("../shared/auth");
+const { loadAccessPolicy } = require("../shared/accessPolicy");
+const { verifyBotRequest, assertAllowedTenant, activityPrincipal, BOT_ENV } = require("../shared/botFramework");
+
+const ISSUER = "https://api.botframework.com";
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// Description: JwksClient holding one key endorsed for the given channels
+function keyClient(endorsements) {
+  const client = new JwksClient(null, ISSUER);
+  client.keys = new Map([["key-1", publicKey]]);
+  client.endorsements = new Map([["key-1", endorsements]]);
+  client.fetchedAt = Date.now();
+  return client;
+}
+
+// Description: RS256 token signed with the test key
+function signToken(claims) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const unsigned = `${encode({ alg: "RS256", kid: "key-1" })}.${encode(claims)}`;
+  return `${unsigned}.${crypto.sign("sha256", Buffer.from(unsigned), privateKey).toString("base64url")}`;
+}
+
+describe("verifyToken endorsements", () => {
+  const token = signToken({ iss: ISSUER, aud: "bot-app", exp: Math.floor(Date.now() / 1000) + 600 });
+  const options = { AUTH_ISSUER: ISSUER, AUTH_AUDIENCE: ["bot-app"], AUTH_CLOCK_SKEW_S: 300 };
+
+  it("accepts a key endorsed for the channel", async () => {
+    const claims = await verifyToken(token, keyClient(["msteams"]), { ...options, AUTH_ENDORSEMENT: "msteams" });
+    assert.equal(claims.aud, "bot-app");
+  });
+
+  it("rejects a key that is not endorsed for the channel", async () => {
+    await assert.rejects(
+      verifyToken(token, keyClient(["webchat"]), { ...options, AUTH_ENDORSEMENT: "msteams" }),
+      { status: 401 }
+    );
+  });
+});
+
+describe("verifyBotRequest with BOT_AUTH_MODE=none", () => {
+  const authMode = BOT_ENV.BOT_AUTH_MODE;
+  afterEach(() => { BOT_ENV.BOT_AUTH_MODE = authMode; });
+
+  it("accepts activities from a local serviceUrl", async () => {
+    BOT_ENV.BOT_AUTH_MODE = "none";
+    for (const serviceUrl of ["http://localhost:3978/", "http://127.0.0.1:3978/", "http://[::1]:3978/"]) {
+      assert.equal(await verifyBotRequest({ headers: {} }, { serviceUrl, channelId: "emulator" }, createContext()), null);
+    }
+  });
+
+  it("refuses activities from any other serviceUrl", async () => {
+    BOT_ENV.BOT_AUTH_MODE = "none";
+    await assert.rejects(
+      verifyBotRequest({ headers: {} }, { serviceUrl: "https://smba.trafficmanager.net/emea/", channelId: "msteams" }, createContext()),
+      { status: 401 }
+    );
+  });
+});
+
+describe("assertAllowedTenant", () => {
+  const allowedTenants = BOT_ENV.BOT_ALLOWED_TENANTS;
+  afterEach(() => { BOT_ENV.BOT_ALLOWED_TENANTS = allowedTenants; });
+
+  it("accepts activities from a configured tenant", () => {
+    BOT_ENV.BOT_ALLOWED_TENANTS = ["5f1c0a7e-0000-4000-8000-000000000001"];
+    assertAllowedTenant({ channelData: { tenant: { id: "5F1C0A7E-0000-4000-8000-000000000001" } } }, createContext());
+  });
+
+  it("refuses other tenants and activities without one", () => {
+    BOT_ENV.BOT_ALLOWED_TENANTS = ["5f1c0a7e-0000-4000-8000-000000000001"];
+    assert.throws(() => assertAllowedTenant({ channelData: { tenant: { id: "other-tenant" } } }, createContext()), { status: 403 });
+    assert.throws(() => assertAllowedTenant({}, createContext()), { status: 403 });
+  });
+});
+
+describe("activityPrincipal", () => {
+  const policy = loadAccessPolicy(JSON.stringify({
+    roles: { buyer: ["purchaseRecords.csv"] },
+    users: { "AB12CD34-0000-4000-8000-000000000002": ["buyer"] }
+  }));
+
+  it("gives a channel user the roles mapped to their object ID", () => {
+    const activity = { channelId: "msteams", from: { id: "29:1", aadObjectId: "ab12cd34-0000-4000-8000-000000000002" } };
+    assert.deepEqual(activityPrincipal(activity, policy).roles, ["buyer"]);
+  });
+
+  it("gives unmapped users no roles", () => {
+    assert.deepEqual(activityPrincipal({ channelId: "msteams", from: { id: "29:2", aadObjectId: "someone-else" } }, policy).roles, []);
+    assert.deepEqual(activityPrincipal({ channelId: "msteams", from: { id: "29:3" } }, policy).roles, []);
+  });
+});
@@ -0,0 +1,47 @@
+/* ========== CASUAL CHAT FUNCTION TESTS ========== */
+// Description: Runs casualChatFunction on the mock provider and in-memory stores
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createContext, createRequest, jsonBody } = require("./support/environment");
+const { RATE_LIMIT_ENV } = require("../shared/rateLimit");
+const casualChatFunction = require("../casualChatFunction");
+
+describe("casualChatFunction", () => {
+  it("replies and remembers the conversation", async () => {
+    const first = await casualChatFunction(createContext(), createRequest({ userMessage: "hello there" }));
+    const body = jsonBody(first);
+
+    assert.equal(first.status, 200);
+    assert.equal(body.message, "Mock response: hello there");
+
+    const second = jsonBody(await casualChatFunction(createContext(), createRequest({
+      userMessage: "and again", conversationId: body.conversationId
+    })));
+    assert.equal(second.conversationId, body.conversationId);
+  });
+
+  it("rejects a missing message in the caller's language", async () => {
+    const response = await casualChatFunction(createContext(), createRequest({ locale: "fr" }));
+
+    assert.equal(response.status, 400);
+    assert.equal(response.headers["Content-Language"], "fr");
+    assert.match(jsonBody(response).error, /absent ou invalide/);
+  });
+
+  it("explains an exceeded rate limit in the caller's language", async () => {
+    const requests = RATE_LIMIT_ENV.RATE_LIMIT_REQUESTS;
+    RATE_LIMIT_ENV.RATE_LIMIT_REQUESTS = 1;
+    try {
+      const headers = { "x-forwarded-for": "203.0.113.29", "accept-language": "es-ES,es;q=0.9" };
+      await casualChatFunction(createContext(), createRequest({ userMessage: "hola" }, headers));
+      const response = await casualChatFunction(createContext(), createRequest({ userMessage: "hola" }, headers));
+
+      assert.equal(response.status, 429);
+      assert.equal(response.headers["Content-Language"], "es");
+      assert.equal(jsonBody(response).error, "Demasiadas solicitudes");
+      assert.match(jsonBody(response).details, /límite de 1 solicitudes/);
+    } finally {
+      RATE_LIMIT_ENV.RATE_LIMIT_REQUESTS = requests;
+    }
+  });
+});
@@ -0,0 +1,86 @@
+/* ========== CHAT FUNCTION PIPELINE TESTS ========== */
+// Description: Runs chatFunction end to end on the mock provider and in-memory stores
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { seedDatasets, createContext, createRequest, jsonBody } = require("./support/environment");
+const chatFunction = require("../chatFunction");
+const { normalizeCatalog, DEFAULT_CATALOG } = require("../shared/datasetCatalog");
+
+// Description: Query analysis over the bundled catalog, without a caller restriction
+function analysisService() {
+  const catalog = normalizeCatalog(DEFAULT_CATALOG);
+  return new chatFunction.AIDataService({ current: () => catalog, load: async () => catalog }, null, null);
+}
+
+describe("chatFunction", () => {
+  beforeEach(seedDatasets);
+
+  it("answers a SKU lookup with the matching row and a cited answer", async () => {
+    const response = await chatFunction(createContext(), createRequest({ userMessage: "where is SKU 10271?" }));
+    const body = jsonBody(response);
+
+    assert.equal(response.status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(body.datasets, ["warehouseData.csv"]);
+    assert.equal(body.data.length, 1);
+    assert.equal(body.data[0].sku_id, "10271");
+    assert.equal(body.data[0].storage_bin, "A-12");
+    assert.match(body.message, /A-12 \[R1\]/);
+    assert.equal(body.citations[0].key, "10271");
+  });
+
+  it("compares numeric filters as numbers even when the value is a string", async () => {
+    const response = await chatFunction(createContext(), createRequest({ userMessage: "which items are below 10 on hand" }));
+    const body = jsonBody(response);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.data.map(row => row.sku_id), ["10272"]);
+  });
+
+  it("reports every group of an aggregate while returning only the limited table", async () => {
+    const body = jsonBody(await chatFunction(createContext(), createRequest({ userMessage: "top unit of measure by stock" })));
+
+    assert.deepEqual(body.data, [{ uom: "M", total_soh: 120 }]);
+    assert.equal(body.aggregate.groupCount, 2);
+    assert.match(body.message, /^2 group\(s\) by uom:/);
+  });
+
+  it("keeps a conversation for its owner and starts a new one for anybody else", async () => {
+    const first = jsonBody(await chatFunction(createContext(), createRequest({ userMessage: "where is SKU 10271?" })));
+    const again = jsonBody(await chatFunction(createContext(), createRequest({
+      userMessage: "where is SKU 10271?", conversationId: first.conversationId
+    })));
+    const other = jsonBody(await chatFunction(createContext(), createRequest(
+      { userMessage: "where is SKU 10271?", conversationId: first.conversationId },
+      { "x-forwarded-for": "198.51.100.7" }
+    )));
+
+    assert.equal(again.conversationId, first.conversationId);
+    assert.notEqual(other.conversationId, first.conversationId);
+  });
+});
+
+describe("AIDataService.validateAnalysis", () => {
+  const purchasePlan = aggregate => ({
+    dataset: "purchaseRecords.csv", columns: ["vendorname", "vendorid"], aggregate, confidence: 0.9
+  });
+
+  it("rejects grouping by a masked column", () => {
+    const aggregate = { groupBy: ["vendorid"], metrics: [{ op: "count" }] };
+    assert.throws(() => analysisService().validateAnalysis(purchasePlan(aggregate), "orders per vendor id", createContext()),
+      { rule: "masked_aggregate" });
+  });
+
+  it("rejects ranking metrics over a masked column but allows counting it", () => {
+    const service = analysisService();
+    const pricePlan = metrics => ({
+      dataset: "purchaseMaster.csv", columns: ["sku_id", "historicalprice"],
+      aggregate: { groupBy: ["sku_id"], metrics, limit: 1 }, confidence: 0.9
+    });
+
+    assert.throws(() => service.validateAnalysis(pricePlan([{ op: "max", column: "historicalprice" }]), "top price", createContext()),
+      { rule: "masked_aggregate" });
+    const counted = service.validateAnalysis(pricePlan([{ op: "count_distinct", column: "historicalprice" }]), "price count", createContext());
+    assert.equal(counted.isValid, true);
+  });
+});
@@ -0,0 +1,70 @@
+/* ========== DATASET VERSION STORE TESTS ========== */
+// Description: Promotion and reconciliation of dataset versions on in-memory storage
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { seedDatasets, createContext, readBlob } = require("./support/environment");
+const { putBlob } = require("./support/memoryBlobStorage");
+const { DatasetVersionStore, DatasetVersionConflictError } = require("../shared/datasetVersions");
+
+const FILE = "warehouseData.csv";
+const CSV = "sku_id,soh,storage_bin,uom\n10271,9,A-12,EA\n";
+const validReport = { valid: true, rows: 1, errorCount: 0, warningCount: 0 };
+
+// Description: Writes history.json with a pending promotion of a stored version
+function writePendingHistory(versionId, since) {
+  const version = { id: versionId, source: "upload", valid: true, promotedAt: null };
+  putBlob("dataset-versions", `${FILE}/${versionId}.csv`, CSV);
+  putBlob("dataset-versions", `${FILE}/history.json`, JSON.stringify({
+    file: FILE, current: null, versions: [version], pending: { id: versionId, since }
+  }));
+}
+
+describe("DatasetVersionStore", () => {
+  beforeEach(seedDatasets);
+
+  it("promotes a valid upload over the dataset blob and marks it current", async () => {
+    const store = new DatasetVersionStore();
+    const version = await store.upload(FILE, Buffer.from(CSV), validReport, "tester", createContext());
+    const history = await store.history(FILE);
+
+    assert.equal(readBlob("datasets", FILE), CSV);
+    assert.equal(history.current, version.id);
+    assert.equal(history.pending, undefined);
+    assert.equal(history.versions.length, 2);
+    assert.equal(history.versions[0].source, "baseline");
+  });
+
+  it("completes a promotion whose dataset blob was written before it was interrupted", async () => {
+    const versionId = "20250101T120000Z-aaaaaa";
+    writePendingHistory(versionId, new Date().toISOString());
+    await new DatasetVersionStore().datasetsContainer.getBlockBlobClient(FILE)
+      .uploadData(Buffer.from(CSV), { metadata: { datasetversion: versionId } });
+
+    const history = await new DatasetVersionStore().history(FILE);
+
+    assert.equal(history.current, versionId);
+    assert.equal(history.pending, undefined);
+    assert.ok(history.versions[0].promotedAt);
+  });
+
+  it("drops a promotion that never reached the dataset blob once it times out", async () => {
+    const versionId = "20250101T120000Z-bbbbbb";
+    writePendingHistory(versionId, new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+    const history = await new DatasetVersionStore().history(FILE);
+
+    assert.equal(history.current, null);
+    assert.equal(history.pending, undefined);
+    assert.notEqual(readBlob("datasets", FILE), CSV);
+  });
+
+  it("refuses to start a promotion while another is pending", async () => {
+    writePendingHistory("20250101T120000Z-cccccc", new Date().toISOString());
+
+    await assert.rejects(
+      new DatasetVersionStore().upload(FILE, Buffer.from(CSV), validReport, "tester", createContext()),
+      DatasetVersionConflictError
+    );
+    assert.notEqual(readBlob("datasets", FILE), CSV);
+  });
+});
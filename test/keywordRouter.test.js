@@ -0,0 +1,34 @@
+/* ========== KEYWORD ROUTER TESTS ========== */
+// Description: Identifier extraction used by the deterministic fallback planner
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { extractIdentifiers } = require("../shared/keywordRouter");
+
+describe("extractIdentifiers", () => {
+  it("finds labelled and bare SKUs", () => {
+    assert.deepEqual(extractIdentifiers("stock for SKU 10271"), { sku: "10271", partNumber: null });
+    assert.deepEqual(extractIdentifiers("where is 10452"), { sku: "10452", partNumber: null });
+  });
+
+  it("finds part numbers", () => {
+    assert.deepEqual(extractIdentifiers("who makes CR-15-4"), { sku: null, partNumber: "CR-15-4" });
+  });
+
+  it("ignores dates next to a SKU or part number", () => {
+    assert.deepEqual(extractIdentifiers("stock of 10271 on 2024-03-31"), { sku: "10271", partNumber: null });
+    assert.deepEqual(extractIdentifiers("orders for CR-5 since 2024-01-01"), { sku: null, partNumber: "CR-5" });
+    assert.deepEqual(extractIdentifiers("what happened on 2024-03-31"), { sku: null, partNumber: null });
+  });
+
+  it("finds a SKU next to a part number or bin", () => {
+    assert.deepEqual(extractIdentifiers("what is in bin A-12 for 10271"), { sku: "10271", partNumber: "A-12" });
+    assert.deepEqual(extractIdentifiers("who makes ABC-1234"), { sku: null, partNumber: "ABC-1234" });
+  });
+
+  it("ignores years and numbers after date words", () => {
+    assert.deepEqual(extractIdentifiers("stock in 2024 for 10271"), { sku: "10271", partNumber: null });
+    assert.deepEqual(extractIdentifiers("mouvements en 2023 pour 10271"), { sku: "10271", partNumber: null });
+    assert.deepEqual(extractIdentifiers("movements since 1234 for 10271"), { sku: "10271", partNumber: null });
+    assert.deepEqual(extractIdentifiers("how much did we order in 2024"), { sku: null, partNumber: null });
+  });
+});
@@ -0,0 +1,31 @@
+/* ========== RESULT EXPORT TESTS ========== */
+// Description: CSV rendering of result snapshots
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderExport } = require("../shared/resultExport");
+
+const columns = [
+  { name: "sku_id", label: "SKU", type: "string" },
+  { name: "soh", label: "Stock on Hand", type: "number" }
+];
+
+// Description: Data lines of a rendered CSV (BOM and header removed)
+async function csvLines(rows) {
+  const buffer = await renderExport("csv", columns, rows);
+  return buffer.toString("utf8").replace(/^\uFEFF/, "").split(/\r?\n/).slice(1);
+}
+
+describe("renderExport csv", () => {
+  it("keeps plain numbers, including negative ones", async () => {
+    assert.deepEqual(await csvLines([{ sku_id: "10271", soh: "-12.5" }]), ["10271,-12.5"]);
+  });
+
+  it("neutralizes formulas in text and number-typed columns alike", async () => {
+    const lines = await csvLines([
+      { sku_id: "=1+1", soh: "=HYPERLINK(\"http://example.com\")" },
+      { sku_id: "@SUM(A1)", soh: "-2+3" }
+    ]);
+
+    assert.deepEqual(lines, ["'=1+1,\"'=HYPERLINK(\"\"http://example.com\"\")\"", "'@SUM(A1),'-2+3"]);
+  });
+});
@@ -0,0 +1,43 @@
+/* ========== SEMANTIC INDEX TESTS ========== */
+// Description: Index freshness against the live materialBasicData.csv
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { seedDatasets, createContext } = require("./support/environment");
+const { putBlob } = require("./support/memoryBlobStorage");
+const { LlmProvider, MockChatClient } = require("../shared/llmProvider");
+const { SemanticIndex, buildSemanticIndex, SEMANTIC_ENV } = require("../shared/semanticIndex");
+
+const indexedRows = [
+  { sku_id: "10271", item_description: "PUMP CENTRIFUGAL 2IN", manufacturer: "Grundfos" },
+  { sku_id: "10272", item_description: "VALVE GATE 1IN", manufacturer: "Acme" }
+];
+const liveRows = [
+  ...indexedRows,
+  { sku_id: "10274", item_description: "PUMP SUBMERSIBLE 4IN", manufacturer: "Grundfos" }
+];
+
+describe("SemanticIndex", () => {
+  const llm = new LlmProvider("mock", new MockChatClient());
+
+  beforeEach(async () => {
+    seedDatasets();
+    const document = await buildSemanticIndex(indexedRows, llm, { sourceEtag: "\"built-from\"", model: llm.embeddingModel() });
+    putBlob(SEMANTIC_ENV.SEMANTIC_INDEX_CONTAINER, SEMANTIC_ENV.SEMANTIC_INDEX_BLOB, JSON.stringify(document));
+  });
+
+  it("ranks with embeddings while the dataset is the version the index was built from", async () => {
+    const ranking = await new SemanticIndex(llm).search("grundfos pump", createContext(), liveRows, llm, "\"built-from\"");
+
+    assert.equal(ranking.method, "embedding");
+    assert.ok(ranking.matches.every(match => match.key !== "10274"));
+  });
+
+  it("falls back to trigram ranking of the live rows once the dataset changed", async () => {
+    const context = createContext();
+    const ranking = await new SemanticIndex(llm).search("grundfos pump", context, liveRows, llm, "\"newer\"");
+
+    assert.equal(ranking.method, "trigram");
+    assert.ok(ranking.matches.some(match => match.key === "10274"));
+    assert.ok(context.logs.some(line => line.includes("another version")));
+  });
+});
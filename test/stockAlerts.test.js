@@ -0,0 +1,63 @@
+/* ========== STOCK ALERT TESTS ========== */
+// Description: Alert runs re-check each subscriber's stored roles against the access policy
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { seedDatasets, createContext } = require("./support/environment");
+const { putBlob } = require("./support/memoryBlobStorage");
+const { MemoryQuotaStore } = require("../shared/quotaStore");
+const { loadAccessPolicy } = require("../shared/accessPolicy");
+const { StockAlertService } = require("../shared/stockAlerts");
+
+const policy = loadAccessPolicy(JSON.stringify({
+  roles: {
+    stock: ["warehouseData.csv", "materialBasicData.csv"],
+    logistics: ["stockLogisticsData.csv"]
+  }
+}));
+
+// Description: Alert service on in-memory storage whose notifier records what it sends
+function alertService(sent) {
+  const notifier = { send: async (recipient, alerts) => { sent.push({ recipient, alerts }); } };
+  return new StockAlertService(notifier, new MemoryQuotaStore(), null, policy);
+}
+
+describe("StockAlertService.run", () => {
+  beforeEach(() => {
+    seedDatasets();
+    putBlob("datasets", "stockLogisticsData.csv", "sku_id,shipment_id,carrier,estimated_delivery\n10271,SH1,UPS,2020-01-01\n");
+  });
+
+  it("sends only the alert types the subscriber's roles still permit", async () => {
+    const sent = [];
+    const service = alertService(sent);
+    await service.subscribe("user-1", { id: "r1", field: "sku", value: "10272", types: ["reorder"] }, null, ["stock"]);
+    await service.subscribe("user-1", { id: "r2", field: "sku", value: "10271", types: ["shipment_delay"] }, null, ["stock"]);
+
+    const summary = await service.run(createContext());
+
+    assert.equal(summary.revoked, 1);
+    assert.deepEqual(sent.flatMap(notification => notification.alerts.map(alert => alert.key)), ["reorder:10272:b-02"]);
+  });
+
+  it("stops alerts once the policy no longer grants the role", async () => {
+    const sent = [];
+    const service = alertService(sent);
+    await service.subscribe("user-2", { id: "r1", field: "sku", value: "10272", types: ["reorder"] }, null, ["retired-role"]);
+
+    const summary = await service.run(createContext());
+
+    assert.equal(summary.revoked, 1);
+    assert.equal(sent.length, 0);
+  });
+
+  it("leaves out product details the subscriber may not query", async () => {
+    const sent = [];
+    const service = alertService(sent);
+    await service.subscribe("user-3", { id: "r1", field: "sku", value: "10271", types: ["shipment_delay"] }, null, ["logistics"]);
+
+    await service.run(createContext());
+
+    assert.equal(sent[0].alerts[0].shipmentId, "SH1");
+    assert.equal(sent[0].alerts[0].description, undefined);
+  });
+});
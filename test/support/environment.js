@@ -0,0 +1,60 @@
+/* ========== TEST ENVIRONMENT ========== */
+// Description: Offline configuration shared by the pipeline tests
+// - Mock LLM provider scripted by test/fixtures/llmResponses.json
+// - In-memory session and quota stores, in-memory blob storage (memoryBlobStorage.js)
+// - AUTH_MODE=none with the default anonymous (viewer) role
+// Require this before any function module: the modules read their configuration on load.
+const path = require("path");
+const memoryBlobStorage = require("./memoryBlobStorage");
+
+Object.assign(process.env, {
+  AZURE_STORAGE_CONNECTION_STRING: "UseDevelopmentStorage=true",
+  LLM_PROVIDER: "mock",
+  LLM_MOCK_FIXTURES: path.join(__dirname, "..", "fixtures", "llmResponses.json"),
+  SESSION_STORE: "memory",
+  QUOTA_STORE: "memory",
+  AUTH_MODE: "none"
+});
+memoryBlobStorage.install();
+
+// Description: Loads the bundled catalog and a few rows of each dataset the tests query
+function seedDatasets() {
+  memoryBlobStorage.clearBlobs();
+  memoryBlobStorage.putBlob("datasets", "catalog.json", JSON.stringify(require("../../shared/datasetCatalog.default.json")));
+  memoryBlobStorage.putBlob("datasets", "warehouseData.csv", [
+    "sku_id,soh,storage_bin,uom,rop,maxstock,mrptype",
+    "10271,14,A-12,EA,5,40,VB",
+    "10272,3,B-02,EA,5,20,VB",
+    "10273,120,C-07,M,50,300,PD"
+  ].join("\n"));
+  memoryBlobStorage.putBlob("datasets", "materialBasicData.csv", [
+    "sku_id,item_description,manufacturer,mfg_part_nos,item_main_category,item_sub_category",
+    "10271,PUMP CENTRIFUGAL 2IN,Grundfos,CR-5,Mechanical,Pumps",
+    "10272,VALVE GATE 1IN,Acme,GV-100,Mechanical,Valves",
+    "10273,CABLE 3C 2.5MM,Nexans,NX-25,Electrical,Cables"
+  ].join("\n"));
+}
+
+// Description: Minimal Azure Functions context that collects log lines
+function createContext() {
+  const logs = [];
+  return { invocationId: "test-invocation", logs, log: (...args) => logs.push(args.join(" ")) };
+}
+
+// Description: HTTP request as the Functions host passes it
+function createRequest(body, headers = {}) {
+  return { method: "POST", headers: { "x-forwarded-for": "203.0.113.10", ...headers }, body };
+}
+
+// Description: Parses a JSON response body (string or object)
+function jsonBody(response) {
+  return typeof response.body === "string" ? JSON.parse(response.body) : response.body;
+}
+
+module.exports = {
+  seedDatasets,
+  createContext,
+  createRequest,
+  jsonBody,
+  readBlob: memoryBlobStorage.readBlob
+};
@@ -0,0 +1,164 @@
+/* ========== IN-MEMORY BLOB STORAGE ========== */
+// Description: Stand-in for @azure/storage-blob used by the test suite
+// - Implements the subset of BlobServiceClient the functions use (downloads, conditional
+//   uploads, listing, append blobs) on top of a Map keyed by "container/name"
+// - install() places it in the require cache, so it must run before any function module
+//   is required
+const { Readable } = require("stream");
+
+// Description: Blobs by "container/name": { content: Buffer, etag, lastModified, metadata }
+const blobs = new Map();
+let etagCounter = 0;
+
+function storageError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/* ========== BLOB CLIENT ========== */
+class MemoryBlobClient {
+  constructor(container, name) {
+    this.container = container;
+    this.name = name;
+    this.key = `${container}/${name}`;
+    this.url = `memory://${this.key}`;
+  }
+
+  read() {
+    const blob = blobs.get(this.key);
+    if (!blob) throw storageError(404, `Blob not found: ${this.key}`);
+    return blob;
+  }
+
+  write(content, metadata) {
+    const blob = { content: Buffer.from(content), etag: `"${++etagCounter}"`, lastModified: new Date(), metadata: metadata || {} };
+    blobs.set(this.key, blob);
+    return { etag: blob.etag };
+  }
+
+  async exists() {
+    return blobs.has(this.key);
+  }
+
+  async getProperties() {
+    const blob = this.read();
+    return { etag: blob.etag, lastModified: blob.lastModified, contentLength: blob.content.length, metadata: blob.metadata };
+  }
+
+  async download(offset = 0, count) {
+    const blob = this.read();
+    const content = blob.content.subarray(offset, count === undefined ? undefined : offset + count);
+    return { readableStreamBody: Readable.from([content]), etag: blob.etag, lastModified: blob.lastModified };
+  }
+
+  async downloadToBuffer() {
+    return Buffer.from(this.read().content);
+  }
+
+  // Description: Honours ifMatch / ifNoneMatch: "*" like the service (412 / 409)
+  async upload(content, length, options = {}) {
+    const { ifMatch, ifNoneMatch } = options.conditions || {};
+    const current = blobs.get(this.key);
+    if (ifNoneMatch === "*" && current) throw storageError(409, `Blob already exists: ${this.key}`);
+    if (ifMatch && current?.etag !== ifMatch) throw storageError(412, `ETag mismatch: ${this.key}`);
+    return this.write(content, options.metadata);
+  }
+
+  async uploadData(content, options = {}) {
+    return this.write(content, options.metadata);
+  }
+
+  async createIfNotExists() {
+    if (!blobs.has(this.key)) this.write("");
+    return {};
+  }
+
+  async appendBlock(content) {
+    const blob = this.read();
+    blob.content = Buffer.concat([blob.content, Buffer.from(content)]);
+    blob.etag = `"${++etagCounter}"`;
+    return {};
+  }
+
+  async delete() {
+    this.read();
+    blobs.delete(this.key);
+  }
+
+  async deleteIfExists() {
+    return { succeeded: blobs.delete(this.key) };
+  }
+
+  async generateSasUrl() {
+    return `${this.url}?sas=test`;
+  }
+}
+
+/* ========== CONTAINER AND SERVICE CLIENTS ========== */
+class MemoryContainerClient {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async createIfNotExists() {
+    return {};
+  }
+
+  getBlobClient(name) {
+    return new MemoryBlobClient(this.name, name);
+  }
+
+  getBlockBlobClient(name) {
+    return new MemoryBlobClient(this.name, name);
+  }
+
+  getAppendBlobClient(name) {
+    return new MemoryBlobClient(this.name, name);
+  }
+
+  async *listBlobsFlat(options = {}) {
+    const prefix = `${this.name}/${options.prefix || ""}`;
+    for (const [key, blob] of blobs) {
+      if (key.startsWith(prefix)) {
+        yield { name: key.slice(this.name.length + 1), properties: { etag: blob.etag, lastModified: blob.lastModified } };
+      }
+    }
+  }
+}
+
+const memoryStorageModule = {
+  BlobServiceClient: {
+    fromConnectionString: () => ({ getContainerClient: name => new MemoryContainerClient(name) })
+  },
+  BlobSASPermissions: { parse: permissions => permissions }
+};
+
+/* ========== TEST HELPERS ========== */
+// Description: Replaces @azure/storage-blob for every later require()
+function install() {
+  const modulePath = require.resolve("@azure/storage-blob");
+  require.cache[modulePath] = { id: modulePath, filename: modulePath, loaded: true, exports: memoryStorageModule };
+}
+
+// Description: Stores a blob (string or Buffer content)
+function putBlob(container, name, content) {
+  return new MemoryBlobClient(container, name).write(content);
+}
+
+// Description: Returns a blob's content as text, or null when it does not exist
+function readBlob(container, name) {
+  const blob = blobs.get(`${container}/${name}`);
+  return blob ? blob.content.toString("utf8") : null;
+}
+
+function clearBlobs() {
+  blobs.clear();
+}
+
+module.exports = {
+  install,
+  putBlob,
+  readBlob,
+  clearBlobs
+};
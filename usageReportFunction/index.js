@@ -0,0 +1,82 @@
+/* ========== MODULE IMPORTS ========== */
+// Description: Usage report for operators
+// GET ?date=YYYY-MM-DD (default today, UTC) &days=N (default 1, max 31)
+// Returns request, token and cost totals per user/IP and per model for the range
+// Only callers holding one of USAGE_REPORT_ROLES may read it
+const { AuthError, authenticate, authErrorResponse, getAuthConfigError } = require("../shared/auth");
+const { withCors, isPreflight, preflightResponse } = require("../shared/cors");
+const { t, requestLanguage } = require("../shared/i18n");
+const { createQuotaStore } = require("../shared/quotaStore");
+const { buildUsageReport, usageDate } = require("../shared/usage");
+
+// Description: Report configuration
+// - USAGE_REPORT_ROLES: Comma-separated roles allowed to read the report
+const REPORT_ENV = {
+  USAGE_REPORT_ROLES: (process.env.USAGE_REPORT_ROLES || "admin").split(",").map(role => role.trim()).filter(Boolean)
+};
+
+const MAX_REPORT_DAYS = 31;
+
+// Quota store shared across warm invocations
+const quotaStore = createQuotaStore();
+
+module.exports = async function (context, req) {
+    const response = await handleReportRequest(context, req);
+    return { ...response, headers: { ...response.headers, "Content-Language": requestLanguage(req).locale } };
+};
+
+// Description: Handles one report request; error texts are in the request locale
+async function handleReportRequest(context, req) {
+    context.log("📊 Received request for usageReportFunction");
+
+    if (isPreflight(req)) {
+        return preflightResponse(req);
+    }
+
+    const authConfigError = getAuthConfigError();
+    if (authConfigError) {
+        context.log(`❌ Authentication misconfigured: ${authConfigError}`);
+        return withCors(req, generateResponse(500, { error: t(requestLanguage(req).locale, "error.authConfig") }));
+    }
+
+    try {
+        const principal = await authenticate(req, context);
+        if (!principal.roles.some(role => REPORT_ENV.USAGE_REPORT_ROLES.includes(role))) {
+            throw AuthError.forbidden("Usage reports require one of the roles: " + REPORT_ENV.USAGE_REPORT_ROLES.join(", "));
+        }
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return withCors(req, authErrorResponse(error, requestLanguage(req).locale));
+        }
+        throw error;
+    }
+
+    // Validate the requested range
+    const { locale } = requestLanguage(req);
+    const date = req.query?.date || usageDate();
+    const days = parseInt(req.query?.days || "1", 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        return withCors(req, generateResponse(400, { error: t(locale, "error.invalidDate") }));
+    }
+    if (!(days >= 1 && days <= MAX_REPORT_DAYS)) {
+        return withCors(req, generateResponse(400, { error: t(locale, "error.invalidDays", { max: MAX_REPORT_DAYS }) }));
+    }
+
+    try {
+        const report = await buildUsageReport(quotaStore, date, days);
+        context.log(`📊 Usage ${report.from}..${report.to}: ${Object.keys(report.users).length} caller(s), $${report.totals.costUsd.toFixed(4)}`);
+        return withCors(req, generateResponse(200, report));
+    } catch (error) {
+        context.log("🚨 Usage Report Failed:", error.message);
+        return withCors(req, generateResponse(500, { error: t(locale, "error.usageReport"), details: error.message }));
+    }
+}
+
+// ✅ Helper function for API responses
+function generateResponse(status, body) {
+    return {
+        status,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    };
+}